@@ -58,7 +58,12 @@ async function main() {
           console.log('Disconnected successfully');
         } else {
           const remaining = Math.ceil((duration - elapsed) / 1000);
-          console.log(`Connection active. ${remaining} seconds remaining...`);
+          const status = await erebrusSDK.getConnectionStatus();
+          if (status.connected) {
+            console.log(`Connection active (handshake ${status.peer.handshakeAge}s ago, rx ${status.peer.rxBytes} B, tx ${status.peer.txBytes} B). ${remaining} seconds remaining...`);
+          } else {
+            console.log(`Connection not active: ${status.reason}. ${remaining} seconds remaining...`);
+          }
         }
       }, 5000); // Check every 5 seconds
     } else {
@@ -0,0 +1,187 @@
+const { nodeAddress } = require('./selection');
+
+const DEFAULT_NODE_CACHE_TTL = 60000;
+
+/**
+ * Converts a value to a trimmed string, or null when empty
+ * @param {*} value - Raw value
+ * @return {string|null} String value
+ */
+function toText(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text ? text : null;
+}
+
+/**
+ * Converts a value to a finite number, or null
+ * @param {*} value - Raw value
+ * @return {number|null} Numeric value
+ */
+function toNumber(value) {
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(number) ? null : number;
+}
+
+/**
+ * Converts a unix timestamp (seconds or milliseconds) or date string to a Date, or null
+ * @param {*} value - Raw value
+ * @return {Date|null} Date value
+ */
+function toDate(value) {
+  if (value === undefined || value === null || value === '' || value === 0) {
+    return null;
+  }
+  const number = Number(value);
+  const date = Number.isFinite(number) ? new Date(number < 1e12 ? number * 1000 : number) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Normalizes a node object from the gateway into a stable shape
+ * @param {object} raw - Node as returned by GET /nodes/all
+ * @return {object} { id, name, status, region, country, city, ip, domain, httpPort, endpoint,
+ * walletAddress, chain, version, downloadSpeed, uploadSpeed, lastPingedAt, raw }
+ */
+function normalizeNode(raw) {
+  const node = {
+    id: toText(raw.id) || '',
+    name: toText(raw.name || raw.nodename),
+    status: (toText(raw.status) || 'unknown').toLowerCase(),
+    region: toText(raw.region),
+    country: toText(raw.country || raw.ipinfocountry),
+    city: toText(raw.city || raw.ipinfocity),
+    ip: toText(raw.ip || raw.ipinfoip),
+    domain: toText(raw.domain),
+    httpPort: toNumber(raw.httpPort),
+    endpoint: null,
+    walletAddress: toText(raw.walletAddress),
+    chain: toText(raw.chainName || raw.chain),
+    version: toText(raw.version),
+    downloadSpeed: toNumber(raw.downloadSpeed),
+    uploadSpeed: toNumber(raw.uploadSpeed),
+    lastPingedAt: toDate(raw.lastPingedTimeStamp || raw.lastPingedAt),
+    raw
+  };
+
+  const address = nodeAddress(node);
+  node.endpoint = address.host ? address : null;
+  return node;
+}
+
+/**
+ * Checks one node field against a query value: a predicate, a list of accepted
+ * values or a single value (strings compare case-insensitively)
+ * @param {*} actual - Field value on the node
+ * @param {*} wanted - Query value
+ * @return {boolean} True if the field matches
+ */
+function matchesField(actual, wanted) {
+  if (typeof wanted === 'function') {
+    return Boolean(wanted(actual));
+  }
+  return [].concat(wanted).some(value =>
+    typeof value === 'string' && typeof actual === 'string'
+      ? value.toLowerCase() === actual.toLowerCase()
+      : value === actual
+  );
+}
+
+/**
+ * In-memory catalog of nodes, refreshed from the gateway when older than its TTL. The gateway
+ * lists the same nodes whatever the token, so one cache serves every token of a client.
+ */
+class NodeCatalog {
+  /**
+   * @param {object} options
+   * @param {Function} options.fetchNodes - async (token) => raw node array
+   * @param {number} [options.ttl=60000] - Milliseconds a fetched list stays fresh, 0 to disable caching
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options) {
+    const { fetchNodes, ttl = DEFAULT_NODE_CACHE_TTL, now = Date.now } = options;
+    this.fetchNodes = fetchNodes;
+    this.ttl = ttl;
+    this.now = now;
+    this.nodes = null;
+    this.fetchedAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Whether the cached list can be used without a network call
+   * @return {boolean} True if cached and within the TTL
+   */
+  isFresh() {
+    return this.nodes !== null && this.ttl > 0 && this.now() - this.fetchedAt < this.ttl;
+  }
+
+  /**
+   * Fetches the node list now, sharing one request between concurrent callers
+   * @param {string} token - Authentication token
+   * @return {Promise<Array<object>>} All normalized nodes, active or not
+   */
+  async refresh(token) {
+    if (!this.pending) {
+      this.pending = Promise.resolve(this.fetchNodes(token))
+        .then(rawNodes => {
+          this.nodes = rawNodes.map(normalizeNode);
+          this.fetchedAt = this.now();
+          return this.nodes;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Drops the cached list so the next query fetches again
+   */
+  invalidate() {
+    this.nodes = null;
+    this.fetchedAt = 0;
+  }
+
+  /**
+   * Lists nodes, from the cache when fresh
+   * @param {string} token - Authentication token
+   * @param {object} [query] - Any node field mapped to a value, list of values or predicate,
+   * e.g. { region: ['SG', 'IN'], httpPort: port => port !== null }
+   * @param {string|Array<string>} [query.status] - Status to match (default: 'active')
+   * @param {boolean} [query.includeInactive=false] - Return nodes of every status when no status is given
+   * @param {boolean} [query.refresh=false] - Bypass the cache
+   * @return {Promise<Array<object>>} Matching normalized nodes
+   */
+  async list(token, query = {}) {
+    const { includeInactive = false, refresh = false, ...fields } = query;
+    if (fields.status === undefined && !includeInactive) {
+      fields.status = 'active';
+    }
+
+    const nodes = refresh || !this.isFresh() ? await this.refresh(token) : this.nodes;
+    return nodes.filter(node => Object.keys(fields).every(field => matchesField(node[field], fields[field])));
+  }
+
+  /**
+   * Looks up one node by ID, whatever its status
+   * @param {string} token - Authentication token
+   * @param {string} nodeId - Node ID
+   * @param {object} [options]
+   * @param {boolean} [options.refresh=false] - Bypass the cache
+   * @return {Promise<object|null>} The normalized node, or null if unknown
+   */
+  async get(token, nodeId, options = {}) {
+    const nodes = await this.list(token, { includeInactive: true, refresh: options.refresh, id: nodeId });
+    return nodes[0] || null;
+  }
+}
+
+module.exports = {
+  DEFAULT_NODE_CACHE_TTL,
+  normalizeNode,
+  NodeCatalog
+};
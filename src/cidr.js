@@ -0,0 +1,202 @@
+const BITS = { 4: 32, 6: 128 };
+
+/**
+ * Parses an IPv4 address into a BigInt
+ * @param {string} address - Dotted-quad address
+ * @return {bigint|null} Address value, or null if malformed
+ */
+function parseIPv4(address) {
+  const parts = address.split('.');
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => (value << 8n) | BigInt(part), 0n);
+}
+
+/**
+ * Parses an IPv6 address (with optional :: compression or trailing IPv4) into a BigInt
+ * @param {string} address - IPv6 address
+ * @return {bigint|null} Address value, or null if malformed
+ */
+function parseIPv6(address) {
+  let text = address;
+
+  // Rewrite an embedded IPv4 address (e.g. ::ffff:1.2.3.4) as the last two groups
+  if (text.includes('.')) {
+    const lastColon = text.lastIndexOf(':');
+    const ipv4 = parseIPv4(text.slice(lastColon + 1));
+    if (ipv4 === null) {
+      return null;
+    }
+    text = `${text.slice(0, lastColon + 1)}${(ipv4 >> 16n).toString(16)}:${(ipv4 & 0xffffn).toString(16)}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+
+  const toGroups = half => (half ? half.split(':') : []);
+  const head = toGroups(halves[0]);
+  const rest = halves.length === 2 ? toGroups(halves[1]) : [];
+  if (![...head, ...rest].every(group => /^[0-9A-Fa-f]{1,4}$/.test(group))) {
+    return null;
+  }
+
+  const explicit = head.length + rest.length;
+  if (halves.length === 1 ? explicit !== 8 : explicit > 7) {
+    return null;
+  }
+
+  const groups = [
+    ...head.map(group => BigInt(`0x${group}`)),
+    ...new Array(8 - explicit).fill(0n),
+    ...rest.map(group => BigInt(`0x${group}`))
+  ];
+  return groups.reduce((value, group) => (value << 16n) | group, 0n);
+}
+
+/**
+ * Parses an IPv4 or IPv6 address
+ * @param {string} address - Address to parse
+ * @return {object|null} { version, value }, or null if malformed
+ */
+function parseAddress(address) {
+  const text = String(address).trim();
+  if (text.includes(':')) {
+    const value = parseIPv6(text);
+    return value === null ? null : { version: 6, value };
+  }
+  const value = parseIPv4(text);
+  return value === null ? null : { version: 4, value };
+}
+
+/**
+ * Formats an address value in canonical form (RFC 5952 for IPv6)
+ * @param {bigint} value - Address value
+ * @param {number} version - 4 or 6
+ * @return {string} Formatted address
+ */
+function formatAddress(value, version) {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 0xffn)).join('.');
+  }
+
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(Number((value >> shift) & 0xffffn));
+  }
+
+  // Compress the longest run of two or more zero groups
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let start = 0; start < 8; start++) {
+    let length = 0;
+    while (start + length < 8 && groups[start + length] === 0) {
+      length++;
+    }
+    if (length > bestLength) {
+      bestStart = start;
+      bestLength = length;
+    }
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (bestStart === -1) {
+    return hex.join(':');
+  }
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * Parses a CIDR block; a bare address is treated as a single host
+ * @param {string} cidr - CIDR such as "10.0.0.0/8" or "fd00::/64"
+ * @return {object} { version, value, prefix } with host bits cleared
+ * @throws {TypeError} If the CIDR is malformed
+ */
+function parseCidr(cidr) {
+  const [address, prefixText, ...extra] = String(cidr).trim().split('/');
+  const parsed = parseAddress(address);
+  const bits = parsed && BITS[parsed.version];
+  const prefix = prefixText === undefined ? bits : Number(prefixText);
+
+  if (!parsed || extra.length > 0 || (prefixText !== undefined && !/^\d+$/.test(prefixText)) || prefix > bits) {
+    throw new TypeError(`Invalid CIDR: ${cidr}`);
+  }
+
+  const hostBits = BigInt(bits - prefix);
+  return { version: parsed.version, value: (parsed.value >> hostBits) << hostBits, prefix };
+}
+
+/**
+ * Formats a parsed CIDR block
+ * @param {object} range - { version, value, prefix }
+ * @return {string} CIDR string
+ */
+function formatCidr(range) {
+  return `${formatAddress(range.value, range.version)}/${range.prefix}`;
+}
+
+/**
+ * Checks whether one CIDR block fully contains another
+ * @param {object} outer - Parsed CIDR block
+ * @param {object} inner - Parsed CIDR block
+ * @return {boolean} True if inner lies within outer
+ */
+function containsCidr(outer, inner) {
+  if (outer.version !== inner.version || outer.prefix > inner.prefix) {
+    return false;
+  }
+  const hostBits = BigInt(BITS[outer.version] - outer.prefix);
+  return (inner.value >> hostBits) === (outer.value >> hostBits);
+}
+
+/**
+ * Removes one block from another by repeatedly halving the outer block
+ * @param {object} range - Block to subtract from
+ * @param {object} excluded - Block to remove
+ * @return {Array<object>} Blocks covering range minus excluded
+ */
+function subtractCidr(range, excluded) {
+  if (containsCidr(excluded, range)) {
+    return [];
+  }
+  if (!containsCidr(range, excluded)) {
+    return [range];
+  }
+
+  const prefix = range.prefix + 1;
+  const half = 1n << BigInt(BITS[range.version] - prefix);
+  const low = { version: range.version, value: range.value, prefix };
+  const high = { version: range.version, value: range.value + half, prefix };
+
+  return containsCidr(low, excluded)
+    ? [...subtractCidr(low, excluded), high]
+    : [low, ...subtractCidr(high, excluded)];
+}
+
+/**
+ * Computes the CIDR blocks covering the allowed ranges minus the excluded ones,
+ * as used for WireGuard split tunneling
+ * @param {Array<string>} allowed - CIDRs to route through the tunnel
+ * @param {Array<string>} [excluded=[]] - CIDRs to keep outside the tunnel
+ * @return {Array<string>} Complementary CIDR list
+ */
+function excludeCidrs(allowed, excluded = []) {
+  const exclusions = excluded.map(parseCidr);
+  return allowed
+    .map(parseCidr)
+    .reduce((ranges, range) => ranges.concat(
+      exclusions.reduce((parts, exclusion) => parts.flatMap(part => subtractCidr(part, exclusion)), [range])
+    ), [])
+    .map(formatCidr);
+}
+
+module.exports = {
+  parseAddress,
+  formatAddress,
+  parseCidr,
+  formatCidr,
+  containsCidr,
+  excludeCidrs
+};
@@ -0,0 +1,515 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ErebrusClient } = require('./client');
+const {
+  ErebrusError,
+  AuthenticationError,
+  GatewayError,
+  NodeNotFoundError,
+  SubscriptionError,
+  WireGuardNotInstalledError,
+  TunnelSetupError,
+  CommandError,
+  ConfigError,
+  VerificationError
+} = require('./errors');
+const { createFileRegistry } = require('./registry');
+const { formatEndpoint } = require('./endpoint');
+
+/**
+ * Process exit codes, one per failure type so scripts can react to them
+ */
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  auth: 3,
+  gateway: 4,
+  nodeNotFound: 5,
+  subscription: 6,
+  wireguard: 7,
+  notConnected: 8,
+  verification: 9
+};
+
+const USAGE = `Usage: erebrus <command> [options]
+
+Commands:
+  org create [--save]                  Create an organization and print it; --save stores its API key
+  auth [apiKey]                        Check an API key and store it (read from stdin when omitted)
+  nodes list [--status s] [--all]      List nodes; filter with --region, --country; --json for JSON
+  connect <nodeId|auto>                Bring a tunnel up to a node; --interface names the connection
+  disconnect [name] [--revoke]         Bring a tunnel down; --revoke also deletes the node's client
+  connections [--json]                 List the tunnels that are up
+  exec -- <command> [args...]          Run a command inside a tunnel's network namespace
+  status [--json]                      Show the tunnel status; exits ${EXIT_CODES.notConnected} when not connected
+  verify [--json]                      Check the tunnel for leaks; exits ${EXIT_CODES.verification} when a check fails
+  config export <nodeId|auto>          Print a WireGuard config for a node; --output writes it to a file
+  killswitch remove                    Remove kill switch rules left behind, e.g. after a crash
+  dns restore                          Undo the tunnel's DNS changes left behind, e.g. after a crash
+
+Tunnel options (connect, disconnect, status, config export):
+  --interface <name>  --config-dir <dir>  --dns <a,b|none>  --allowed-ips <cidrs>  --exclude <cidrs>
+  --dns-backend <auto|resolvectl|resolvconf|file>
+  --mtu <n>  --keepalive <s>  --port <n>  --region <r> (for auto)  --new-client
+  --no-default-route  --fwmark <n> (connect: only route traffic from the tunnel address, or so marked)
+  --namespace <name> (connect, exec: keep the tunnel in a network namespace, only for commands run with exec)
+  --subscription  --trial (connect: require an active subscription, starting a trial if there is none)
+  --kill-switch  --allow-lan <cidrs> (connect: block traffic outside the tunnel, except these ranges)
+  --verify (connect: check the tunnel for leaks and take it down if a check fails)
+
+Global options:
+  --profile <name>  --verbose  --help
+
+Credentials come from EREBRUS_TOKEN, EREBRUS_API_KEY or the config file written by \`erebrus auth\`
+(EREBRUS_CONFIG_DIR, default: ~/.config/erebrus).`;
+
+const BOOLEAN_FLAGS = ['all', 'json', 'save', 'revoke', 'subscription', 'trial', 'kill-switch', 'new-client', 'no-default-route', 'verify', 'verbose', 'help'];
+
+/**
+ * Wrong command line: unknown command, missing argument or bad option value
+ */
+class UsageError extends ErebrusError {}
+
+/**
+ * Splits argv into positionals and --flags; flags not listed as boolean take a value.
+ * Everything after a bare -- is passed through untouched as rest.
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @return {object} { positionals, flags, rest }
+ * @throws {UsageError} If a value flag has no value
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+  const separator = argv.indexOf('--');
+  const rest = separator === -1 ? [] : argv.slice(separator + 1);
+  argv = separator === -1 ? argv : argv.slice(0, separator);
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!match) {
+      positionals.push(arg);
+    } else if (BOOLEAN_FLAGS.includes(match[1])) {
+      flags[match[1]] = match[2] === undefined ? true : match[2] !== 'false';
+    } else if (match[2] !== undefined) {
+      flags[match[1]] = match[2];
+    } else if (i + 1 < argv.length) {
+      flags[match[1]] = argv[++i];
+    } else {
+      throw new UsageError(`Option --${match[1]} needs a value`);
+    }
+  }
+
+  return { positionals, flags, rest };
+}
+
+/**
+ * Maps an error to the exit code for its failure type
+ * @param {Error} error - The failure
+ * @return {number} Exit code
+ */
+function exitCodeFor(error) {
+  if (error instanceof UsageError || error instanceof ConfigError) {
+    return EXIT_CODES.usage;
+  }
+  if (error instanceof AuthenticationError) {
+    return EXIT_CODES.auth;
+  }
+  if (error instanceof GatewayError) {
+    return EXIT_CODES.gateway;
+  }
+  if (error instanceof NodeNotFoundError) {
+    return EXIT_CODES.nodeNotFound;
+  }
+  if (error instanceof SubscriptionError) {
+    return EXIT_CODES.subscription;
+  }
+  if (error instanceof VerificationError) {
+    return EXIT_CODES.verification;
+  }
+  if (error instanceof WireGuardNotInstalledError || error instanceof TunnelSetupError || error instanceof CommandError) {
+    return EXIT_CODES.wireguard;
+  }
+  return EXIT_CODES.error;
+}
+
+/**
+ * Works out the directory holding the CLI's config file and client registry
+ * @param {object} env - Environment variables
+ * @return {string} Directory path
+ */
+function configDirFor(env) {
+  if (env.EREBRUS_CONFIG_DIR) {
+    return env.EREBRUS_CONFIG_DIR;
+  }
+  if (process.platform === 'win32' && env.APPDATA) {
+    return path.join(env.APPDATA, 'erebrus');
+  }
+  return path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'erebrus');
+}
+
+/**
+ * Reads the CLI config file
+ * @param {string} file - Path to config.json
+ * @return {object} Stored settings ({ apiKey, profile }), empty if there is no file
+ * @throws {UsageError} If the file is not valid JSON
+ */
+function readConfigFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new UsageError(`Could not read ${file}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Writes the CLI config file, readable by the current user only
+ * @param {string} file - Path to config.json
+ * @param {object} config - Settings to store
+ */
+function writeConfigFile(file, config) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+}
+
+/**
+ * Splits a comma-separated option value
+ * @param {string} value - Option value
+ * @return {Array<string>} Non-empty entries
+ */
+function list(value) {
+  return String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Parses a numeric option value
+ * @param {string} name - Option name, for the error message
+ * @param {string} value - Option value
+ * @return {number} Parsed number
+ * @throws {UsageError} If the value is not a number
+ */
+function number(name, value) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    throw new UsageError(`Option --${name} must be a number`);
+  }
+  return parsed;
+}
+
+// Command-line flag -> [tunnel option, value parser]
+const TUNNEL_FLAGS = {
+  'interface': ['interfaceName', value => value],
+  'config-dir': ['configDir', value => value],
+  'dns': ['dns', value => (value === 'none' ? [] : list(value))],
+  'dns-backend': ['dnsBackend', value => value],
+  'allowed-ips': ['allowedIPs', list],
+  'exclude': ['excludeIPs', list],
+  'mtu': ['mtu', value => number('mtu', value)],
+  'keepalive': ['keepalive', value => number('keepalive', value)],
+  'port': ['endpointPort', value => number('port', value)],
+  'region': ['selection', value => ({ filter: { region: list(value) } })],
+  'new-client': ['reuseClient', () => false],
+  'no-default-route': ['defaultRoute', () => false],
+  'fwmark': ['fwmark', value => number('fwmark', value)],
+  'namespace': ['namespace', value => value]
+};
+
+/**
+ * Builds connectDvpn/disconnectVPN options from command-line flags
+ * @param {object} flags - Parsed flags
+ * @return {object} Tunnel options
+ */
+function tunnelOptions(flags) {
+  const options = Object.keys(TUNNEL_FLAGS)
+    .filter(flag => flags[flag] !== undefined && flags[flag] !== false)
+    .reduce((result, flag) => {
+      const [option, parse] = TUNNEL_FLAGS[flag];
+      result[option] = parse(flags[flag]);
+      return result;
+    }, {});
+
+  if (flags.subscription || flags.trial) {
+    options.subscription = { trial: Boolean(flags.trial) };
+  }
+  if (flags['kill-switch'] || flags['allow-lan'] !== undefined) {
+    options.killSwitch = { allowLan: flags['allow-lan'] === undefined ? [] : list(flags['allow-lan']) };
+  }
+  if (flags.verify) {
+    options.verify = true;
+  }
+  return options;
+}
+
+/**
+ * Renders rows as a left-aligned text table
+ * @param {Array<string>} headers - Column titles
+ * @param {Array<Array<string>>} rows - Cell values
+ * @return {string} Table text
+ */
+function formatTable(headers, rows) {
+  const widths = headers.map((header, index) => Math.max(header.length, ...rows.map(row => String(row[index]).length)));
+  return [headers, ...rows]
+    .map(row => row.map((cell, index) => String(cell).padEnd(widths[index])).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * Reads everything piped to stdin
+ * @param {object} stdin - Readable stream
+ * @return {Promise<string>} Input text
+ */
+function readStdin(stdin) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    stdin.setEncoding('utf8');
+    stdin.on('data', chunk => { text += chunk; });
+    stdin.on('end', () => resolve(text));
+    stdin.on('error', reject);
+  });
+}
+
+/**
+ * Starts a session from EREBRUS_TOKEN, EREBRUS_API_KEY or the stored API key
+ * @param {object} client - ErebrusClient
+ * @param {object} env - Environment variables
+ * @param {object} config - Stored settings
+ * @return {Promise<void>}
+ * @throws {AuthenticationError} If there are no credentials or they are rejected
+ */
+async function login(client, env, config) {
+  if (env.EREBRUS_TOKEN) {
+    await client.createSession({ getToken: async () => env.EREBRUS_TOKEN });
+    return;
+  }
+  const apiKey = env.EREBRUS_API_KEY || config.apiKey;
+  if (!apiKey) {
+    throw new AuthenticationError('No credentials: set EREBRUS_API_KEY or run `erebrus auth <apiKey>`');
+  }
+  await client.createSession({ apiKey });
+}
+
+/**
+ * Runs the erebrus command line
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @param {object} [io] - { env, stdin, stdout, stderr }, defaulting to the process's, and
+ * clientOptions: extra ErebrusClient options such as baseUrls and runner
+ * @return {Promise<number>} Exit code, see EXIT_CODES
+ */
+async function run(argv, io = {}) {
+  const { env = process.env, stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, clientOptions = {} } = io;
+  const print = text => stdout.write(`${text}\n`);
+
+  try {
+    const { positionals, flags, rest } = parseArgs(argv);
+    const [command, subcommand] = positionals;
+    if (!command || command === 'help' || flags.help) {
+      print(USAGE);
+      return command || flags.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+
+    const dir = configDirFor(env);
+    const configFile = path.join(dir, 'config.json');
+    const config = readConfigFile(configFile);
+    const verbose = Boolean(flags.verbose);
+    const client = new ErebrusClient({
+      profile: flags.profile || env.EREBRUS_PROFILE || config.profile || 'production',
+      strict: true,
+      logLevel: verbose ? 'debug' : 'warn',
+      logger: {
+        debug: message => stderr.write(`${message}\n`),
+        info: message => stderr.write(`${message}\n`),
+        warn: message => stderr.write(`warning: ${message}\n`),
+        // Failures are reported once, by the handler below
+        error: message => verbose && stderr.write(`${message}\n`)
+      },
+      registry: createFileRegistry(path.join(dir, 'clients.json')),
+      ...clientOptions
+    });
+    const tunnel = tunnelOptions(flags);
+
+    switch (`${command}${subcommand && ['org', 'nodes', 'config', 'killswitch', 'dns'].includes(command) ? ` ${subcommand}` : ''}`) {
+      case 'org create': {
+        const org = await client.createOrganization();
+        if (flags.save && org.api_key) {
+          writeConfigFile(configFile, { ...config, apiKey: org.api_key });
+          stderr.write(`API key saved to ${configFile}\n`);
+        }
+        print(JSON.stringify(org, null, 2));
+        return EXIT_CODES.ok;
+      }
+
+      case 'auth': {
+        const apiKey = (positionals[1] || (stdin.isTTY ? '' : await readStdin(stdin))).trim();
+        if (!apiKey) {
+          throw new UsageError('Pass the API key as an argument or on stdin');
+        }
+        await client.authenticate(apiKey);
+        writeConfigFile(configFile, { ...config, apiKey });
+        print(`API key verified and saved to ${configFile}`);
+        return EXIT_CODES.ok;
+      }
+
+      case 'nodes list': {
+        await login(client, env, config);
+        const query = ['status', 'region', 'country']
+          .filter(field => flags[field] !== undefined)
+          .reduce((result, field) => ({ ...result, [field]: list(flags[field]) }), { includeInactive: Boolean(flags.all) });
+        const nodes = await client.listNodes(null, query);
+
+        if (flags.json) {
+          print(JSON.stringify(nodes.map(({ raw, ...node }) => node), null, 2));
+        } else {
+          print(formatTable(
+            ['ID', 'STATUS', 'REGION', 'COUNTRY', 'CITY', 'ENDPOINT'],
+            nodes.map(node => [
+              node.id,
+              node.status,
+              node.region || '-',
+              node.country || '-',
+              node.city || '-',
+              node.endpoint ? `${node.endpoint.host}:${node.endpoint.port}` : '-'
+            ])
+          ));
+        }
+        return EXIT_CODES.ok;
+      }
+
+      case 'connect': {
+        if (!positionals[1]) {
+          throw new UsageError('Usage: erebrus connect <nodeId|auto>');
+        }
+        await login(client, env, config);
+        await client.connectDvpn(null, positionals[1], tunnel);
+        print('Connected');
+        return EXIT_CODES.ok;
+      }
+
+      case 'disconnect': {
+        if (flags.revoke) {
+          await login(client, env, config);
+        }
+        if (positionals[1]) {
+          await client.disconnect(positionals[1], { revoke: Boolean(flags.revoke) });
+        } else {
+          await client.disconnectVPN(tunnel, { revoke: Boolean(flags.revoke) });
+        }
+        print('Disconnected');
+        return EXIT_CODES.ok;
+      }
+
+      case 'exec': {
+        if (rest.length === 0) {
+          throw new UsageError('Usage: erebrus exec [--namespace name] -- <command> [args...]');
+        }
+        const child = client.spawnInTunnel(rest[0], rest.slice(1), {
+          namespace: tunnel.namespace,
+          interfaceName: tunnel.interfaceName,
+          stdio: 'inherit'
+        });
+        return await new Promise((resolve, reject) => {
+          child.on('error', reject);
+          child.on('close', code => resolve(code === null ? EXIT_CODES.error : code));
+        });
+      }
+
+      case 'connections': {
+        const connections = await client.listConnections();
+        if (flags.json) {
+          print(JSON.stringify(connections, null, 2));
+        } else {
+          print(formatTable(
+            ['NAME', 'NODE', 'ENDPOINT', 'TABLE', 'STATE'],
+            connections.map(connection => [
+              connection.name,
+              connection.nodeId || '-',
+              connection.endpoint ? formatEndpoint({ host: connection.endpoint, port: connection.endpointPort }) : '-',
+              connection.table,
+              connection.status.connected ? 'connected' : connection.status.state
+            ])
+          ));
+        }
+        return EXIT_CODES.ok;
+      }
+
+      case 'status': {
+        const status = await client.getConnectionStatus(tunnel.interfaceName);
+        if (flags.json) {
+          print(JSON.stringify(status, null, 2));
+        } else {
+          const peer = status.peer;
+          print(`${status.interfaceName}: ${status.connected ? 'connected' : `not connected (${status.reason})`}`);
+          if (peer) {
+            print(`  endpoint   ${peer.endpoint || '-'}`);
+            print(`  handshake  ${peer.handshakeAge === null ? 'never' : `${peer.handshakeAge}s ago`}`);
+            print(`  transfer   ${peer.rxBytes} B received, ${peer.txBytes} B sent`);
+          }
+        }
+        return status.connected ? EXIT_CODES.ok : EXIT_CODES.notConnected;
+      }
+
+      case 'verify': {
+        const report = await client.verifyTunnel({ interfaceName: tunnel.interfaceName });
+        if (flags.json) {
+          print(JSON.stringify(report, null, 2));
+        } else {
+          const check = value => (value === null ? 'not checked' : value ? 'yes' : 'no');
+          const noBaseline = report.exitIp.changed === null && report.exitIp.after !== null;
+          print(`${report.interfaceName}: ${report.ok ? 'ok' : 'problems found'}`);
+          print(`  exit IP          ${report.exitIp.before || '?'} -> ${report.exitIp.after || 'unreachable'}`);
+          print(`  exit IP changed  ${noBaseline ? 'not checked (no exit IP from before connecting)' : check(report.exitIp.changed)}`);
+          print(`  matches node     ${check(report.exitIp.matchesNode)}`);
+          print(`  DNS via tunnel   ${check(report.dns.throughTunnel)}`);
+          print(`  IPv6 bypass      ${check(report.ipv6.bypassesTunnel)}`);
+          print(`  connectivity     ${check(report.connectivity.ok)}`);
+          report.problems.forEach(problem => print(`  - ${problem}`));
+        }
+        return report.ok ? EXIT_CODES.ok : EXIT_CODES.verification;
+      }
+
+      case 'config export': {
+        if (!positionals[2]) {
+          throw new UsageError('Usage: erebrus config export <nodeId|auto> [--output file]');
+        }
+        await login(client, env, config);
+        const text = await client.exportWireGuardConfig(null, positionals[2], tunnel);
+        if (flags.output) {
+          fs.writeFileSync(flags.output, text, { mode: 0o600 });
+          print(`WireGuard configuration written to ${flags.output}`);
+        } else {
+          stdout.write(text);
+        }
+        return EXIT_CODES.ok;
+      }
+
+      case 'killswitch remove': {
+        const removed = await client.removeKillSwitch();
+        print(removed ? 'Kill switch removed' : 'No kill switch rules were installed');
+        return EXIT_CODES.ok;
+      }
+
+      case 'dns restore': {
+        const restored = await client.restoreDns(tunnel.interfaceName);
+        print(restored ? 'resolv.conf restored' : 'DNS settings cleared; no resolv.conf backup to restore');
+        return EXIT_CODES.ok;
+      }
+
+      default:
+        throw new UsageError(`Unknown command: ${positionals.join(' ')}\n\n${USAGE}`);
+    }
+  } catch (error) {
+    stderr.write(`erebrus: ${error.message}\n`);
+    return exitCodeFor(error);
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseArgs,
+  exitCodeFor,
+  run
+};
@@ -0,0 +1,1208 @@
+const nodeFetch = require('node-fetch');
+const { verifyMessage } = require('ethers');
+const { createLogger } = require('./logger');
+const { defaultRunner } = require('./runner');
+const {
+  ErebrusError,
+  GatewayError,
+  AuthenticationError,
+  ConfigError,
+  NodeNotFoundError,
+  WireGuardNotInstalledError,
+  VerificationError
+} = require('./errors');
+const { noSubscription, parseSubscription, assertActiveSubscription } = require('./subscription');
+const { generateWireGuardKeyPair, generatePresharedKey } = require('./keys');
+const { DEFAULT_TUNNEL_OPTIONS, resolveTunnelOptions } = require('./options');
+const { serializeConfig } = require('./config');
+const {
+  DEFAULT_CONFIG_PATH,
+  interfaceNameFor,
+  listTunnels,
+  checkWireGuard,
+  buildWireGuardConfig,
+  createWireGuardConfig,
+  connectToWireGuard,
+  disconnectVPN
+} = require('./wireguard');
+const { getConnectionStatus } = require('./status');
+const { ConnectionMonitor } = require('./monitor');
+const { selectBestNode } = require('./selection');
+const { NodeCatalog, DEFAULT_NODE_CACHE_TTL } = require('./catalog');
+const { clientIdOf, toClientRecord, toClientData, createMemoryRegistry } = require('./registry');
+const { AuthSession } = require('./session');
+const { DEFAULT_KILL_SWITCH_OPTIONS, applyKillSwitch, removeKillSwitch } = require('./killswitch');
+const { restoreDns } = require('./resolver');
+const { routingTableFor } = require('./routing');
+const { namespaceRunner, runInNamespace, spawnInNamespace } = require('./namespace');
+const { parseEndpoint } = require('./endpoint');
+const { fetchExitIp, verifyTunnel } = require('./verify');
+const { RESPONSE_SCHEMAS, validateResponse } = require('./schemas');
+const {
+  DEFAULT_RETRY_OPTIONS,
+  IDEMPOTENT_METHODS,
+  isRetryableStatus,
+  wasNotProcessed,
+  parseRetryAfter,
+  backoffDelay,
+  wait
+} = require('./retry');
+
+/**
+ * Gateway base URLs per environment. Each service key maps to the API root
+ * that endpoint paths are appended to.
+ */
+const PROFILES = {
+  production: {
+    organisation: 'https://gateway.netsepio.com/api/v1.1',
+    gateway: 'https://gateway.netsepio.com/api/v1.0',
+    subscription: 'https://gateway.netsepio.com/api/v1.0',
+    nodes: 'https://gateway.erebrus.io/api/v1.0'
+  },
+  dev: {
+    organisation: 'https://gateway.dev.netsepio.com/api/v1.1',
+    gateway: 'https://gateway.dev.netsepio.com/api/v1.0',
+    subscription: 'https://gateway.dev.netsepio.com/api/v1.0',
+    nodes: 'https://gateway.dev.netsepio.com/api/v1.0'
+  }
+};
+
+const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * Reads a gateway response body, raising on non-2xx statuses and on bodies that do not match
+ * the endpoint's schema
+ * @param {object} response - fetch Response
+ * @param {string} endpoint - Endpoint label used in error messages, e.g. "GET /nodes/all"
+ * @param {Function} [schema] - Expected body, one of schemas.RESPONSE_SCHEMAS
+ * @return {Promise<object>} Parsed JSON body
+ * @throws {GatewayError} On a failed request or a body that is not a JSON object
+ * @throws {ResponseValidationError} If the body does not match the schema
+ */
+async function readResponse(response, endpoint, schema) {
+  const rawText = await response.text();
+  let body = null;
+  if (rawText && rawText.trim()) {
+    try {
+      body = JSON.parse(rawText);
+    } catch (parseError) {
+      body = rawText;
+    }
+  }
+
+  if (!response.ok) {
+    const ErrorClass = response.status === 401 || response.status === 403 ? AuthenticationError : GatewayError;
+    throw new ErrorClass(`${endpoint} failed with HTTP ${response.status}`, { status: response.status, body, endpoint });
+  }
+
+  if (body === null || typeof body !== 'object') {
+    throw new GatewayError(`${endpoint} returned ${body === null ? 'an empty' : 'a non-JSON'} response`, { status: response.status, body, endpoint });
+  }
+
+  return schema ? validateResponse(body, schema, { status: response.status, endpoint }) : body;
+}
+
+class ErebrusClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.profile='production'] - Named profile from PROFILES
+   * @param {object} [options.baseUrls] - Per-service overrides of the profile's base URLs
+   * @param {Function} [options.fetch] - fetch implementation (defaults to node-fetch)
+   * @param {object} [options.headers] - Headers sent with every gateway request
+   * @param {number} [options.timeout=30000] - Request timeout in milliseconds, 0 to disable
+   * @param {object|boolean} [options.retry] - Retry policy for failed gateway requests:
+   * { retries, initialDelay, maxDelay, factor }, see DEFAULT_RETRY_OPTIONS; false to never retry
+   * @param {boolean} [options.strict=false] - Throw typed errors instead of returning null/false/[]
+   * @param {object|boolean|null} [options.logger] - Object with debug/info/warn/error methods,
+   * or false/null to disable logging (defaults to the console)
+   * @param {string} [options.logLevel='info'] - Minimum level that is logged
+   * @param {boolean} [options.redact=true] - Redact tokens, API keys and WireGuard keys before logging
+   * @param {object} [options.runner] - Command runner for system commands, see createCommandRunner
+   * @param {number} [options.nodeCacheTtl=60000] - Milliseconds the node list is cached, 0 to disable
+   * @param {object} [options.registry] - Where created clients are kept for reuse, see createMemoryRegistry
+   */
+  constructor(options = {}) {
+    const {
+      profile = 'production',
+      baseUrls = {},
+      fetch = nodeFetch,
+      headers = {},
+      timeout = DEFAULT_TIMEOUT,
+      retry = {},
+      strict = false,
+      logger,
+      logLevel = 'info',
+      redact = true,
+      runner = defaultRunner,
+      nodeCacheTtl = DEFAULT_NODE_CACHE_TTL,
+      registry = createMemoryRegistry()
+    } = options;
+
+    if (!PROFILES[profile]) {
+      throw new ErebrusError(`Unknown profile: ${profile}`);
+    }
+
+    this.profile = profile;
+    this.baseUrls = { ...PROFILES[profile], ...baseUrls };
+    this.fetch = fetch;
+    this.headers = { ...headers };
+    this.timeout = timeout;
+    this.retry = retry === false ? { ...DEFAULT_RETRY_OPTIONS, retries: 0 } : { ...DEFAULT_RETRY_OPTIONS, ...retry };
+    this.strict = strict;
+    this.logger = createLogger({ logger, level: logLevel, redact });
+    this.runner = runner;
+    this.nodes = new NodeCatalog({ fetchNodes: token => this.fetchNodes(token), ttl: nodeCacheTtl });
+    this.registry = registry;
+    this.session = null;
+    // Addresses the kill switch allows for host names, kept while it blocks DNS
+    this.killSwitchHosts = new Map();
+  }
+
+  /**
+   * Collaborators handed to the WireGuard helpers
+   * @return {object} Context object
+   */
+  get context() {
+    return { logger: this.logger, runner: this.runner };
+  }
+
+  /**
+   * Logs a failure and either rethrows it (strict mode) or returns the legacy fallback value
+   * @param {string} message - Log message prefix
+   * @param {Error} error - The failure
+   * @param {*} fallback - Value returned when not in strict mode
+   * @return {*} The fallback value
+   */
+  fail(message, error, fallback) {
+    this.logger.error(`${message}: ${error.message}`);
+    if (this.strict) {
+      throw error;
+    }
+    return fallback;
+  }
+
+  /**
+   * Sends a request to one of the gateway services. Requests given an auth option carry a
+   * bearer token: the one passed, or else the session's, which is renewed and the request
+   * retried once if the gateway answers 401.
+   * @param {string} service - Service key in baseUrls (organisation, gateway, subscription, nodes)
+   * @param {string} path - Path appended to the service base URL
+   * @param {object} [options] - fetch options, plus an optional per-request timeout and auth token
+   * and the retry options of send
+   * @return {Promise<object>} fetch Response
+   * @throws {GatewayError} On network failure or timeout
+   * @throws {AuthenticationError} If the request needs a token and there is neither one nor a session
+   */
+  async request(service, path, options = {}) {
+    if (!Object.prototype.hasOwnProperty.call(options, 'auth')) {
+      return this.send(service, path, options);
+    }
+
+    const { auth, headers = {}, ...init } = options;
+    const useSession = !auth && this.session !== null;
+    if (!auth && !useSession) {
+      throw new AuthenticationError(`${init.method || 'GET'} ${path} needs a token; pass one or create a session first`);
+    }
+
+    const withToken = token => ({ ...init, headers: { ...headers, 'Authorization': `Bearer ${token}` } });
+    const response = await this.send(service, path, withToken(useSession ? await this.session.getToken() : auth));
+    if (!useSession || response.status !== 401) {
+      return response;
+    }
+
+    this.logger.info('Token was rejected, renewing the session...');
+    return this.send(service, path, withToken(await this.session.refresh()));
+  }
+
+  /**
+   * Sends a request to a gateway service, retrying network failures, timeouts, 5xx and 429
+   * responses with exponential backoff and jitter (or the delay a Retry-After header asks for).
+   * Requests that are not idempotent (POST by default) are only repeated when the failed attempt
+   * certainly never reached the gateway (the connection was never made; any response, 503
+   * included, counts as reached), or when verifyRetry confirms repeating is safe.
+   * @param {string} service - Service key in baseUrls
+   * @param {string} path - Path appended to the service base URL
+   * @param {object} [options] - fetch options, plus:
+   * @param {number} [options.timeout] - Per-attempt timeout in milliseconds (default: the client's)
+   * @param {number} [options.retries] - Retries after the first attempt (default: the client's)
+   * @param {boolean} [options.idempotent] - Whether repeating the request is harmless
+   * (default: true for GET, HEAD, OPTIONS, PUT and DELETE)
+   * @param {Function} [options.verifyRetry] - async () => boolean, called before repeating a
+   * request that is not idempotent after a failure that may have reached the gateway
+   * @return {Promise<object>} fetch Response; the last one when every attempt got a retryable status
+   * @throws {GatewayError} On network failure or timeout of the last attempt
+   */
+  async send(service, path, options = {}) {
+    const { retries = this.retry.retries, idempotent, verifyRetry, ...init } = options;
+    const method = (init.method || 'GET').toUpperCase();
+    const repeatable = idempotent !== undefined ? idempotent : IDEMPOTENT_METHODS.includes(method);
+    const endpoint = `${method} ${path}`;
+
+    for (let attempt = 1; ; attempt++) {
+      let response = null;
+      let failure;
+      try {
+        response = await this.sendOnce(service, path, init);
+        if (!isRetryableStatus(response.status)) {
+          return response;
+        }
+        failure = { status: response.status };
+      } catch (error) {
+        if (!(error instanceof GatewayError)) {
+          throw error;
+        }
+        failure = { error };
+      }
+
+      const retryAfter = response && response.headers ? parseRetryAfter(response.headers.get('retry-after')) : null;
+      const canRetry = attempt <= retries
+        && (retryAfter === null || retryAfter <= this.retry.maxDelay)
+        && (repeatable || wasNotProcessed(failure) || (typeof verifyRetry === 'function' && await verifyRetry().catch(() => false)));
+      if (!canRetry) {
+        if (failure.error) {
+          throw failure.error;
+        }
+        return response;
+      }
+
+      const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt, this.retry);
+      const reason = failure.error ? failure.error.message : `${endpoint} returned HTTP ${failure.status}`;
+      this.logger.warn(`${reason}; retrying in ${delay}ms (${attempt}/${retries})`);
+      if (response && typeof response.text === 'function') {
+        // Release the connection before waiting
+        await response.text().catch(() => {});
+      }
+      await wait(delay);
+    }
+  }
+
+  /**
+   * Sends one HTTP request to a gateway service, see send
+   * @param {string} service - Service key in baseUrls
+   * @param {string} path - Path appended to the service base URL
+   * @param {object} [options] - fetch options, plus an optional per-request timeout
+   * @return {Promise<object>} fetch Response
+   * @throws {GatewayError} On network failure or timeout
+   */
+  async sendOnce(service, path, options = {}) {
+    const baseUrl = this.baseUrls[service];
+    if (!baseUrl) {
+      throw new ErebrusError(`No base URL configured for service: ${service}`);
+    }
+
+    const { timeout = this.timeout, headers = {}, ...init } = options;
+    const endpoint = `${init.method || 'GET'} ${path}`;
+    const fetchImpl = this.fetch;
+    const controller = timeout > 0 && typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+
+    try {
+      return await fetchImpl(`${baseUrl}${path}`, {
+        ...init,
+        headers: { ...this.headers, ...headers },
+        ...(controller ? { signal: controller.signal } : {})
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new GatewayError(`${endpoint} timed out after ${timeout}ms`, { endpoint, cause: error });
+      }
+      throw new GatewayError(`${endpoint} failed: ${error.message}`, { endpoint, cause: error });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Creates a new organization and returns its details including API key
+   * @return {Promise<object|null>} Organization data or null if failed
+   */
+  async createOrganization() {
+    try {
+      const response = await this.request('organisation', '/organisation', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const data = await readResponse(response, 'POST /organisation', RESPONSE_SCHEMAS.organisation);
+      this.logger.debug(`Organization created: ${JSON.stringify(data)}`);
+      return data;
+    } catch (error) {
+      return this.fail('Error creating organization', error, null);
+    }
+  }
+
+  /**
+   * Authenticates with the API using organization API key and returns an authentication token
+   * @param {string} apiKey - Organization API key
+   * @return {Promise<string|null>} Authentication token or null if failed
+   */
+  async authenticate(apiKey) {
+    try {
+      if (!apiKey) {
+        throw new AuthenticationError('API key is required');
+      }
+
+      const response = await this.request('organisation', '/organisation/token', {
+        method: 'GET',
+        headers: {
+          'X-API-Key': apiKey
+        }
+      });
+
+      const data = await readResponse(response, 'GET /organisation/token');
+      this.logger.debug(`Authentication response: ${JSON.stringify(data)}`);
+
+      if (data.status !== 200) {
+        throw new AuthenticationError(`Authentication failed: ${data.message || 'Unknown error'}`, {
+          status: data.status,
+          body: data,
+          endpoint: 'GET /organisation/token'
+        });
+      }
+
+      validateResponse(data, RESPONSE_SCHEMAS.token, { status: response.status, endpoint: 'GET /organisation/token' });
+      return data.payload.token;
+    } catch (error) {
+      return this.fail('Authentication Error', error, null);
+    }
+  }
+
+  /**
+   * Authenticates with an Ethereum wallet instead of an API key: fetches a flow ID for the
+   * wallet, signs the gateway's message with it (EIP-191 personal_sign) and exchanges the
+   * signature for an authentication token
+   * @param {object} signer - ethers Signer, e.g. a Wallet or a JsonRpcSigner
+   * @param {object} [options]
+   * @param {string} [options.chain='evm'] - Chain name the gateway verifies the signature for
+   * @return {Promise<string|null>} Authentication token or null if failed
+   */
+  async authenticateWithWallet(signer, options = {}) {
+    const { chain = 'evm' } = options;
+    try {
+      if (!signer || typeof signer.getAddress !== 'function' || typeof signer.signMessage !== 'function') {
+        throw new AuthenticationError('An ethers Signer is required');
+      }
+
+      const walletAddress = await signer.getAddress();
+      const query = `walletAddress=${encodeURIComponent(walletAddress)}&chain=${encodeURIComponent(chain)}`;
+      this.logger.info(`Authenticating wallet ${walletAddress}...`);
+
+      const flowResponse = await this.request('gateway', `/flowid?${query}`);
+      const flow = await readResponse(flowResponse, 'GET /flowid', RESPONSE_SCHEMAS.flow);
+      this.logger.debug(`Flow ID response: ${JSON.stringify(flow)}`);
+
+      // The gateway expects the EULA followed by the flow ID, signed as a personal message
+      const { eula = '', flowId } = flow.payload;
+      const message = `${eula}${flowId}`;
+      const signature = await signer.signMessage(message);
+      if (verifyMessage(message, signature).toLowerCase() !== walletAddress.toLowerCase()) {
+        throw new AuthenticationError('Signer returned a signature that does not match its address');
+      }
+
+      const response = await this.request('gateway', `/authenticate?${query}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ flowId, signature, chainName: chain, walletAddress })
+      });
+      const data = await readResponse(response, 'POST /authenticate');
+      this.logger.debug(`Authentication response: ${JSON.stringify(data)}`);
+
+      if (!data.payload || !data.payload.token) {
+        throw new AuthenticationError(`Authentication failed: ${data.message || 'No token returned'}`, {
+          status: data.status,
+          body: data,
+          endpoint: 'POST /authenticate'
+        });
+      }
+
+      return data.payload.token;
+    } catch (error) {
+      return this.fail('Wallet authentication error', error, null);
+    }
+  }
+
+  /**
+   * Starts a session that supplies and renews the token for every gateway call, so methods
+   * taking a token can be called with null instead
+   * @param {object} credentials - { apiKey }, { signer, chain } or { getToken: async () => token }
+   * @param {object} [options]
+   * @param {number} [options.refreshMargin=60000] - Milliseconds before expiry at which the token is renewed
+   * @return {Promise<AuthSession|null>} The active session or null if failed
+   */
+  async createSession(credentials, options = {}) {
+    try {
+      const session = new AuthSession({ ...options, client: this, credentials });
+      await session.refresh();
+      this.session = session;
+      return session;
+    } catch (error) {
+      return this.fail('Session error', error, null);
+    }
+  }
+
+  /**
+   * Checks subscription status
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @return {Promise<object|null>} Subscription data or null if failed
+   */
+  async checkSubscription(token) {
+    try {
+      return (await this.fetchSubscription(token)).raw;
+    } catch (error) {
+      return this.fail('Subscription check error', error, null);
+    }
+  }
+
+  /**
+   * Fetches the subscription and types its status
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @return {Promise<object>} Subscription status, see subscription.parseSubscription
+   * @throws {GatewayError} If the request fails or the response has an unexpected shape
+   */
+  async fetchSubscription(token) {
+    this.logger.info('Checking subscription status...');
+    const response = await this.request('subscription', '/subscription', {
+      auth: token
+    });
+
+    // Log the raw response for debugging
+    this.logger.debug('Response status: ' + response.status);
+
+    // The gateway reports a missing subscription either as 404 or as 200 { status: 'notFound' }
+    let data;
+    try {
+      data = await readResponse(response, 'GET /subscription', RESPONSE_SCHEMAS.subscription);
+    } catch (error) {
+      if (error instanceof GatewayError && error.status === 404) {
+        return noSubscription(error.body);
+      }
+      throw error;
+    }
+    this.logger.debug('Raw subscription API response: ' + JSON.stringify(data, null, 2));
+
+    return parseSubscription(data);
+  }
+
+  /**
+   * Creates a trial subscription
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @return {Promise<object|null>} Subscription data or null if failed
+   */
+  async createTrialSubscription(token) {
+    try {
+      return await this.startTrial(token);
+    } catch (error) {
+      return this.fail('Trial subscription error', error, null);
+    }
+  }
+
+  /**
+   * Sends the trial subscription request
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @return {Promise<object>} Trial subscription response
+   * @throws {GatewayError} If the gateway refuses or the request fails
+   */
+  async startTrial(token) {
+    this.logger.info('Creating trial subscription...');
+    const response = await this.request('subscription', '/subscription/trial', {
+      method: 'POST',
+      auth: token
+    });
+
+    const data = await readResponse(response, 'POST /subscription/trial');
+    this.logger.debug('Trial subscription response: ' + JSON.stringify(data));
+
+    return data;
+  }
+
+  /**
+   * Reads the subscription status and, when asked, starts a trial if there is no subscription
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @param {object} [options]
+   * @param {boolean} [options.trial=false] - Start a trial when the organization has no subscription
+   * @return {Promise<object|null>} { status ('active', 'expired' or 'none'), plan, startsAt, expiresAt,
+   * trial, raw }, where trial is null when none was attempted, otherwise { started, reason };
+   * null if the check failed
+   */
+  async ensureSubscription(token, options = {}) {
+    try {
+      return await this.resolveSubscription(token, options);
+    } catch (error) {
+      return this.fail('Subscription error', error, null);
+    }
+  }
+
+  /**
+   * ensureSubscription without the error handling
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @param {object} [options] - { trial }
+   * @return {Promise<object>} Subscription status
+   * @throws {GatewayError} If the gateway cannot be reached or answers unexpectedly
+   */
+  async resolveSubscription(token, options = {}) {
+    const subscription = { ...(await this.fetchSubscription(token)), trial: null };
+    if (subscription.status !== 'none' || !options.trial) {
+      return subscription;
+    }
+
+    try {
+      await this.startTrial(token);
+    } catch (error) {
+      // A 4xx other than 401 is the gateway refusing the trial, e.g. because one was already used
+      if (!(error instanceof GatewayError) || !(error.status >= 400 && error.status < 500) || error.status === 401) {
+        throw error;
+      }
+      const reason = (error.body && (error.body.message || error.body.error)) || error.message;
+      this.logger.warn(`Trial subscription not allowed: ${reason}`);
+      return { ...subscription, trial: { started: false, reason } };
+    }
+
+    return { ...(await this.fetchSubscription(token)), trial: { started: true, reason: null } };
+  }
+
+  /**
+   * Fetches every node from the gateway, bypassing the node cache
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @return {Promise<Array<object>>} Raw node objects of every status
+   * @throws {GatewayError} If the request fails or the response has no node list
+   */
+  async fetchNodes(token) {
+    this.logger.info('Fetching all available nodes...');
+    const response = await this.request('nodes', '/nodes/all', {
+      auth: token
+    });
+    const data = await readResponse(response, 'GET /nodes/all', RESPONSE_SCHEMAS.nodes);
+    this.logger.info(`Found ${data.payload.length} nodes`);
+    return data.payload;
+  }
+
+  /**
+   * Gets all active nodes, from the node cache when fresh
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @return {Promise<Array>} Array of node objects as returned by the gateway
+   */
+  async getAllNodes(token) {
+    try {
+      const activeNodes = await this.nodes.list(token);
+      this.logger.info(`${activeNodes.length} nodes are active`);
+      return activeNodes.map(node => node.raw);
+    } catch (error) {
+      return this.fail('Get nodes error', error, []);
+    }
+  }
+
+  /**
+   * Lists normalized nodes from the node cache, see NodeCatalog.list
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @param {object} [query] - Field filters plus status, includeInactive and refresh,
+   * e.g. { region: 'SG' } or { includeInactive: true, refresh: true }
+   * @return {Promise<Array<object>>} Normalized nodes ({ id, name, status, region, country, city,
+   * ip, domain, httpPort, endpoint, ... , raw })
+   */
+  async listNodes(token, query = {}) {
+    try {
+      return await this.nodes.list(token, query);
+    } catch (error) {
+      return this.fail('List nodes error', error, []);
+    }
+  }
+
+  /**
+   * Looks up one node by ID, whatever its status
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @param {string} nodeId - Node ID
+   * @param {object} [options]
+   * @param {boolean} [options.refresh=false] - Bypass the node cache
+   * @return {Promise<object|null>} Normalized node, or null if unknown or failed
+   */
+  async getNode(token, nodeId, options = {}) {
+    try {
+      return await this.nodes.get(token, nodeId, options);
+    } catch (error) {
+      return this.fail('Get node error', error, null);
+    }
+  }
+
+  /**
+   * Creates a client for a specific node
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @param {string} nodeId - ID of the node to connect to
+   * @param {string} clientName - Name for the client
+   * @return {Promise<object|null>} Client data or null if failed
+   */
+  async createClient(token, nodeId, clientName = "client") {
+    try {
+      this.logger.info(`Creating client for node: ${nodeId}`);
+
+      // Generate WireGuard keys in-process so they never touch the disk
+      const keyPair = generateWireGuardKeyPair();
+      const presharedKey = generatePresharedKey();
+
+      const clientData = {
+        name: clientName,
+        publicKey: keyPair.publicKey,
+        presharedKey: presharedKey
+      };
+
+      this.logger.debug(`Sending client data: ${JSON.stringify(clientData)}`);
+
+      const response = await this.request('gateway', `/erebrus/client/${nodeId}`, {
+        method: 'POST',
+        auth: token,
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(clientData),
+        verifyRetry: () => this.discardClient(token, keyPair.publicKey)
+      });
+
+      // Log the raw response details for debugging
+      this.logger.debug(`Response status: ${response.status} ${response.statusText}`);
+
+      const data = await readResponse(response, 'POST /erebrus/client/:nodeId', RESPONSE_SCHEMAS.client);
+      this.logger.debug(`Client creation response: ${JSON.stringify(data)}`);
+
+      // Store the keys with the response data
+      data.privateKey = keyPair.privateKey;
+      data.publicKey = keyPair.publicKey;
+      data.presharedKey = presharedKey;
+
+      return data;
+    } catch (error) {
+      return this.fail('Client creation error', error, null);
+    }
+  }
+
+  /**
+   * Makes it safe to repeat a client creation whose outcome is unknown: if the gateway did
+   * register a client with the public key, that client is deleted first
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @param {string} publicKey - WireGuard public key sent with the creation
+   * @return {Promise<boolean>} True if no client with the key is left, false if that is unknown
+   */
+  async discardClient(token, publicKey) {
+    try {
+      const clients = await this.fetchClients(token);
+      const created = clients.find(client => (client.PublicKey || client.publicKey) === publicKey);
+      if (!created) {
+        return true;
+      }
+      this.logger.info(`Removing client ${clientIdOf(created)} left by the failed attempt...`);
+      const response = await this.request('gateway', `/erebrus/client/${clientIdOf(created)}`, {
+        method: 'DELETE',
+        auth: token
+      });
+      await readResponse(response, 'DELETE /erebrus/client/:clientId');
+      return true;
+    } catch (error) {
+      this.logger.warn(`Warning: Could not check for a half-created client: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Lists the clients registered by this organization
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @return {Promise<Array>} Client objects as returned by the gateway
+   */
+  async listClients(token) {
+    try {
+      return await this.fetchClients(token);
+    } catch (error) {
+      return this.fail('List clients error', error, []);
+    }
+  }
+
+  /**
+   * listClients without the error handling
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @return {Promise<Array>} Client objects as returned by the gateway
+   * @throws {GatewayError} If the request fails
+   */
+  async fetchClients(token) {
+    const response = await this.request('gateway', '/erebrus/clients', {
+      auth: token
+    });
+    const data = await readResponse(response, 'GET /erebrus/clients', RESPONSE_SCHEMAS.clients);
+    this.logger.debug(`Clients response: ${JSON.stringify(data)}`);
+    return Array.isArray(data.payload) ? data.payload : [];
+  }
+
+  /**
+   * Removes a client from its node and forgets it in the registry
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @param {string} clientId - Client UUID
+   * @return {Promise<boolean>} True if deleted, false otherwise
+   */
+  async deleteClient(token, clientId) {
+    try {
+      this.logger.info(`Deleting client ${clientId}...`);
+      const response = await this.request('gateway', `/erebrus/client/${clientId}`, {
+        method: 'DELETE',
+        auth: token
+      });
+      await readResponse(response, 'DELETE /erebrus/client/:clientId');
+
+      const records = await this.registry.list();
+      await Promise.all(records
+        .filter(record => record.clientId === clientId)
+        .map(record => this.registry.delete(record.interfaceName)));
+      return true;
+    } catch (error) {
+      return this.fail('Client deletion error', error, false);
+    }
+  }
+
+  /**
+   * Returns the client a connection has registered on a node, creating one only if the
+   * registry has none for that connection and node
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @param {string} nodeId - Node ID
+   * @param {string} interfaceName - Connection name, the registry key, so two tunnels to one
+   * node never share a client
+   * @param {object} [options]
+   * @param {boolean} [options.reuse=true] - Use the client stored in the registry, if any
+   * @return {Promise<object>} Client record, see registry.toClientRecord
+   * @throws {ErebrusError} If a new client cannot be created
+   */
+  async obtainClient(token, nodeId, interfaceName, options = {}) {
+    const { reuse = true } = options;
+    const stored = reuse ? await this.registry.get(interfaceName) : null;
+    // The connection may have gone to another node last time
+    const existing = stored && stored.nodeId === nodeId ? stored : null;
+    if (existing && await this.isClientRegistered(token, existing)) {
+      this.logger.info(`Reusing client ${existing.clientId} for node ${nodeId}`);
+      return existing;
+    }
+    if (existing) {
+      this.logger.warn(`Client ${existing.clientId} is no longer registered on node ${nodeId}; creating a new one`);
+    }
+
+    const created = await this.createClient(token, nodeId);
+    if (!created) {
+      throw new ErebrusError('Failed to create client for the specified node.');
+    }
+    this.logger.info('DVPN client created successfully!');
+    this.logger.debug('Client details:');
+    this.logger.debug(created);
+    return toClientRecord(nodeId, created);
+  }
+
+  /**
+   * Checks that the gateway still has a stored client, which it drops when the client expires
+   * or is deleted elsewhere; a tunnel built from a dropped client never gets a handshake
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @param {object} record - Client record from the registry
+   * @return {Promise<boolean>} False if the gateway's client list lacks it; true if it has it or
+   * the list cannot be read, so an outage of that endpoint does not cost the client
+   */
+  async isClientRegistered(token, record) {
+    try {
+      const clients = await this.fetchClients(token);
+      return clients.some(client => (record.clientId && clientIdOf(client) === record.clientId) ||
+        (record.publicKey && (client.PublicKey || client.publicKey) === record.publicKey));
+    } catch (error) {
+      this.logger.warn(`Warning: Could not check client ${record.clientId} with the gateway: ${error.message}`);
+      return true;
+    }
+  }
+
+  /**
+   * Creates a WireGuard configuration file
+   * @param {object} clientData - Client data from createClient
+   * @param {object} [options] - Tunnel options, see resolveTunnelOptions
+   * @return {Promise<string|null>} Path to the configuration file or null if failed
+   */
+  async createWireGuardConfig(clientData, options = {}) {
+    try {
+      return await createWireGuardConfig(clientData, options, this.context);
+    } catch (error) {
+      return this.fail('Error creating WireGuard config', error, null);
+    }
+  }
+
+  /**
+   * Resolves a node selector against the list of active nodes
+   * @param {Array<object>} nodes - Active nodes
+   * @param {string|Function} selector - Node ID, 'auto' for the lowest-latency node, or a
+   * predicate over normalized nodes (see normalizeNode) that picks the lowest-latency node
+   * among those it accepts
+   * @param {object} [selection] - Ranking options for 'auto' and predicates, see rankNodes
+   * @return {Promise<object>} The selected node
+   * @throws {NodeNotFoundError} If no node matches
+   */
+  async resolveNode(nodes, selector, selection = {}) {
+    if (typeof selector === 'string' && selector !== 'auto') {
+      const node = nodes.find(n => n.id === selector);
+      if (!node) {
+        throw new NodeNotFoundError(`Provided nodeId ${selector} is not in the list of active nodes.`, { nodeId: selector });
+      }
+      return node;
+    }
+
+    const match = typeof selector === 'function' ? selector : selection.match;
+    const node = await selectBestNode(nodes, { logger: this.logger, ...selection, match });
+    if (!node) {
+      throw new NodeNotFoundError('No reachable active node matches the node selector.');
+    }
+    this.logger.info(`Selected node ${node.id}`);
+    return node;
+  }
+
+  /**
+   * Looks the active nodes up through the node cache and resolves a node selector against them
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @param {string|Function} selector - Node ID, 'auto' or a predicate, see resolveNode
+   * @param {object} [selection] - Ranking options for 'auto' and predicates
+   * @return {Promise<object>} The selected node
+   * @throws {NodeNotFoundError} If there are no active nodes or none matches
+   */
+  async findNode(token, selector, selection) {
+    const nodes = await this.nodes.list(token);
+    if (nodes.length === 0) {
+      throw new NodeNotFoundError('No active nodes available. Cannot connect to DVPN.', { nodeId: selector });
+    }
+    return this.resolveNode(nodes, selector, selection);
+  }
+
+  /**
+   * Registers (or reuses) a client on a node and returns its WireGuard configuration
+   * without bringing a tunnel up, for use with other WireGuard clients
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @param {string|Function} nodeId - Node ID, 'auto' or a predicate, see connectDvpn
+   * @param {object} [options] - Tunnel options plus selection and reuseClient, see connectDvpn
+   * @return {Promise<string|null>} Configuration file contents or null if failed
+   */
+  async exportWireGuardConfig(token, nodeId, options = {}) {
+    try {
+      const { interfaceName } = resolveTunnelOptions(options);
+      const node = await this.findNode(token, nodeId, options.selection);
+      // Kept under the connection name, so connecting with the same interfaceName reuses the client
+      const record = await this.obtainClient(token, node.id, interfaceName, { reuse: options.reuseClient !== false });
+      await this.registry.set(interfaceName, { ...record, interfaceName });
+      return serializeConfig(buildWireGuardConfig(toClientData(record), options));
+    } catch (error) {
+      return this.fail('Config export error', error, null);
+    }
+  }
+
+  /**
+   * Gateway hosts that must stay reachable outside the tunnel, e.g. while a kill switch is on
+   * @return {Array<object>} { host, port, protocol, optional } for each distinct base URL host
+   */
+  gatewayEndpoints() {
+    const seen = new Set();
+    return Object.values(this.baseUrls)
+      .map(baseUrl => new URL(baseUrl))
+      .map(url => ({ host: url.hostname.replace(/^\[|\]$/g, ''), port: Number(url.port) || (url.protocol === 'http:' ? 80 : 443), protocol: 'tcp', optional: true }))
+      .filter(endpoint => {
+        const key = `${endpoint.host}:${endpoint.port}`;
+        return seen.has(key) ? false : seen.add(key);
+      });
+  }
+
+  /**
+   * Connects to DVPN
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @param {string|Function} nodeId - Node ID to connect to, 'auto' to pick the lowest-latency
+   * node, or a predicate over normalized nodes that narrows the nodes 'auto' picks from
+   * @param {object} [options] - Tunnel options (allowedIPs, excludeIPs, dns, dnsBackend, mtu,
+   * keepalive, endpointPort, interfaceName, configDir, defaultRoute, fwmark, namespace), see
+   * resolveTunnelOptions; interfaceName names the connection. Plus selection
+   * (ranking options for 'auto' and predicates, see rankNodes), reuseClient (default true),
+   * subscription (true, or { trial: true }, to require an active subscription first),
+   * killSwitch (true, or { allowLan, allowDhcp, backend }, to block traffic outside the tunnel)
+   * and verify (true, or verifyTunnel options, to take the tunnel down and fail unless
+   * verifyTunnel finds it sound)
+   * @return {Promise<boolean>} True if connected successfully, false otherwise
+   */
+  async connectDvpn(token, nodeId, options = {}) {
+    let killSwitchActive = false;
+    try {
+      this.logger.info('Starting DVPN connection process...');
+
+      // Reject bad options before a client is registered on the node
+      const tunnel = resolveTunnelOptions(options);
+      if (tunnel.namespace && options.killSwitch) {
+        throw new ConfigError('killSwitch cannot be combined with namespace: it would block the host, and traffic in the namespace can only leave through the tunnel anyway');
+      }
+
+      if (options.subscription) {
+        const subscriptionOptions = options.subscription === true ? {} : options.subscription;
+        assertActiveSubscription(await this.resolveSubscription(token, subscriptionOptions));
+      }
+
+      // Check if WireGuard is installed
+      const isWireGuardInstalled = await checkWireGuard(this.context);
+
+      if (!isWireGuardInstalled) {
+        throw new WireGuardNotInstalledError('Cannot connect to DVPN without WireGuard installed.');
+      }
+
+      // Validate the provided nodeId against the cached nodes, or pick one for 'auto' and predicates
+      nodeId = (await this.findNode(token, nodeId, options.selection)).id;
+      this.logger.info(`Connecting to specified node: ${nodeId}`);
+
+      // Reuse the client this connection registered on the node, or create one
+      const record = await this.obtainClient(token, nodeId, tunnel.interfaceName, { reuse: options.reuseClient !== false });
+      const peer = parseEndpoint(record.endpoint, tunnel.endpointPort);
+      await this.registry.set(tunnel.interfaceName, {
+        ...record,
+        interfaceName: tunnel.interfaceName,
+        configPath: tunnel.configPath,
+        endpointPort: peer.port
+      });
+
+      // Create WireGuard configuration
+      const configPath = await this.createWireGuardConfig(toClientData(record), options);
+
+      if (!configPath) {
+        throw new ErebrusError('Failed to create WireGuard configuration.');
+      }
+
+      // The exit IP before connecting, for verification to compare against; a namespace
+      // leaves the host's own exit IP unchanged, so verifyTunnel measures it itself
+      const verifyOptions = options.verify === true ? {} : options.verify;
+      const before = verifyOptions && !tunnel.namespace ? await fetchExitIp(verifyOptions, this.context) : undefined;
+
+      // Block traffic outside the tunnel before it comes up, so a failed setup cannot leak.
+      // The other connections' tunnels stay allowed, as the rules replace theirs.
+      if (options.killSwitch) {
+        const others = (await this.listConnections().catch(() => []))
+          .filter(connection => connection.name !== tunnel.interfaceName);
+        await applyKillSwitch({
+          ...DEFAULT_KILL_SWITCH_OPTIONS,
+          ...(options.killSwitch === true ? {} : options.killSwitch),
+          interfaceName: [tunnel.interfaceName, ...others.map(connection => connection.name)],
+          endpoints: [
+            { host: peer.host, port: peer.port, protocol: 'udp' },
+            ...others
+              .filter(connection => connection.endpoint)
+              .map(connection => ({ host: connection.endpoint, port: connection.endpointPort, protocol: 'udp' })),
+            ...this.gatewayEndpoints()
+          ],
+          resolvedHosts: this.killSwitchHosts
+        }, this.context);
+        killSwitchActive = true;
+      }
+
+      // Connect to WireGuard
+      await connectToWireGuard(configPath, tunnel, this.context);
+      this.logger.info('Successfully connected to DVPN via WireGuard!');
+
+      if (verifyOptions) {
+        const report = await verifyTunnel({
+          ...verifyOptions,
+          interfaceName: tunnel.interfaceName,
+          namespace: tunnel.namespace,
+          before,
+          node: peer.host,
+          defaultRoute: tunnel.defaultRoute
+        }, this.context);
+        if (!report.ok) {
+          // The kill switch, if any, stays up to block the leak
+          await disconnectVPN(tunnel.configPath, this.context);
+          throw new VerificationError(`Tunnel verification failed: ${report.problems.join('; ')}`, { report });
+        }
+        return true;
+      }
+
+      // Check if connection was successful by verifying IP change
+      (tunnel.namespace ? namespaceRunner(this.runner, tunnel.namespace) : this.runner)
+        .run('curl', ['-s', '--max-time', '10', 'https://api.ipify.org'])
+        .then(({ stdout }) => this.logger.info(`Your new public IP address is: ${stdout}`))
+        .catch(() => {});
+
+      return true;
+    } catch (error) {
+      if (killSwitchActive) {
+        this.logger.warn('The kill switch is still blocking traffic; call disconnectVPN() or removeKillSwitch() to lift it');
+      }
+      return this.fail('DVPN Error', error, false);
+    }
+  }
+
+  /**
+   * Disconnects from WireGuard
+   * @param {string|object} [configPath] - Path to the WireGuard configuration file, or the tunnel options it was created with
+   * @param {object} [options]
+   * @param {boolean} [options.revoke=false] - Also delete the tunnel's client on the node
+   * @param {string} [options.token] - Authentication token for the revocation (default: the session's)
+   * @param {boolean} [options.keepKillSwitch=false] - Leave the kill switch in place, e.g. while
+   * reconnecting; it is also kept while other connections are up
+   * @return {Promise<boolean>} True if disconnected (and revoked, when asked) successfully, false otherwise
+   */
+  async disconnectVPN(configPath = DEFAULT_CONFIG_PATH, options = {}) {
+    const disconnected = await disconnectVPN(configPath, this.context);
+    if (!options.keepKillSwitch && (await this.listConnections().catch(() => [])).length === 0) {
+      await this.removeKillSwitch();
+    }
+    if (!options.revoke) {
+      return disconnected;
+    }
+
+    const interfaceName = typeof configPath === 'object'
+      ? resolveTunnelOptions(configPath).interfaceName
+      : interfaceNameFor(configPath);
+    const records = await this.registry.list();
+    const record = records.find(r => r.interfaceName === interfaceName);
+    if (!record) {
+      this.logger.warn(`No registered client for interface ${interfaceName}, nothing to revoke`);
+      return disconnected;
+    }
+
+    return (await this.deleteClient(options.token, record.clientId)) && disconnected;
+  }
+
+  /**
+   * Disconnects one named connection, leaving the others up
+   * @param {string} name - Connection name, i.e. the interfaceName it was connected with
+   * @param {object} [options] - See disconnectVPN
+   * @return {Promise<boolean>} True if disconnected successfully, false otherwise
+   */
+  async disconnect(name, options = {}) {
+    const records = await this.registry.list();
+    const record = records.find(r => r.interfaceName === name);
+    return this.disconnectVPN(record && record.configPath ? record.configPath : { interfaceName: name }, options);
+  }
+
+  /**
+   * Lists the tunnels that are up, with the node each one is connected to when the registry knows it
+   * @return {Promise<Array<object>>} { name, namespace, nodeId, endpoint, endpointPort, configPath,
+   * table, status } per connection; see getConnectionStatus for status
+   */
+  async listConnections() {
+    try {
+      const [tunnels, records] = await Promise.all([listTunnels(this.context), this.registry.list()]);
+      return await Promise.all(tunnels.map(async ({ name, namespace }) => {
+        const record = records.find(r => r.interfaceName === name) || {};
+        const peer = record.endpoint ? parseEndpoint(record.endpoint, record.endpointPort) : null;
+        return {
+          name,
+          namespace,
+          nodeId: record.nodeId || null,
+          endpoint: peer ? peer.host : null,
+          endpointPort: peer ? peer.port : null,
+          configPath: record.configPath || null,
+          table: routingTableFor(name),
+          status: await this.getConnectionStatus(name, { namespace })
+        };
+      }));
+    } catch (error) {
+      return this.fail('Error listing connections', error, []);
+    }
+  }
+
+  /**
+   * Removes the kill switch rules, e.g. after a crash left them behind
+   * @return {Promise<boolean>} True if any rules were removed
+   */
+  async removeKillSwitch() {
+    this.killSwitchHosts.clear();
+    return removeKillSwitch(this.context);
+  }
+
+  /**
+   * Undoes the DNS changes made for a tunnel, e.g. after a crash left them behind
+   * @param {string} [interfaceName] - WireGuard interface (default: erebrus-dvpn)
+   * @return {Promise<boolean>} True if a resolv.conf backup was restored
+   */
+  async restoreDns(interfaceName = DEFAULT_TUNNEL_OPTIONS.interfaceName) {
+    return restoreDns(interfaceName, {}, this.context);
+  }
+
+  /**
+   * Checks that a tunnel that is up keeps traffic inside it, see verify.verifyTunnel
+   * @param {object} [options] - verifyTunnel options; interfaceName picks the connection, whose
+   * namespace and node are looked up when not given
+   * @return {Promise<object|null>} Verification report, or null if the checks could not run
+   */
+  async verifyTunnel(options = {}) {
+    try {
+      const interfaceName = options.interfaceName || DEFAULT_TUNNEL_OPTIONS.interfaceName;
+      const [tunnels, records] = await Promise.all([listTunnels(this.context).catch(() => []), this.registry.list()]);
+      const tunnel = tunnels.find(t => t.name === interfaceName);
+      const record = records.find(r => r.interfaceName === interfaceName);
+      return await verifyTunnel({
+        namespace: tunnel ? tunnel.namespace : null,
+        node: record && record.endpoint ? parseEndpoint(record.endpoint).host : undefined,
+        ...options,
+        interfaceName
+      }, this.context);
+    } catch (error) {
+      return this.fail('Verification error', error, null);
+    }
+  }
+
+  /**
+   * Reads live statistics for the tunnel interface
+   * @param {string} [interfaceName] - WireGuard interface (default: erebrus-dvpn)
+   * @param {object} [options]
+   * @param {string} [options.namespace] - Network namespace the interface is in
+   * @return {Promise<object>} Connection status, see status.getConnectionStatus
+   */
+  async getConnectionStatus(interfaceName, options = {}) {
+    const runner = options.namespace ? namespaceRunner(this.runner, options.namespace) : this.runner;
+    return getConnectionStatus(interfaceName, { logger: this.logger, runner });
+  }
+
+  /**
+   * Runs a command inside a tunnel's network namespace and waits for it to finish
+   * @param {string} command - Executable
+   * @param {Array<string>} [args] - Arguments
+   * @param {object} [options]
+   * @param {string} [options.namespace] - Namespace (default: the interfaceName's, erebrus-dvpn)
+   * @param {string} [options.interfaceName] - Tunnel whose namespace to use when none is given
+   * @param {string} [options.user] - User to run as (default: the user running this process)
+   * @param {string} [options.input] - Data written to the command's stdin
+   * @return {Promise<object>} { code, stdout, stderr }
+   * @throws {CommandError} If the command cannot be started or exits non-zero
+   */
+  async runInTunnel(command, args = [], options = {}) {
+    const { namespace, interfaceName, ...runOptions } = options;
+    return runInNamespace(this.tunnelNamespace(namespace, interfaceName), command, args, runOptions, this.context);
+  }
+
+  /**
+   * Starts a command inside a tunnel's network namespace and returns without waiting
+   * @param {string} command - Executable
+   * @param {Array<string>} [args] - Arguments
+   * @param {object} [options] - namespace, interfaceName and user as for runInTunnel, plus
+   * child_process.spawn options (stdio, env, cwd)
+   * @return {ChildProcess} The started process
+   */
+  spawnInTunnel(command, args = [], options = {}) {
+    const { namespace, interfaceName, ...spawnOptions } = options;
+    return spawnInNamespace(this.tunnelNamespace(namespace, interfaceName), command, args, spawnOptions, this.context);
+  }
+
+  /**
+   * Resolves which namespace runInTunnel and spawnInTunnel use
+   * @param {string} [namespace] - Explicit namespace
+   * @param {string} [interfaceName] - Tunnel whose namespace to use otherwise
+   * @return {string} Namespace name
+   */
+  tunnelNamespace(namespace, interfaceName) {
+    return namespace || resolveTunnelOptions({ ...(interfaceName ? { interfaceName } : {}), namespace: true }).namespace;
+  }
+
+  /**
+   * Creates a monitor that keeps a tunnel to one node up; call start() on it to connect
+   * @param {string} [token] - Authentication token (default: the session's)
+   * @param {string} nodeId - Node to connect and reconnect to
+   * @param {object} [options] - Monitor options (tunnel, interval, staleThreshold, maxAttempts, backoff)
+   * @return {ConnectionMonitor} Monitor bound to this client
+   */
+  createMonitor(token, nodeId, options = {}) {
+    return new ConnectionMonitor({ ...options, client: this, token, nodeId });
+  }
+}
+
+module.exports = {
+  ErebrusClient,
+  PROFILES
+};
@@ -0,0 +1,225 @@
+const { ConfigError } = require('./errors');
+const { isValidKey } = require('./keys');
+
+// Keys whose values are comma-separated lists and may be repeated
+const LIST_KEYS = ['Address', 'DNS', 'AllowedIPs'];
+// wg-quick hooks: repeated lines accumulate, values are never split on commas
+const HOOK_KEYS = ['PreUp', 'PostUp', 'PreDown', 'PostDown'];
+const NUMBER_KEYS = ['ListenPort', 'MTU', 'PersistentKeepalive'];
+
+const INTERFACE_KEYS = ['PrivateKey', 'ListenPort', 'FwMark', 'Address', 'DNS', 'MTU', 'Table', 'SaveConfig', ...HOOK_KEYS];
+const PEER_KEYS = ['PublicKey', 'PresharedKey', 'AllowedIPs', 'Endpoint', 'PersistentKeepalive'];
+// Interface keys understood by `wg setconf`; everything else is wg-quick only
+const SETCONF_INTERFACE_KEYS = ['PrivateKey', 'ListenPort', 'FwMark'];
+
+// Keys are case-insensitive in wg-quick, so map every spelling to its canonical form
+const CANONICAL_KEYS = [...INTERFACE_KEYS, ...PEER_KEYS].reduce((map, key) => {
+  map[key.toLowerCase()] = key;
+  return map;
+}, {});
+
+const ENDPOINT_PATTERN = /^(\[[0-9A-Fa-f:.]+\]|[^\s:[\]]+):\d{1,5}$/;
+
+/**
+ * Stores a parsed value on a section, accumulating list and hook keys
+ * @param {object} section - Interface or Peer object being built
+ * @param {string} key - Canonical key name
+ * @param {string} value - Raw value from the config line
+ */
+function setValue(section, key, value) {
+  if (LIST_KEYS.includes(key)) {
+    const items = value.split(',').map(item => item.trim()).filter(Boolean);
+    section[key] = (section[key] || []).concat(items);
+  } else if (HOOK_KEYS.includes(key)) {
+    section[key] = (section[key] || []).concat(value);
+  } else if (NUMBER_KEYS.includes(key) && /^\d+$/.test(value)) {
+    section[key] = Number(value);
+  } else {
+    section[key] = value;
+  }
+}
+
+/**
+ * Parses a wg-quick configuration file
+ *
+ * Comments are dropped, keys are matched case-insensitively and unknown keys
+ * are kept as strings so they survive a round trip through serializeConfig.
+ * @param {string} text - Contents of a .conf file
+ * @return {object} Config object of the form { Interface: {...}, Peers: [{...}] }
+ */
+function parseConfig(text) {
+  const config = { Interface: null, Peers: [] };
+  const lines = String(text).split(/\r?\n/);
+  let section = null;
+
+  for (let index = 0; index < lines.length; index++) {
+    const lineNumber = index + 1;
+    const line = lines[index].replace(/#.*/, '').trim();
+    if (!line) {
+      continue;
+    }
+
+    const header = line.match(/^\[\s*(\w+)\s*\]$/);
+    if (header) {
+      const name = header[1].toLowerCase();
+      if (name === 'interface') {
+        if (config.Interface) {
+          throw new ConfigError(`Line ${lineNumber}: duplicate [Interface] section`);
+        }
+        section = config.Interface = {};
+      } else if (name === 'peer') {
+        section = {};
+        config.Peers.push(section);
+      } else {
+        throw new ConfigError(`Line ${lineNumber}: unknown section [${header[1]}]`);
+      }
+      continue;
+    }
+
+    const separator = line.indexOf('=');
+    if (separator === -1) {
+      throw new ConfigError(`Line ${lineNumber}: expected "Key = Value", got "${line}"`);
+    }
+
+    const rawKey = line.slice(0, separator).trim();
+    if (!section) {
+      throw new ConfigError(`Line ${lineNumber}: "${rawKey}" appears before any section`);
+    }
+
+    const key = CANONICAL_KEYS[rawKey.toLowerCase()] || rawKey;
+    setValue(section, key, line.slice(separator + 1).trim());
+  }
+
+  if (!config.Interface) {
+    config.Interface = {};
+  }
+
+  return config;
+}
+
+/**
+ * Renders the lines of one section
+ * @param {string} name - Section name (Interface or Peer)
+ * @param {object} section - Section object
+ * @param {Array<string>} [allowedKeys] - If given, only these keys are rendered
+ * @return {Array<string>} Config lines including the section header
+ */
+function renderSection(name, section, allowedKeys) {
+  const lines = [`[${name}]`];
+
+  Object.keys(section).forEach(key => {
+    const value = section[key];
+    if (value === undefined || value === null || (allowedKeys && !allowedKeys.includes(key))) {
+      return;
+    }
+
+    if (LIST_KEYS.includes(key)) {
+      const items = [].concat(value);
+      if (items.length > 0) {
+        lines.push(`${key} = ${items.join(', ')}`);
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach(item => lines.push(`${key} = ${item}`));
+    } else {
+      lines.push(`${key} = ${value}`);
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Serializes a config object into wg-quick format
+ * @param {object} config - Config object as returned by parseConfig
+ * @return {string} Contents of a .conf file
+ */
+function serializeConfig(config) {
+  const sections = [renderSection('Interface', config.Interface || {})];
+  (config.Peers || []).forEach(peer => sections.push(renderSection('Peer', peer)));
+  return sections.map(lines => lines.join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * Renders a config object in the format read by `wg setconf`, i.e. without
+ * wg-quick only keys such as Address, DNS, MTU and hooks
+ * @param {object} config - Config object as returned by parseConfig
+ * @return {string} Contents of a file for `wg setconf`
+ */
+function renderSetconf(config) {
+  const sections = [renderSection('Interface', config.Interface || {}, SETCONF_INTERFACE_KEYS)];
+  (config.Peers || []).forEach(peer => sections.push(renderSection('Peer', peer, PEER_KEYS)));
+  return sections.map(lines => lines.join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * Checks that a numeric setting is an integer within range
+ * @param {Array<string>} problems - Problem list to append to
+ * @param {string} label - Field label for the message
+ * @param {*} value - Value to check
+ * @param {number} max - Largest allowed value
+ */
+function checkInteger(problems, label, value, max) {
+  if (value !== undefined && !(Number.isInteger(value) && value >= 0 && value <= max)) {
+    problems.push(`${label} must be an integer between 0 and ${max}`);
+  }
+}
+
+/**
+ * Validates that a config object has everything needed to bring a tunnel up
+ * @param {object} config - Config object as returned by parseConfig
+ * @return {object} The same config object
+ * @throws {ConfigError} Listing every problem found
+ */
+function validateConfig(config) {
+  const problems = [];
+  const iface = (config && config.Interface) || {};
+  const peers = (config && config.Peers) || [];
+
+  if (!iface.PrivateKey) {
+    problems.push('Interface.PrivateKey is required');
+  } else if (!isValidKey(iface.PrivateKey)) {
+    problems.push('Interface.PrivateKey is not a valid base64 WireGuard key');
+  }
+  if (!iface.Address || iface.Address.length === 0) {
+    problems.push('Interface.Address is required');
+  }
+  checkInteger(problems, 'Interface.ListenPort', iface.ListenPort, 65535);
+  checkInteger(problems, 'Interface.MTU', iface.MTU, 65535);
+
+  if (peers.length === 0) {
+    problems.push('at least one [Peer] section is required');
+  }
+  peers.forEach((peer, index) => {
+    const label = `Peers[${index}]`;
+    if (!peer.PublicKey) {
+      problems.push(`${label}.PublicKey is required`);
+    } else if (!isValidKey(peer.PublicKey)) {
+      problems.push(`${label}.PublicKey is not a valid base64 WireGuard key`);
+    }
+    if (peer.PresharedKey !== undefined && !isValidKey(peer.PresharedKey)) {
+      problems.push(`${label}.PresharedKey is not a valid base64 WireGuard key`);
+    }
+    if (!peer.AllowedIPs || peer.AllowedIPs.length === 0) {
+      problems.push(`${label}.AllowedIPs is required`);
+    }
+    if (peer.Endpoint !== undefined && !ENDPOINT_PATTERN.test(peer.Endpoint)) {
+      problems.push(`${label}.Endpoint must be host:port or [ipv6]:port, got "${peer.Endpoint}"`);
+    }
+    if (peer.PersistentKeepalive !== 'off') {
+      checkInteger(problems, `${label}.PersistentKeepalive`, peer.PersistentKeepalive, 65535);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid WireGuard config: ${problems.join('; ')}`, { problems });
+  }
+
+  return config;
+}
+
+module.exports = {
+  parseConfig,
+  serializeConfig,
+  renderSetconf,
+  validateConfig
+};
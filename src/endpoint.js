@@ -0,0 +1,51 @@
+const { ConfigError } = require('./errors');
+const { parseAddress } = require('./cidr');
+
+/**
+ * Parses a WireGuard endpoint as the gateway returns it: a host name, IPv4 or IPv6 address,
+ * with or without a port ("203.0.113.7", "node.example.com:51821", "2001:db8::7",
+ * "[2001:db8::7]:51820")
+ * @param {string} endpoint - Endpoint text
+ * @param {number} [defaultPort] - Port used when the endpoint has none
+ * @return {object} { host (IPv6 without brackets), port (null if neither given), version (4, 6,
+ * or null for a host name) }
+ * @throws {ConfigError} If the endpoint or its port is malformed
+ */
+function parseEndpoint(endpoint, defaultPort) {
+  const text = String(endpoint === undefined || endpoint === null ? '' : endpoint).trim();
+  const bare = parseAddress(text);
+  // An IPv6 address without brackets cannot carry a port
+  const match = bare ? [text, undefined, text, undefined] : text.match(/^(?:\[([^\]]+)\]|([^:[\]\s]+))(?::(\d+))?$/);
+  if (!match) {
+    throw new ConfigError(`Invalid endpoint: "${text}"`, { problems: [`Endpoint must be host, host:port or [ipv6]:port, got "${text}"`] });
+  }
+
+  const host = match[1] || match[2];
+  const address = parseAddress(host);
+  if (match[1] !== undefined && (!address || address.version !== 6)) {
+    throw new ConfigError(`Invalid endpoint: "${text}"`, { problems: [`Only IPv6 addresses go in brackets, got "${text}"`] });
+  }
+
+  const port = match[3] !== undefined ? Number(match[3]) : defaultPort !== undefined ? defaultPort : null;
+  if (port !== null && !(Number.isInteger(port) && port >= 1 && port <= 65535)) {
+    throw new ConfigError(`Invalid endpoint: "${text}"`, { problems: [`Endpoint port must be between 1 and 65535, got ${port}`] });
+  }
+
+  return { host, port, version: address ? address.version : null };
+}
+
+/**
+ * Formats an endpoint as host:port, bracketing IPv6 addresses
+ * @param {object} endpoint - { host, port }
+ * @return {string} Endpoint text; just the host when port is null
+ */
+function formatEndpoint({ host, port }) {
+  const address = parseAddress(host);
+  const formatted = address && address.version === 6 ? `[${host}]` : host;
+  return port === null || port === undefined ? formatted : `${formatted}:${port}`;
+}
+
+module.exports = {
+  parseEndpoint,
+  formatEndpoint
+};
@@ -0,0 +1,182 @@
+/**
+ * Base class for every error raised by the SDK
+ */
+class ErebrusError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [options]
+   * @param {Error} [options.cause] - Underlying error, if any
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+/**
+ * A gateway request failed: network error, timeout or non-2xx response
+ */
+class GatewayError extends ErebrusError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [options]
+   * @param {number} [options.status] - HTTP status, absent when no response was received
+   * @param {*} [options.body] - Parsed JSON body, or raw text if it was not JSON
+   * @param {string} [options.endpoint] - Endpoint that failed, e.g. "GET /nodes/all"
+   * @param {Error} [options.cause] - Underlying error, if any
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.status = options.status;
+    this.body = options.body;
+    this.endpoint = options.endpoint;
+  }
+}
+
+/**
+ * The gateway rejected the API key or token
+ */
+class AuthenticationError extends GatewayError {}
+
+/**
+ * A gateway response does not have the shape the SDK expects
+ */
+class ResponseValidationError extends GatewayError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [options] - GatewayError options, plus:
+   * @param {string} [options.field] - Path of the first field that failed, e.g. "payload.client.Address"
+   * @param {Array<string>} [options.problems] - Every mismatch found
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.field = options.field;
+    this.problems = options.problems || [message];
+  }
+}
+
+/**
+ * The requested node does not exist or is not active
+ */
+class NodeNotFoundError extends ErebrusError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [options]
+   * @param {string} [options.nodeId] - ID of the node that was requested
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.nodeId = options.nodeId;
+  }
+}
+
+/**
+ * The wg binary is not available on this system
+ */
+class WireGuardNotInstalledError extends ErebrusError {}
+
+/**
+ * A system command needed to bring the tunnel up failed
+ */
+class TunnelSetupError extends ErebrusError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [options]
+   * @param {string} [options.command] - Command that failed
+   * @param {string} [options.stderr] - Standard error output of the command
+   * @param {Error} [options.cause] - Underlying error, if any
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.command = options.command;
+    this.stderr = options.stderr;
+  }
+}
+
+/**
+ * A system command could not be started or exited with a non-zero status
+ */
+class CommandError extends ErebrusError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [options]
+   * @param {string} [options.command] - Command line that was run
+   * @param {number|string} [options.code] - Exit code, or a spawn error code such as ENOENT
+   * @param {string} [options.stdout] - Standard output of the command
+   * @param {string} [options.stderr] - Standard error output of the command
+   * @param {Error} [options.cause] - Underlying error, if any
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.command = options.command;
+    this.code = options.code;
+    this.stdout = options.stdout;
+    this.stderr = options.stderr;
+  }
+}
+
+/**
+ * A WireGuard configuration is malformed or missing required fields
+ */
+class ConfigError extends ErebrusError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [options]
+   * @param {Array<string>} [options.problems] - Every validation problem found
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.problems = options.problems || [message];
+  }
+}
+
+/**
+ * The organization has no active subscription, or a trial could not be started
+ */
+class SubscriptionError extends ErebrusError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [options]
+   * @param {string} [options.reason] - 'expired', 'none' or 'trial-not-allowed'
+   * @param {object} [options.subscription] - Subscription status from ensureSubscription
+   * @param {Error} [options.cause] - Underlying error, if any
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.reason = options.reason;
+    this.subscription = options.subscription;
+  }
+}
+
+/**
+ * A tunnel came up but verifyTunnel found traffic leaving outside it, or no traffic at all
+ */
+class VerificationError extends ErebrusError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [options]
+   * @param {object} [options.report] - Report from verifyTunnel
+   * @param {Error} [options.cause] - Underlying error, if any
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.report = options.report;
+  }
+}
+
+module.exports = {
+  ErebrusError,
+  GatewayError,
+  AuthenticationError,
+  ResponseValidationError,
+  NodeNotFoundError,
+  WireGuardNotInstalledError,
+  TunnelSetupError,
+  CommandError,
+  ConfigError,
+  SubscriptionError,
+  VerificationError
+};
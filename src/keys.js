@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// DER prefixes that wrap a raw 32-byte X25519 key into PKCS#8 / SPKI structures
+const PKCS8_X25519_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+const SPKI_X25519_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+
+// 32 bytes in base64: 43 significant characters, the last one carrying only 2 bits, plus padding
+const KEY_PATTERN = /^[A-Za-z0-9+/]{42}[AEIMQUYcgkosw048]=$/;
+
+/**
+ * Checks whether a string is a base64-encoded 32-byte WireGuard key
+ * @param {string} key - Key to check
+ * @return {boolean} True if the key is well-formed
+ */
+function isValidKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+/**
+ * Derives the public key for a WireGuard private key
+ * @param {string} privateKey - Base64-encoded private key
+ * @return {string} Base64-encoded public key
+ */
+function derivePublicKey(privateKey) {
+  if (!isValidKey(privateKey)) {
+    throw new TypeError('Private key must be a base64-encoded 32-byte key');
+  }
+
+  const keyObject = crypto.createPrivateKey({
+    key: Buffer.concat([PKCS8_X25519_PREFIX, Buffer.from(privateKey, 'base64')]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  const spki = crypto.createPublicKey(keyObject).export({ format: 'der', type: 'spki' });
+
+  return spki.subarray(SPKI_X25519_PREFIX.length).toString('base64');
+}
+
+/**
+ * Generates a WireGuard key pair in-process, equivalent to `wg genkey | wg pubkey`
+ * @return {object} Object containing base64-encoded privateKey and publicKey
+ */
+function generateWireGuardKeyPair() {
+  const raw = crypto.randomBytes(32);
+
+  // Clamp the scalar the same way wg genkey does
+  raw[0] &= 248;
+  raw[31] = (raw[31] & 127) | 64;
+
+  const privateKey = raw.toString('base64');
+  return { privateKey, publicKey: derivePublicKey(privateKey) };
+}
+
+/**
+ * Generates a WireGuard preshared key, equivalent to `wg genpsk`
+ * @return {string} Base64-encoded preshared key
+ */
+function generatePresharedKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+module.exports = {
+  isValidKey,
+  derivePublicKey,
+  generateWireGuardKeyPair,
+  generatePresharedKey
+};
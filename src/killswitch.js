@@ -0,0 +1,277 @@
+const dns = require('dns');
+const { defaultLogger } = require('./logger');
+const { defaultRunner } = require('./runner');
+const { TunnelSetupError, ConfigError } = require('./errors');
+const { parseAddress, parseCidr, formatCidr } = require('./cidr');
+
+// nftables table and iptables chain holding the kill switch rules
+const KILL_SWITCH_TABLE = 'erebrus_killswitch';
+const KILL_SWITCH_CHAIN = 'EREBRUS-KILLSWITCH';
+// iptables has no atomic reload, so a new kill switch is built in whichever of these chains is
+// free and takes over before the old one is removed
+const KILL_SWITCH_CHAINS = [KILL_SWITCH_CHAIN, `${KILL_SWITCH_CHAIN}-2`];
+
+const DEFAULT_KILL_SWITCH_OPTIONS = {
+  allowLan: [],
+  allowDhcp: true,
+  backend: 'auto'
+};
+
+/**
+ * Validates a kill switch spec and splits its exceptions by IP version
+ * @param {object} spec - See renderNftRuleset
+ * @return {object} { interfaces, endpoints, lan: { 4: [...], 6: [...] }, allowDhcp }
+ * @throws {ConfigError} If an endpoint address or LAN range is malformed
+ */
+function normalizeSpec(spec) {
+  const problems = [];
+  const { interfaceName, endpoints = [], allowLan = [], allowDhcp = true } = spec;
+  const interfaces = [].concat(interfaceName || []);
+  if (interfaces.length === 0) {
+    problems.push('interfaceName is required');
+  }
+
+  const normalizedEndpoints = endpoints.map(endpoint => {
+    const parsed = parseAddress(endpoint.address);
+    if (!parsed) {
+      problems.push(`Endpoint address is not an IP address: ${endpoint.address}`);
+    }
+    return { ...endpoint, protocol: endpoint.protocol || 'udp', version: parsed ? parsed.version : 4 };
+  });
+
+  const lan = { 4: [], 6: [] };
+  allowLan.forEach(cidr => {
+    try {
+      const range = parseCidr(cidr);
+      lan[range.version].push(formatCidr(range));
+    } catch (error) {
+      problems.push(`Invalid LAN range: ${cidr}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid kill switch: ${problems.join('; ')}`, { problems });
+  }
+  return { interfaces, endpoints: normalizedEndpoints, lan, allowDhcp };
+}
+
+/**
+ * Renders the nftables ruleset for the kill switch. Outgoing traffic is dropped unless it
+ * leaves through loopback or a tunnel, goes to an allowed endpoint or LAN range, or is DHCP.
+ * The ruleset replaces any previous kill switch table atomically when loaded with `nft -f`.
+ * @param {object} spec
+ * @param {string|Array<string>} spec.interfaceName - Tunnel interface, or every tunnel's interface
+ * @param {Array<object>} [spec.endpoints] - { address, port, protocol ('udp' or 'tcp') } reachable
+ * outside the tunnel, e.g. the WireGuard endpoints; addresses must be IPs
+ * @param {Array<string>} [spec.allowLan] - CIDRs reachable outside the tunnel
+ * @param {boolean} [spec.allowDhcp=true] - Allow DHCP and DHCPv6 lease renewal
+ * @return {string} Ruleset text
+ * @throws {ConfigError} If the spec is invalid
+ */
+function renderNftRuleset(spec) {
+  const { interfaces, endpoints, lan, allowDhcp } = normalizeSpec(spec);
+  const family = version => (version === 6 ? 'ip6' : 'ip');
+
+  const rules = [
+    'oifname "lo" accept',
+    ...interfaces.map(name => `oifname "${name}" accept`),
+    ...endpoints.map(e => `${family(e.version)} daddr ${e.address} ${e.protocol} dport ${e.port} accept`),
+    ...[4, 6].filter(version => lan[version].length > 0)
+      .map(version => `${family(version)} daddr { ${lan[version].join(', ')} } accept`),
+    ...(allowDhcp ? ['udp sport 68 udp dport 67 accept', 'udp sport 546 udp dport 547 accept'] : []),
+    'reject'
+  ];
+
+  return [
+    `table inet ${KILL_SWITCH_TABLE}`,
+    `delete table inet ${KILL_SWITCH_TABLE}`,
+    `table inet ${KILL_SWITCH_TABLE} {`,
+    '\tchain output {',
+    '\t\ttype filter hook output priority 0; policy drop;',
+    ...rules.map(rule => `\t\t${rule}`),
+    '\t}',
+    '}',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Renders the iptables and ip6tables commands for the kill switch, for hosts without nftables.
+ * The rules live in their own chain, jumped to from the top of OUTPUT.
+ * @param {object} spec - See renderNftRuleset
+ * @param {string} [chain='EREBRUS-KILLSWITCH'] - Chain to create
+ * @return {Array<object>} Commands as { file, args }, in order
+ * @throws {ConfigError} If the spec is invalid
+ */
+function renderIptablesRules(spec, chain = KILL_SWITCH_CHAIN) {
+  const { interfaces, endpoints, lan, allowDhcp } = normalizeSpec(spec);
+
+  return [4, 6].flatMap(version => {
+    const file = version === 6 ? 'ip6tables' : 'iptables';
+    const rule = args => ({ file, args: ['-A', chain, ...args] });
+    const dhcp = version === 6 ? ['546', '547'] : ['68', '67'];
+
+    return [
+      { file, args: ['-N', chain] },
+      rule(['-o', 'lo', '-j', 'RETURN']),
+      ...interfaces.map(name => rule(['-o', name, '-j', 'RETURN'])),
+      ...endpoints
+        .filter(e => e.version === version)
+        .map(e => rule(['-d', e.address, '-p', e.protocol, '--dport', String(e.port), '-j', 'RETURN'])),
+      ...lan[version].map(cidr => rule(['-d', cidr, '-j', 'RETURN'])),
+      ...(allowDhcp ? [rule(['-p', 'udp', '--sport', dhcp[0], '--dport', dhcp[1], '-j', 'RETURN'])] : []),
+      rule(['-j', 'REJECT']),
+      { file, args: ['-I', 'OUTPUT', '1', '-j', chain] }
+    ];
+  });
+}
+
+/**
+ * Resolves endpoint host names to every IP address they have
+ * @param {Array<object>} endpoints - { host or address, port, protocol, optional }; optional
+ * endpoints whose name does not resolve are left out instead of failing
+ * @param {object} logger - Logger for skipped endpoints
+ * @param {Map} [resolvedHosts] - Host name -> IP addresses; names in it are not looked up
+ * again, and names that are get added
+ * @return {Promise<Array<object>>} Endpoints with one IP address each
+ */
+async function resolveEndpoints(endpoints, logger, resolvedHosts = new Map()) {
+  const resolved = await Promise.all(endpoints.map(async endpoint => {
+    const host = endpoint.address || endpoint.host;
+    const toEndpoints = addresses => addresses.map(address => ({ address, port: endpoint.port, protocol: endpoint.protocol }));
+    if (parseAddress(host)) {
+      return toEndpoints([host]);
+    }
+    if (resolvedHosts.has(host)) {
+      return toEndpoints(resolvedHosts.get(host));
+    }
+    try {
+      const addresses = (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+      resolvedHosts.set(host, addresses);
+      return toEndpoints(addresses);
+    } catch (error) {
+      if (!endpoint.optional) {
+        throw new TunnelSetupError(`Could not resolve ${host} for the kill switch: ${error.message}`, { cause: error });
+      }
+      logger.warn(`Kill switch will not allow ${host}: ${error.message}`);
+      return [];
+    }
+  }));
+  return resolved.flat();
+}
+
+/**
+ * Unhooks an iptables kill switch chain from OUTPUT and deletes it, ignoring a missing chain
+ * @param {object} runner - Runner
+ * @param {string} file - 'iptables' or 'ip6tables'
+ * @param {string} chain - Chain to remove
+ * @return {Promise<boolean>} True if OUTPUT jumped to the chain
+ */
+async function removeIptablesChain(runner, file, chain) {
+  const attempt = args => runner.run(file, args, { sudo: true }).then(() => true, () => false);
+  let hooked = false;
+  // A crash between two installs can leave more than one jump behind
+  for (let count = 0; count < 8 && await attempt(['-D', 'OUTPUT', '-j', chain]); count++) {
+    hooked = true;
+  }
+  await attempt(['-F', chain]);
+  await attempt(['-X', chain]);
+  return hooked;
+}
+
+/**
+ * Removes the kill switch rules of both backends, ignoring rules that are not there.
+ * Safe to run after a crash left the rules behind.
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<boolean>} True if any rules were removed
+ */
+async function removeKillSwitch(context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  const attempt = (file, args) => runner.run(file, args, { sudo: true }).then(() => true, () => false);
+
+  const removed = [await attempt('nft', ['delete', 'table', 'inet', KILL_SWITCH_TABLE])];
+  for (const file of ['iptables', 'ip6tables']) {
+    for (const chain of KILL_SWITCH_CHAINS) {
+      removed.push(await removeIptablesChain(runner, file, chain));
+    }
+  }
+
+  const any = removed.some(Boolean);
+  if (any) {
+    logger.info('Kill switch removed');
+  } else {
+    logger.debug('No kill switch rules were installed');
+  }
+  return any;
+}
+
+/**
+ * Installs the kill switch, replacing any previous one
+ * @param {object} options - Spec fields (see renderNftRuleset; endpoints may give a host name,
+ * and optional endpoints are skipped when it does not resolve), plus
+ * backend: 'auto' (nftables when available), 'nftables' or 'iptables', and resolvedHosts: a
+ * Map of host name -> IP addresses shared between applies. A kill switch that is up blocks
+ * DNS, so replacing it can only reuse the addresses the first apply looked up.
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<string>} The backend used
+ * @throws {TunnelSetupError} If the rules cannot be installed
+ */
+async function applyKillSwitch(options, context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  const { backend = DEFAULT_KILL_SWITCH_OPTIONS.backend, endpoints = [], resolvedHosts, ...spec } = options;
+
+  const resolved = { ...spec, endpoints: await resolveEndpoints(endpoints, logger, resolvedHosts) };
+  const useNft = backend === 'nftables' ||
+    (backend === 'auto' && await runner.run('nft', ['--version']).then(() => true, () => false));
+  logger.info(`Installing kill switch with ${useNft ? 'nftables' : 'iptables'}...`);
+
+  try {
+    if (useNft) {
+      await runner.run('nft', ['-f', '-'], { sudo: true, input: renderNftRuleset(resolved) });
+      return 'nftables';
+    }
+
+    // Build the new rules beside the old ones and jump to them first, then drop the old chain,
+    // so traffic is never let through while the kill switch is replaced
+    const active = await runner.run('iptables', ['-C', 'OUTPUT', '-j', KILL_SWITCH_CHAIN], { sudo: true }).then(() => true, () => false);
+    const [old, next] = active ? KILL_SWITCH_CHAINS : [...KILL_SWITCH_CHAINS].reverse();
+    const commands = renderIptablesRules(resolved, next);
+    for (const file of ['iptables', 'ip6tables']) {
+      await removeIptablesChain(runner, file, next);
+    }
+    try {
+      for (const { file, args } of commands) {
+        await runner.run(file, args, { sudo: true });
+      }
+    } catch (error) {
+      // Leave the previous kill switch, if any, in charge
+      for (const file of ['iptables', 'ip6tables']) {
+        await removeIptablesChain(runner, file, next);
+      }
+      throw error;
+    }
+    for (const file of ['iptables', 'ip6tables']) {
+      await removeIptablesChain(runner, file, old);
+    }
+    return 'iptables';
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      throw error;
+    }
+    throw new TunnelSetupError(`Could not install the kill switch: ${error.message}`, {
+      command: error.command,
+      stderr: error.stderr,
+      cause: error
+    });
+  }
+}
+
+module.exports = {
+  KILL_SWITCH_TABLE,
+  KILL_SWITCH_CHAIN,
+  DEFAULT_KILL_SWITCH_OPTIONS,
+  renderNftRuleset,
+  renderIptablesRules,
+  applyKillSwitch,
+  removeKillSwitch
+};
@@ -0,0 +1,120 @@
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are secrets, compared lowercase with - and _ removed
+const SENSITIVE_KEYS = [
+  'token',
+  'apikey',
+  'xapikey',
+  'authorization',
+  'privatekey',
+  'presharedkey',
+  'password',
+  'secret',
+  'mnemonic'
+];
+
+/**
+ * Checks whether an object key holds a secret
+ * @param {string} key - Object key or header name
+ * @return {boolean} True if its value must be redacted
+ */
+function isSensitiveKey(key) {
+  const normalized = String(key).toLowerCase().replace(/[-_]/g, '');
+  return SENSITIVE_KEYS.includes(normalized) || normalized.endsWith('token');
+}
+
+/**
+ * Redacts secrets embedded in free text: JSON fields, bearer tokens, JWTs, WireGuard config
+ * lines and key=value pairs such as query parameters
+ * @param {string} text - Text to redact
+ * @return {string} Redacted text
+ */
+function redactString(text) {
+  return text
+    .replace(/("([\w-]+)"\s*:\s*)"[^"]*"/g, (match, prefix, key) => (isSensitiveKey(key) ? `${prefix}"${REDACTED}"` : match))
+    .replace(/\b(Bearer\s+)[\w.~+/=-]+/gi, `$1${REDACTED}`)
+    .replace(/\beyJ[\w-]*\.[\w-]+\.[\w-]*/g, REDACTED)
+    .replace(/\b((?:PrivateKey|PresharedKey|private_key|preshared_key)\s*=\s*)\S+/gi, `$1${REDACTED}`)
+    .replace(/\b([\w-]+)(=)(?!\[REDACTED\])([^\s&;,"']+)/g, (match, key, separator) => (isSensitiveKey(key) ? `${key}${separator}${REDACTED}` : match));
+}
+
+/**
+ * Returns a copy of a value with every secret replaced by [REDACTED]
+ * @param {*} value - String, object or array to redact
+ * @return {*} Redacted copy
+ */
+function redact(value) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value instanceof Error) {
+    return redactString(value.message);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((copy, key) => {
+      copy[key] = isSensitiveKey(key) && value[key] !== null && value[key] !== undefined ? REDACTED : redact(value[key]);
+      return copy;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Logger that writes timestamped lines to the console
+ */
+const consoleLogger = {
+  debug: message => console.log(`${new Date().toISOString()}: ${message}`),
+  info: message => console.log(`${new Date().toISOString()}: ${message}`),
+  warn: message => console.warn(`${new Date().toISOString()}: ${message}`),
+  error: message => console.error(`${new Date().toISOString()}: ${message}`)
+};
+
+/**
+ * Wraps a logger with level filtering and secret redaction
+ * @param {object} [options]
+ * @param {object|boolean|null} [options.logger] - Object with debug/info/warn/error methods
+ * (console.log is used for missing ones); false or null silences logging
+ * @param {string} [options.level='info'] - Minimum level to pass through
+ * @param {boolean} [options.redact=true] - Redact tokens, API keys and WireGuard keys
+ * @return {object} Logger with debug, info, warn and error methods
+ */
+function createLogger(options = {}) {
+  const { logger = consoleLogger, level = 'info', redact: shouldRedact = true } = options;
+  const threshold = LEVELS.indexOf(level);
+  if (threshold === -1) {
+    throw new TypeError(`Unknown log level: ${level}`);
+  }
+
+  return LEVELS.reduce((wrapped, name, index) => {
+    wrapped[name] = (message) => {
+      if (!logger || index < threshold) {
+        return;
+      }
+      let text = typeof message === 'string' ? message : JSON.stringify(shouldRedact ? redact(message) : message);
+      if (shouldRedact) {
+        text = redactString(text);
+      }
+      const method = typeof logger[name] === 'function' ? logger[name] : logger.log;
+      if (typeof method === 'function') {
+        method.call(logger, text);
+      }
+    };
+    return wrapped;
+  }, {});
+}
+
+// Logger used by the module-level functions and when no logger is passed in
+const defaultLogger = createLogger();
+
+module.exports = {
+  LEVELS,
+  consoleLogger,
+  createLogger,
+  defaultLogger,
+  redact
+};
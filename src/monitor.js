@@ -0,0 +1,278 @@
+const { EventEmitter } = require('events');
+const { ErebrusError } = require('./errors');
+const { resolveTunnelOptions } = require('./options');
+const { HANDSHAKE_TIMEOUT_SECONDS } = require('./status');
+
+const DEFAULT_MONITOR_OPTIONS = {
+  interval: 10000,
+  staleThreshold: HANDSHAKE_TIMEOUT_SECONDS,
+  maxAttempts: 5,
+  backoff: {
+    initialDelay: 1000,
+    maxDelay: 60000,
+    factor: 2
+  }
+};
+
+/**
+ * Keeps a DVPN tunnel up: polls the interface, reports its health and rebuilds
+ * the tunnel to the same node when the handshake goes stale.
+ *
+ * Events:
+ * - connected ({ nodeId, interfaceName, attempt })
+ * - status (connection status from getConnectionStatus, on every poll)
+ * - handshake-stale (connection status)
+ * - disconnected ({ reason, status })
+ * - reconnecting ({ attempt, maxAttempts, delay })
+ * - error (Error) when connecting fails for good; monitoring stops afterwards
+ */
+class ConnectionMonitor extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {object} options.client - ErebrusClient used to connect, disconnect and read status
+   * @param {string} [options.token] - Authentication token (default: the client's session)
+   * @param {string} options.nodeId - Node to connect and reconnect to
+   * @param {object} [options.tunnel] - Tunnel options passed to connectDvpn
+   * @param {number} [options.interval=10000] - Milliseconds between status polls
+   * @param {number} [options.staleThreshold=180] - Handshake age in seconds after which the tunnel is rebuilt
+   * @param {number} [options.maxAttempts=5] - Reconnection attempts before giving up
+   * @param {object} [options.backoff] - { initialDelay, maxDelay, factor } for delays between attempts
+   */
+  constructor(options) {
+    super();
+    const {
+      client,
+      token,
+      nodeId,
+      tunnel = {},
+      interval = DEFAULT_MONITOR_OPTIONS.interval,
+      staleThreshold = DEFAULT_MONITOR_OPTIONS.staleThreshold,
+      maxAttempts = DEFAULT_MONITOR_OPTIONS.maxAttempts,
+      backoff = {}
+    } = options;
+    if (!client || !nodeId) {
+      throw new ErebrusError('ConnectionMonitor needs a client and a nodeId');
+    }
+
+    this.client = client;
+    this.token = token;
+    this.nodeId = nodeId;
+    this.tunnel = tunnel;
+    const resolved = resolveTunnelOptions(tunnel);
+    this.interfaceName = resolved.interfaceName;
+    this.namespace = resolved.namespace;
+    this.interval = interval;
+    this.staleThreshold = staleThreshold;
+    this.maxAttempts = maxAttempts;
+    this.backoff = { ...DEFAULT_MONITOR_OPTIONS.backoff, ...backoff };
+
+    this.running = false;
+    this.timer = null;
+    this.wakeUp = null;
+    this.stats = {
+      connectedAt: null,
+      latestHandshake: null,
+      handshakeAge: null,
+      rxBytes: 0,
+      txBytes: 0,
+      reconnects: 0,
+      lastStatus: null
+    };
+  }
+
+  /**
+   * Connects to the node and starts monitoring
+   * @return {Promise<boolean>} True once connected, false if every attempt failed
+   */
+  async start() {
+    if (this.running) {
+      return true;
+    }
+    this.running = true;
+
+    try {
+      await this.connect(0);
+    } catch (error) {
+      this.client.logger.warn(`Initial connection failed: ${error.message}`);
+      if (!(await this.reconnect(error))) {
+        return false;
+      }
+    }
+
+    this.schedule();
+    return true;
+  }
+
+  /**
+   * Stops monitoring
+   * @param {object} [options]
+   * @param {boolean} [options.disconnect=true] - Also tear the tunnel down
+   * @return {Promise<void>}
+   */
+  async stop(options = {}) {
+    const { disconnect = true } = options;
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+
+    if (disconnect) {
+      await this.client.disconnectVPN(this.tunnel);
+      this.emit('disconnected', { reason: 'Monitor stopped', status: null });
+    }
+  }
+
+  /**
+   * Brings the tunnel up once
+   * @param {number} attempt - Reconnection attempt number, 0 for the initial connection
+   * @return {Promise<void>}
+   * @throws {Error} If connectDvpn fails
+   */
+  async connect(attempt) {
+    const connected = await this.client.connectDvpn(this.token, this.nodeId, this.tunnel);
+    if (!connected) {
+      throw new ErebrusError(`Could not connect to node ${this.nodeId}`);
+    }
+
+    this.stats.connectedAt = new Date();
+    this.emit('connected', { nodeId: this.nodeId, interfaceName: this.interfaceName, attempt });
+  }
+
+  /**
+   * Schedules the next status poll
+   */
+  schedule() {
+    if (this.running) {
+      // A poll runs detached from any caller, so nothing it throws may escape as an unhandled rejection
+      this.timer = setTimeout(() => this.poll().catch(error => {
+        this.client.logger.error(`Connection monitor failed: ${error.message}`);
+        this.schedule();
+      }), this.interval);
+    }
+  }
+
+  /**
+   * Reads the interface status and rebuilds the tunnel if it is gone or stale
+   * @return {Promise<void>}
+   */
+  async poll() {
+    this.timer = null;
+    if (!this.running) {
+      return;
+    }
+
+    let status;
+    try {
+      status = await this.client.getConnectionStatus(this.interfaceName, { namespace: this.namespace });
+    } catch (error) {
+      this.client.logger.warn(`Could not read connection status: ${error.message}`);
+      this.schedule();
+      return;
+    }
+    this.record(status);
+    this.emit('status', status);
+
+    if (status.state !== 'up') {
+      this.emit('disconnected', { reason: status.reason, status });
+      if (!(await this.reconnect())) {
+        return;
+      }
+    } else if (this.isStale(status)) {
+      this.emit('handshake-stale', status);
+      if (!(await this.reconnect())) {
+        return;
+      }
+    }
+
+    this.schedule();
+  }
+
+  /**
+   * Updates the tracked handshake and traffic counters
+   * @param {object} status - Connection status
+   */
+  record(status) {
+    const peer = status.peer;
+    this.stats.lastStatus = status;
+    this.stats.latestHandshake = peer ? peer.latestHandshake : null;
+    this.stats.handshakeAge = peer ? peer.handshakeAge : null;
+    this.stats.rxBytes = peer ? peer.rxBytes : 0;
+    this.stats.txBytes = peer ? peer.txBytes : 0;
+  }
+
+  /**
+   * Decides whether the handshake is too old; a tunnel that never completed a
+   * handshake is given staleThreshold seconds from connecting
+   * @param {object} status - Connection status
+   * @return {boolean} True if the tunnel should be rebuilt
+   */
+  isStale(status) {
+    const peer = status.peer;
+    if (peer && peer.handshakeAge !== null) {
+      return peer.handshakeAge > this.staleThreshold;
+    }
+    const sinceConnect = (Date.now() - this.stats.connectedAt) / 1000;
+    return sinceConnect > this.staleThreshold;
+  }
+
+  /**
+   * Waits between reconnection attempts; stop() cuts the wait short
+   * @param {number} delay - Milliseconds to wait
+   * @return {Promise<void>}
+   */
+  wait(delay) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => this.wakeUp(), delay);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        this.wakeUp = null;
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Rebuilds the tunnel to the same node with exponential backoff
+   * @param {Error} [lastError] - Error that triggered the reconnection, if any
+   * @return {Promise<boolean>} True if reconnected, false if monitoring stopped
+   */
+  async reconnect(lastError) {
+    const { initialDelay, maxDelay, factor } = this.backoff;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt - 1));
+      this.emit('reconnecting', { attempt, maxAttempts: this.maxAttempts, delay });
+      await this.wait(delay);
+      if (!this.running) {
+        return false;
+      }
+
+      try {
+        await this.client.disconnectVPN(this.tunnel, { keepKillSwitch: true });
+        await this.connect(attempt);
+        this.stats.reconnects++;
+        return true;
+      } catch (error) {
+        lastError = error;
+        this.client.logger.warn(`Reconnection attempt ${attempt}/${this.maxAttempts} failed: ${error.message}`);
+      }
+    }
+
+    this.running = false;
+    const error = new ErebrusError(`Could not reconnect to node ${this.nodeId} after ${this.maxAttempts} attempts`, { cause: lastError });
+    // EventEmitter throws an 'error' nobody listens for, which would reject start() or crash the process from a poll
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      this.client.logger.error(error.message);
+    }
+    return false;
+  }
+}
+
+module.exports = {
+  DEFAULT_MONITOR_OPTIONS,
+  ConnectionMonitor
+};
@@ -0,0 +1,166 @@
+const os = require('os');
+const { defaultLogger } = require('./logger');
+const { defaultRunner } = require('./runner');
+const { ErebrusError } = require('./errors');
+
+/**
+ * Directory whose resolv.conf `ip netns exec` mounts over /etc/resolv.conf inside a namespace
+ * @param {string} namespace - Namespace name
+ * @return {string} Directory path
+ */
+function namespaceConfigDir(namespace) {
+  return `/etc/netns/${namespace}`;
+}
+
+/**
+ * Wraps a runner so every command runs inside a network namespace
+ * @param {object} runner - Runner to wrap
+ * @param {string} namespace - Namespace name
+ * @return {object} Runner with run and, if the wrapped runner has them, spawn and fs
+ */
+function namespaceRunner(runner, namespace) {
+  const wrapped = {
+    run(file, args = [], runOptions = {}) {
+      return runner.run('ip', ['netns', 'exec', namespace, file, ...args], { ...runOptions, sudo: true });
+    }
+  };
+  if (typeof runner.spawn === 'function') {
+    wrapped.spawn = (file, args = [], spawnOptions = {}) =>
+      runner.spawn('ip', ['netns', 'exec', namespace, file, ...args], { ...spawnOptions, sudo: true });
+  }
+  if (runner.fs) {
+    wrapped.fs = runner.fs;
+  }
+  return wrapped;
+}
+
+/**
+ * Lists the network namespaces on the host
+ * @param {object} [context] - Collaborators: { runner }
+ * @return {Promise<Array<string>>} Namespace names
+ */
+async function listNamespaces(context = {}) {
+  const { runner = defaultRunner } = context;
+  const { stdout } = await runner.run('ip', ['netns', 'list']).catch(() => ({ stdout: '' }));
+  // Lines look like "jobs (id: 0)"
+  return stdout.split('\n').map(line => line.trim().split(/\s+/)[0]).filter(Boolean);
+}
+
+/**
+ * Finds the namespace an interface was moved into
+ * @param {string} interfaceName - Interface to look for
+ * @param {object} [context] - Collaborators: { runner }
+ * @return {Promise<string|null>} Namespace name, or null if no namespace holds it
+ */
+async function findNamespace(interfaceName, context = {}) {
+  const { runner = defaultRunner } = context;
+  for (const namespace of await listNamespaces({ runner })) {
+    const found = await runner.run('ip', ['-n', namespace, 'link', 'show', 'dev', interfaceName])
+      .then(() => true, () => false);
+    if (found) {
+      return namespace;
+    }
+  }
+  return null;
+}
+
+/**
+ * Deletes a namespace, the interfaces inside it and its resolv.conf, ignoring what is not there
+ * @param {string} namespace - Namespace name
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<boolean>} True if the namespace existed
+ */
+async function deleteNamespace(namespace, context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  const deleted = await runner.run('ip', ['netns', 'delete', namespace], { sudo: true }).then(() => true, () => false);
+  await runner.run('rm', ['-rf', namespaceConfigDir(namespace)], { sudo: true }).catch(() => {});
+
+  if (deleted) {
+    logger.info(`Network namespace ${namespace} deleted`);
+  }
+  return deleted;
+}
+
+/**
+ * Creates a namespace with loopback up and, when servers are given, its own resolv.conf
+ * @param {string} namespace - Namespace name
+ * @param {Array<string>} servers - DNS servers, empty to use the host's resolv.conf
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<void>}
+ * @throws {CommandError} If a command fails
+ */
+async function createNamespace(namespace, servers, context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  await runner.run('ip', ['netns', 'add', namespace], { sudo: true });
+  await runner.run('ip', ['-n', namespace, 'link', 'set', 'lo', 'up'], { sudo: true });
+
+  if (servers.length > 0) {
+    const dir = namespaceConfigDir(namespace);
+    await runner.run('mkdir', ['-p', dir], { sudo: true });
+    await runner.run('tee', [`${dir}/resolv.conf`], {
+      sudo: true,
+      input: servers.map(server => `nameserver ${server}\n`).join('')
+    });
+  }
+  logger.debug(`Network namespace ${namespace} created`);
+}
+
+/**
+ * Builds the argv that runs a command inside a namespace, as the given user
+ * @param {string} namespace - Namespace name
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @param {string} [user] - User to run as; default: the user running this process, so jobs do
+ * not inherit the root privileges needed to enter the namespace
+ * @return {Array<string>} Arguments for `ip`
+ */
+function namespaceExecArgs(namespace, command, args, user) {
+  const runAs = user === undefined && typeof process.getuid === 'function' && process.getuid() !== 0
+    ? os.userInfo().username
+    : user;
+  return ['netns', 'exec', namespace, ...(runAs ? ['runuser', '-u', runAs, '--'] : []), command, ...args];
+}
+
+/**
+ * Runs a command inside a tunnel's namespace and waits for it
+ * @param {string} namespace - Namespace name
+ * @param {string} command - Executable
+ * @param {Array<string>} [args] - Arguments
+ * @param {object} [options] - { user, input }
+ * @param {object} [context] - Collaborators: { runner }
+ * @return {Promise<object>} { code, stdout, stderr }
+ * @throws {CommandError} If the command cannot be started or exits non-zero
+ */
+async function runInNamespace(namespace, command, args = [], options = {}, context = {}) {
+  const { runner = defaultRunner } = context;
+  return runner.run('ip', namespaceExecArgs(namespace, command, args, options.user), { sudo: true, input: options.input });
+}
+
+/**
+ * Starts a command inside a tunnel's namespace without waiting for it
+ * @param {string} namespace - Namespace name
+ * @param {string} command - Executable
+ * @param {Array<string>} [args] - Arguments
+ * @param {object} [options] - user, plus child_process.spawn options (stdio, env, cwd)
+ * @param {object} [context] - Collaborators: { runner }
+ * @return {ChildProcess} The started process
+ * @throws {ErebrusError} If the runner cannot spawn processes
+ */
+function spawnInNamespace(namespace, command, args = [], options = {}, context = {}) {
+  const { runner = defaultRunner } = context;
+  const { user, ...spawnOptions } = options;
+  if (typeof runner.spawn !== 'function') {
+    throw new ErebrusError('The configured runner has no spawn method');
+  }
+  return runner.spawn('ip', namespaceExecArgs(namespace, command, args, user), { ...spawnOptions, sudo: true });
+}
+
+module.exports = {
+  namespaceRunner,
+  listNamespaces,
+  findNamespace,
+  createNamespace,
+  deleteNamespace,
+  runInNamespace,
+  spawnInNamespace
+};
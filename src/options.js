@@ -0,0 +1,126 @@
+const path = require('path');
+const { ConfigError } = require('./errors');
+const { excludeCidrs } = require('./cidr');
+const { DNS_BACKENDS } = require('./resolver');
+const { routingTableFor } = require('./routing');
+
+/**
+ * Tunnel settings used when connectDvpn or createWireGuardConfig is called without options
+ */
+const DEFAULT_TUNNEL_OPTIONS = {
+  allowedIPs: ['0.0.0.0/0', '::/0'],
+  excludeIPs: [],
+  dns: ['1.1.1.1', '8.8.8.8'],
+  dnsBackend: 'auto',
+  mtu: undefined,
+  keepalive: 25,
+  endpointPort: 51820,
+  interfaceName: 'erebrus-dvpn',
+  configDir: '/tmp',
+  defaultRoute: true,
+  fwmark: undefined,
+  namespace: false,
+  settleTime: undefined
+};
+
+// Linux interface names wg-quick accepts (it derives the name from the config file name)
+const INTERFACE_NAME_PATTERN = /^[a-zA-Z0-9_=+.-]{1,15}$/;
+// Network namespace names, which `ip netns` also uses as file names under /var/run/netns and /etc/netns
+const NAMESPACE_PATTERN = /^(?!\.\.?$)[a-zA-Z0-9_.-]{1,64}$/;
+
+/**
+ * Checks that an option is an integer within range
+ * @param {Array<string>} problems - Problem list to append to
+ * @param {string} name - Option name
+ * @param {*} value - Option value
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ */
+function checkRange(problems, name, value, min, max) {
+  if (value !== undefined && !(Number.isInteger(value) && value >= min && value <= max)) {
+    problems.push(`${name} must be an integer between ${min} and ${max}`);
+  }
+}
+
+/**
+ * Merges tunnel options with the defaults and validates them
+ * @param {object} [options]
+ * @param {Array<string>} [options.allowedIPs] - CIDRs routed through the tunnel
+ * @param {Array<string>} [options.excludeIPs] - CIDRs carved out of allowedIPs and kept off the tunnel
+ * @param {Array<string>} [options.dns] - DNS servers for the tunnel, empty to leave DNS alone
+ * @param {string} [options.dnsBackend] - How DNS is applied: 'auto' (detected), 'resolvectl', 'resolvconf' or 'file'
+ * @param {number} [options.mtu] - Interface MTU (wg-quick picks one when unset)
+ * @param {number} [options.keepalive] - PersistentKeepalive in seconds, 0 to disable
+ * @param {number} [options.endpointPort] - Port of the node's WireGuard endpoint
+ * @param {string} [options.interfaceName] - Name of the WireGuard interface
+ * @param {string} [options.configDir] - Directory the .conf file is written to
+ * @param {boolean} [options.defaultRoute] - Send traffic no other tunnel claims through this one
+ * @param {number} [options.fwmark] - Packets with this firewall mark always use this tunnel
+ * @param {boolean|string} [options.namespace] - Put the tunnel in its own network namespace,
+ * named by the string or, for true, after interfaceName; the host's routing is left alone
+ * @param {number} [options.settleTime] - Milliseconds to let the tunnel settle before the
+ * connectivity check (default: the runner's settleTime, or 2000)
+ * @return {object} Resolved options, with allowedIPs already excluding excludeIPs, a configPath,
+ * the tunnel's routing table and its namespace name (null without one)
+ * @throws {ConfigError} If any option is invalid
+ */
+function resolveTunnelOptions(options = {}) {
+  const resolved = { ...DEFAULT_TUNNEL_OPTIONS, ...options };
+  const problems = [];
+
+  if (!Array.isArray(resolved.allowedIPs) || resolved.allowedIPs.length === 0) {
+    problems.push('allowedIPs must be a non-empty array of CIDRs');
+  }
+  if (!Array.isArray(resolved.excludeIPs)) {
+    problems.push('excludeIPs must be an array of CIDRs');
+  }
+  if (!Array.isArray(resolved.dns)) {
+    problems.push('dns must be an array of resolver addresses');
+  }
+  if (resolved.dnsBackend !== 'auto' && !DNS_BACKENDS.includes(resolved.dnsBackend)) {
+    problems.push(`dnsBackend must be one of auto, ${DNS_BACKENDS.join(', ')}`);
+  }
+  if (!INTERFACE_NAME_PATTERN.test(resolved.interfaceName)) {
+    problems.push('interfaceName must be 1-15 characters of letters, digits and _=+.-');
+  }
+  if (typeof resolved.configDir !== 'string' || !resolved.configDir) {
+    problems.push('configDir must be a directory path');
+  }
+  checkRange(problems, 'mtu', resolved.mtu, 576, 65535);
+  checkRange(problems, 'keepalive', resolved.keepalive, 0, 65535);
+  checkRange(problems, 'endpointPort', resolved.endpointPort, 1, 65535);
+  checkRange(problems, 'fwmark', resolved.fwmark, 1, 0xffffffff);
+  checkRange(problems, 'settleTime', resolved.settleTime, 0, 60000);
+  if (typeof resolved.defaultRoute !== 'boolean') {
+    problems.push('defaultRoute must be a boolean');
+  }
+  const namespace = resolved.namespace === true ? resolved.interfaceName : resolved.namespace || null;
+  if (namespace !== null && !(typeof namespace === 'string' && NAMESPACE_PATTERN.test(namespace))) {
+    problems.push('namespace must be true or 1-64 characters of letters, digits and _.-');
+  }
+
+  if (problems.length === 0) {
+    try {
+      resolved.allowedIPs = excludeCidrs(resolved.allowedIPs, resolved.excludeIPs);
+    } catch (error) {
+      problems.push(error.message);
+    }
+    if (resolved.allowedIPs.length === 0) {
+      problems.push('excludeIPs removes every address in allowedIPs');
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid tunnel options: ${problems.join('; ')}`, { problems });
+  }
+
+  resolved.configPath = path.join(resolved.configDir, `${resolved.interfaceName}.conf`);
+  resolved.table = routingTableFor(resolved.interfaceName);
+  resolved.namespace = namespace;
+  return resolved;
+}
+
+module.exports = {
+  DEFAULT_TUNNEL_OPTIONS,
+  resolveTunnelOptions
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Reads the gateway's ID for a client record, whichever casing the node used
+ * @param {object} client - payload.client from createClient
+ * @return {string|null} Client UUID
+ */
+function clientIdOf(client) {
+  return client.UUID || client.uuid || client.id || null;
+}
+
+/**
+ * Turns a createClient response into the record kept in a client registry
+ * @param {string} nodeId - Node the client was registered on
+ * @param {object} clientData - Client data from createClient
+ * @return {object} { nodeId, clientId, name, privateKey, publicKey, presharedKey, address,
+ * endpoint, serverPublicKey, createdAt }
+ */
+function toClientRecord(nodeId, clientData) {
+  const { client, endpoint, serverPublicKey } = clientData.payload;
+  return {
+    nodeId,
+    clientId: clientIdOf(client),
+    name: client.Name || client.name || null,
+    privateKey: clientData.privateKey,
+    publicKey: clientData.publicKey || client.PublicKey || null,
+    presharedKey: client.PresharedKey || clientData.presharedKey,
+    address: [].concat(client.Address),
+    endpoint,
+    serverPublicKey,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Turns a registry record back into the client data shape createWireGuardConfig expects
+ * @param {object} record - Client record
+ * @return {object} Client data
+ */
+function toClientData(record) {
+  return {
+    payload: {
+      client: {
+        UUID: record.clientId,
+        Name: record.name,
+        Address: record.address,
+        PresharedKey: record.presharedKey,
+        PublicKey: record.publicKey
+      },
+      endpoint: record.endpoint,
+      serverPublicKey: record.serverPublicKey
+    },
+    privateKey: record.privateKey,
+    publicKey: record.publicKey,
+    presharedKey: record.presharedKey
+  };
+}
+
+/**
+ * Creates a registry that keeps client records in memory for the life of the process. Records
+ * are keyed by connection name (interfaceName), so every tunnel has a client of its own.
+ * @return {object} Registry with async get(key), set(key, record), delete(key) and list()
+ */
+function createMemoryRegistry() {
+  const records = new Map();
+
+  return {
+    async get(key) {
+      return records.get(key) || null;
+    },
+    async set(key, record) {
+      records.set(key, record);
+    },
+    async delete(key) {
+      records.delete(key);
+    },
+    async list() {
+      return Array.from(records.values());
+    }
+  };
+}
+
+/**
+ * Creates a registry persisted to a JSON file, so clients survive restarts.
+ * The file holds WireGuard private keys and is written with mode 0600.
+ * @param {string} filePath - Path of the JSON file
+ * @return {object} Registry, see createMemoryRegistry
+ */
+function createFileRegistry(filePath) {
+  async function load() {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async function save(records) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    await fs.promises.writeFile(filePath, JSON.stringify(records, null, 2), { mode: 0o600 });
+  }
+
+  return {
+    async get(key) {
+      return (await load())[key] || null;
+    },
+    async set(key, record) {
+      const records = await load();
+      records[key] = record;
+      await save(records);
+    },
+    async delete(key) {
+      const records = await load();
+      if (records[key]) {
+        delete records[key];
+        await save(records);
+      }
+    },
+    async list() {
+      return Object.values(await load());
+    }
+  };
+}
+
+module.exports = {
+  clientIdOf,
+  toClientRecord,
+  toClientData,
+  createMemoryRegistry,
+  createFileRegistry
+};
@@ -0,0 +1,196 @@
+const path = require('path');
+const { defaultLogger } = require('./logger');
+const { defaultRunner, fileSystemOf } = require('./runner');
+const { TunnelSetupError } = require('./errors');
+
+const RESOLV_CONF = '/etc/resolv.conf';
+
+// Ways of pointing the host's resolver at the tunnel, in the order auto-detection tries them
+const DNS_BACKENDS = ['resolvectl', 'resolvconf', 'file'];
+
+/**
+ * Path the original resolv.conf is moved to while the file backend is active
+ * @param {string} resolvConf - Path of resolv.conf
+ * @return {string} Backup path
+ */
+function backupPathFor(resolvConf) {
+  return `${resolvConf}.erebrus-backup`;
+}
+
+/**
+ * Directory holding one file per tunnel whose servers the file backend wrote to resolv.conf;
+ * the original is only moved back once the last of them is gone
+ * @param {string} resolvConf - Path of resolv.conf
+ * @return {string} Directory path
+ */
+function claimDirFor(resolvConf) {
+  return `${resolvConf}.erebrus.d`;
+}
+
+/**
+ * Lists the tunnels that have written their servers with the file backend, oldest first
+ * @param {string} resolvConf - Path of resolv.conf
+ * @param {object} files - File system, see runner.fileSystemOf
+ * @return {Promise<Array<object>>} { interfaceName, nameservers } per tunnel
+ */
+async function listClaims(resolvConf, files) {
+  const dir = claimDirFor(resolvConf);
+  const names = await files.readdir(dir).catch(() => []);
+  const claims = await Promise.all(names.map(async interfaceName => {
+    const file = path.join(dir, interfaceName);
+    try {
+      const [stat, text] = await Promise.all([files.stat(file), files.readFile(file, 'utf8')]);
+      return { interfaceName, nameservers: text, modified: stat.mtimeMs };
+    } catch (error) {
+      return null;
+    }
+  }));
+  return claims.filter(Boolean).sort((a, b) => a.modified - b.modified);
+}
+
+/**
+ * Renders resolv.conf for the tunnels holding claims, the newest tunnel's servers first
+ * @param {Array<object>} claims - Claims as listed by listClaims, oldest first
+ * @return {string} File contents
+ */
+function renderResolvConf(claims) {
+  const newestFirst = [...claims].reverse();
+  const lines = [...new Set(newestFirst.flatMap(claim => claim.nameservers.split('\n').filter(Boolean)))];
+  return `# Written by erebrus for ${newestFirst.map(claim => claim.interfaceName).join(', ')}\n${lines.map(line => `${line}\n`).join('')}`;
+}
+
+/**
+ * Checks whether a path exists, without following a final symlink
+ * @param {string} file - Path to check
+ * @param {object} files - File system, see runner.fileSystemOf
+ * @return {Promise<boolean>} True if it exists
+ */
+function exists(file, files) {
+  return files.lstat(file).then(() => true, () => false);
+}
+
+/**
+ * Works out how the host manages DNS: systemd-resolved (resolvectl), resolvconf, or a plain resolv.conf
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<string>} 'resolvectl', 'resolvconf' or 'file'
+ */
+async function detectDnsBackend(context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  const succeeds = (file, args) => runner.run(file, args).then(() => true, () => false);
+
+  let backend = 'file';
+  if (await succeeds('resolvectl', ['status'])) {
+    backend = 'resolvectl';
+  } else if (await succeeds('which', ['resolvconf'])) {
+    backend = 'resolvconf';
+  }
+  logger.debug(`DNS is managed with ${backend}`);
+  return backend;
+}
+
+/**
+ * Points the host's resolver at the tunnel's DNS servers. resolvectl and resolvconf scope
+ * the servers to the interface, so they disappear with it; the file backend moves
+ * resolv.conf aside and writes a new one listing the servers of every tunnel using it,
+ * which restoreDns moves back when the last of them goes down.
+ * @param {string} interfaceName - Tunnel interface
+ * @param {Array<string>} servers - DNS server addresses
+ * @param {object} [options]
+ * @param {string} [options.backend='auto'] - 'auto', 'resolvectl', 'resolvconf' or 'file'
+ * @param {string} [options.resolvConf='/etc/resolv.conf'] - resolv.conf path for the file backend
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<string>} The backend used
+ * @throws {TunnelSetupError} If the servers cannot be applied
+ */
+async function applyDns(interfaceName, servers, options = {}, context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  const { backend: requested = 'auto', resolvConf = RESOLV_CONF } = options;
+  const backend = requested === 'auto' ? await detectDnsBackend({ logger, runner }) : requested;
+  const nameservers = servers.map(server => `nameserver ${server}\n`).join('');
+
+  try {
+    if (backend === 'resolvectl') {
+      await runner.run('resolvectl', ['dns', interfaceName, ...servers], { sudo: true });
+      // Route every lookup, not just the interface's own domains, to the tunnel's servers
+      await runner.run('resolvectl', ['domain', interfaceName, '~.'], { sudo: true });
+    } else if (backend === 'resolvconf') {
+      await runner.run('resolvconf', ['-a', interfaceName, '-m', '0'], { sudo: true, input: nameservers });
+    } else {
+      const files = fileSystemOf(runner);
+      const backup = backupPathFor(resolvConf);
+      // Keep the first backup: after a crash, or with another tunnel up, resolv.conf holds our servers, not the host's
+      if (!(await exists(backup, files)) && await exists(resolvConf, files)) {
+        await runner.run('mv', [resolvConf, backup], { sudo: true });
+      }
+      const claims = (await listClaims(resolvConf, files)).filter(claim => claim.interfaceName !== interfaceName);
+      await runner.run('mkdir', ['-p', claimDirFor(resolvConf)], { sudo: true });
+      await runner.run('tee', [path.join(claimDirFor(resolvConf), interfaceName)], { sudo: true, input: nameservers });
+      await runner.run('tee', [resolvConf], { sudo: true, input: renderResolvConf([...claims, { interfaceName, nameservers }]) });
+    }
+  } catch (error) {
+    throw new TunnelSetupError(`Could not set DNS with ${backend}: ${error.message}`, {
+      command: error.command,
+      stderr: error.stderr,
+      cause: error
+    });
+  }
+
+  logger.info(`DNS set to ${servers.join(', ')} with ${backend}`);
+  return backend;
+}
+
+/**
+ * Undoes applyDns for every backend; safe to run when nothing was applied, or after a crash.
+ * With the file backend, resolv.conf is rewritten for the tunnels still using it, and only
+ * moved back once none are left.
+ * @param {string} interfaceName - Tunnel interface
+ * @param {object} [options]
+ * @param {string} [options.resolvConf='/etc/resolv.conf'] - resolv.conf path for the file backend
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<boolean>} True if a resolv.conf backup was restored
+ */
+async function restoreDns(interfaceName, options = {}, context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  const { resolvConf = RESOLV_CONF } = options;
+
+  // Per-interface settings usually vanish with the interface; these catch the ones that did not
+  await runner.run('resolvectl', ['revert', interfaceName], { sudo: true }).catch(() => {});
+  await runner.run('resolvconf', ['-d', interfaceName], { sudo: true }).catch(() => {});
+
+  const files = fileSystemOf(runner);
+  const claims = await listClaims(resolvConf, files);
+  const owned = claims.some(claim => claim.interfaceName === interfaceName);
+  const others = claims.filter(claim => claim.interfaceName !== interfaceName);
+  const backup = backupPathFor(resolvConf);
+  try {
+    if (owned) {
+      await runner.run('rm', ['-f', path.join(claimDirFor(resolvConf), interfaceName)], { sudo: true });
+    }
+    if (others.length > 0) {
+      // Other tunnels still use resolv.conf: drop this one's servers, leave the backup alone
+      if (owned) {
+        await runner.run('tee', [resolvConf], { sudo: true, input: renderResolvConf(others) });
+        logger.info(`${resolvConf} kept for ${others.map(claim => claim.interfaceName).join(', ')}`);
+      }
+      return false;
+    }
+    // No tunnel uses resolv.conf any more; a backup without claims was left by a crash
+    if (!(await exists(backup, files))) {
+      return false;
+    }
+    await runner.run('mv', ['-f', backup, resolvConf], { sudo: true });
+    logger.info(`Restored ${resolvConf}`);
+    return true;
+  } catch (error) {
+    logger.warn(`Warning: Could not restore ${resolvConf} from ${backup}: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  RESOLV_CONF,
+  DNS_BACKENDS,
+  detectDnsBackend,
+  applyDns,
+  restoreDns
+};
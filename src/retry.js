@@ -0,0 +1,88 @@
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  initialDelay: 500,
+  maxDelay: 10000,
+  factor: 2
+};
+
+// Methods a server must treat as safe to repeat (RFC 9110, section 9.2.2)
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Network errors raised before the request reached the server, so repeating it cannot duplicate anything
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+/**
+ * Whether a response status is worth retrying: rate limiting or a server-side failure
+ * @param {number} status - HTTP status
+ * @return {boolean} True for 429 and 5xx
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Whether a failed attempt certainly left the server untouched, so even a request that is not
+ * idempotent can be repeated. Only a connection that was never made counts: any response,
+ * 429 and 503 included, may come from a proxy or an overloaded server after the request was
+ * handled, so those need a verifyRetry check
+ * @param {object} failure - { error } for a network failure or { status } for a response
+ * @return {boolean} True if the request was not processed
+ */
+function wasNotProcessed(failure) {
+  if (!failure.error) {
+    return false;
+  }
+  const cause = failure.error.cause || failure.error;
+  return UNSENT_ERROR_CODES.includes(cause.code);
+}
+
+/**
+ * Reads a Retry-After header, given in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @param {number} [now] - Current time in milliseconds
+ * @return {number|null} Milliseconds to wait, or null if the header is missing or malformed
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) * 1000;
+  }
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Delay before a retry: exponential backoff with full jitter, so clients that failed together
+ * do not retry together
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {object} [options] - { initialDelay, maxDelay, factor }, see DEFAULT_RETRY_OPTIONS
+ * @param {Function} [random] - Source of numbers in [0, 1), for tests
+ * @return {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, options = {}, random = Math.random) {
+  const { initialDelay, maxDelay, factor } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const ceiling = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt - 1));
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Delay
+ * @return {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  IDEMPOTENT_METHODS,
+  isRetryableStatus,
+  wasNotProcessed,
+  parseRetryAfter,
+  backoffDelay,
+  wait
+};
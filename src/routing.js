@@ -0,0 +1,161 @@
+const { defaultLogger } = require('./logger');
+const { defaultRunner } = require('./runner');
+const { TunnelSetupError, ConfigError } = require('./errors');
+
+// Tunnels get routing tables (and WireGuard fwmarks) in [BASE, BASE + COUNT)
+const ROUTING_TABLE_BASE = 51820;
+const ROUTING_TABLE_COUNT = 1000;
+
+// Rule priorities: every tunnel's selector rules come before any tunnel's default-route rules,
+// and both before the main table (32766)
+const SELECTOR_PRIORITY_BASE = 20000;
+const DEFAULT_PRIORITY_BASE = 25000;
+
+/**
+ * Derives the routing table of a tunnel from its interface name, so it can be found again
+ * without any stored state. The table number doubles as the tunnel's WireGuard fwmark.
+ * @param {string} interfaceName - Tunnel interface
+ * @return {number} Routing table number
+ */
+function routingTableFor(interfaceName) {
+  let hash = 5381;
+  for (const char of String(interfaceName)) {
+    hash = ((hash * 33) ^ char.charCodeAt(0)) >>> 0;
+  }
+  return ROUTING_TABLE_BASE + (hash % ROUTING_TABLE_COUNT);
+}
+
+/**
+ * Rule priorities of a tunnel's routing table
+ * @param {number} table - Routing table number
+ * @return {object} { selector, suppress, fallback }
+ * @throws {ConfigError} If the table is outside the range tunnels use
+ */
+function rulePriorities(table) {
+  const offset = table - ROUTING_TABLE_BASE;
+  if (!Number.isInteger(offset) || offset < 0 || offset >= ROUTING_TABLE_COUNT) {
+    throw new ConfigError(`Routing table must be between ${ROUTING_TABLE_BASE} and ${ROUTING_TABLE_BASE + ROUTING_TABLE_COUNT - 1}`);
+  }
+  return {
+    selector: SELECTOR_PRIORITY_BASE + offset,
+    suppress: DEFAULT_PRIORITY_BASE + offset * 2,
+    fallback: DEFAULT_PRIORITY_BASE + offset * 2 + 1
+  };
+}
+
+/**
+ * Renders the ip rule commands that send traffic to a tunnel's routing table. Traffic from the
+ * tunnel's own addresses and, with fwmark, marked traffic always uses the tunnel. With
+ * defaultRoute, so does everything else that no other rule claims, except the tunnel's own
+ * encrypted packets (marked with the table number) and destinations the main table has a
+ * specific route for.
+ * @param {object} spec
+ * @param {number} spec.table - Routing table, see routingTableFor
+ * @param {Array<string>} spec.addresses - Tunnel addresses, with or without prefix length
+ * @param {Array<string>} spec.routes - CIDRs routed through the tunnel (allowedIPs); rules are only
+ * added for the IP versions these cover
+ * @param {number} [spec.fwmark] - Packets with this mark use the tunnel
+ * @param {boolean} [spec.defaultRoute=true] - Send otherwise unmatched traffic through the tunnel
+ * @return {Array<object>} Commands as { file, args }, in order
+ * @throws {ConfigError} If the table is out of range
+ */
+function renderPolicyRules(spec) {
+  const { table, addresses = [], routes = [], fwmark, defaultRoute = true } = spec;
+  const priorities = rulePriorities(table);
+  const versionOf = cidr => (cidr.includes(':') ? 6 : 4);
+  const versions = [4, 6].filter(version => routes.some(route => versionOf(route) === version));
+  const rule = (version, args) => ({ file: 'ip', args: [`-${version}`, 'rule', 'add', ...args] });
+
+  return versions.flatMap(version => [
+    ...addresses
+      .filter(address => versionOf(address) === version)
+      .map(address => rule(version, ['from', address.split('/')[0], 'lookup', String(table), 'priority', String(priorities.selector)])),
+    ...(fwmark !== undefined ? [rule(version, ['fwmark', String(fwmark), 'lookup', String(table), 'priority', String(priorities.selector)])] : []),
+    ...(defaultRoute ? [
+      rule(version, ['lookup', 'main', 'suppress_prefixlength', '0', 'priority', String(priorities.suppress)]),
+      rule(version, ['not', 'fwmark', String(table), 'lookup', String(table), 'priority', String(priorities.fallback)])
+    ] : [])
+  ]);
+}
+
+/**
+ * Fails if another tunnel already has routes in a routing table, which happens when two
+ * interface names hash to the same table
+ * @param {number} table - Routing table number
+ * @param {object} [context] - Collaborators: { runner }
+ * @return {Promise<void>}
+ * @throws {TunnelSetupError} If the table is in use
+ */
+async function assertRoutingTableFree(table, context = {}) {
+  const { runner = defaultRunner } = context;
+  for (const version of [4, 6]) {
+    const { stdout } = await runner.run('ip', [`-${version}`, 'route', 'show', 'table', String(table)])
+      .catch(() => ({ stdout: '' }));
+    if (stdout.trim()) {
+      throw new TunnelSetupError(`Routing table ${table} is already used by another tunnel; choose a different interfaceName`);
+    }
+  }
+}
+
+/**
+ * Removes every rule pointing at a routing table, ignoring rules that are not there.
+ * Safe to run after a crash left the rules behind.
+ * @param {number} table - Routing table number
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<number>} Number of rules removed
+ */
+async function removePolicyRouting(table, context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  const priorities = rulePriorities(table);
+  const attempt = args => runner.run('ip', args, { sudo: true }).then(() => true, () => false);
+
+  let removed = 0;
+  for (const version of [4, 6]) {
+    // Each delete removes one rule; a tunnel has at most one per address plus three
+    for (let count = 0; count < 16 && await attempt([`-${version}`, 'rule', 'del', 'lookup', String(table)]); count++) {
+      removed++;
+    }
+    if (await attempt([`-${version}`, 'rule', 'del', 'lookup', 'main', 'suppress_prefixlength', '0', 'priority', String(priorities.suppress)])) {
+      removed++;
+    }
+  }
+
+  logger.debug(`Removed ${removed} routing rules for table ${table}`);
+  return removed;
+}
+
+/**
+ * Installs the policy routing rules of a tunnel, replacing any it had before
+ * @param {object} spec - See renderPolicyRules
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<void>}
+ * @throws {TunnelSetupError} If a rule cannot be added
+ */
+async function applyPolicyRouting(spec, context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  const commands = renderPolicyRules(spec);
+
+  await removePolicyRouting(spec.table, { logger, runner });
+  try {
+    for (const { file, args } of commands) {
+      await runner.run(file, args, { sudo: true });
+    }
+  } catch (error) {
+    await removePolicyRouting(spec.table, { logger, runner });
+    throw new TunnelSetupError(`Could not add routing rules: ${error.message}`, {
+      command: error.command,
+      stderr: error.stderr,
+      cause: error
+    });
+  }
+  logger.debug(`Routing rules for table ${spec.table} installed`);
+}
+
+module.exports = {
+  ROUTING_TABLE_BASE,
+  routingTableFor,
+  renderPolicyRules,
+  assertRoutingTableFree,
+  applyPolicyRouting,
+  removePolicyRouting
+};
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { CommandError } = require('./errors');
+
+/**
+ * Renders a command as a shell-quoted string, for logs and dry-run plans
+ * @param {string} file - Executable
+ * @param {Array<string>} args - Arguments
+ * @return {string} Printable command line
+ */
+function formatCommand(file, args = []) {
+  return [file, ...args]
+    .map(part => (/^[\w@%+=:,./-]+$/.test(part) ? part : `'${String(part).replace(/'/g, `'\\''`)}'`))
+    .join(' ');
+}
+
+/**
+ * Works out whether privileged commands need a sudo prefix
+ * @param {boolean|string} sudo - true, false or 'auto' (only when not running as root)
+ * @return {boolean} True if sudo should be prepended
+ */
+function resolveSudo(sudo) {
+  if (sudo === 'auto') {
+    return typeof process.getuid === 'function' && process.getuid() !== 0;
+  }
+  return Boolean(sudo);
+}
+
+/**
+ * File system a runner works on: its own fs, if it brings one, or the host's. The SDK reads and
+ * writes host files such as WireGuard configs and resolv.conf through it.
+ * @param {object} runner - Runner
+ * @return {object} Object with the fs.promises methods readFile, writeFile, mkdir, readdir, stat and lstat
+ */
+function fileSystemOf(runner) {
+  return (runner && runner.fs) || fs.promises;
+}
+
+/**
+ * Creates a runner that executes commands with spawn and an argv array, never through a shell
+ * @param {object} [options]
+ * @param {boolean|string} [options.sudo='auto'] - Prefix privileged commands with sudo:
+ * true, false, or 'auto' to do so only when not running as root
+ * @return {object} Runner with run(file, args, options) and spawn(file, args, options) methods
+ */
+function createCommandRunner(options = {}) {
+  const useSudo = resolveSudo(options.sudo === undefined ? 'auto' : options.sudo);
+
+  return {
+    /**
+     * Runs a command
+     * @param {string} file - Executable
+     * @param {Array<string>} [args] - Arguments
+     * @param {object} [runOptions]
+     * @param {boolean} [runOptions.sudo=false] - The command needs root privileges
+     * @param {string} [runOptions.input] - Data written to the command's stdin
+     * @return {Promise<object>} { code, stdout, stderr }
+     * @throws {CommandError} If the command cannot be started or exits non-zero
+     */
+    run(file, args = [], runOptions = {}) {
+      const argv = runOptions.sudo && useSudo ? ['sudo', file, ...args] : [file, ...args];
+      const command = formatCommand(argv[0], argv.slice(1));
+
+      return new Promise((resolve, reject) => {
+        const child = spawn(argv[0], argv.slice(1), { stdio: ['pipe', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', error => {
+          reject(new CommandError(`Could not run ${command}: ${error.message}`, { command, code: error.code, stdout, stderr, cause: error }));
+        });
+        child.on('close', code => {
+          if (code === 0) {
+            resolve({ code, stdout, stderr });
+          } else {
+            reject(new CommandError(`Command failed with exit code ${code}: ${command}`, { command, code, stdout, stderr }));
+          }
+        });
+
+        child.stdin.on('error', () => {});
+        child.stdin.end(runOptions.input === undefined ? undefined : runOptions.input);
+      });
+    },
+
+    /**
+     * Starts a long-running command and hands back the child process
+     * @param {string} file - Executable
+     * @param {Array<string>} [args] - Arguments
+     * @param {object} [spawnOptions] - child_process.spawn options (stdio, env, cwd), plus
+     * sudo: the command needs root privileges
+     * @return {ChildProcess} The started process
+     */
+    spawn(file, args = [], spawnOptions = {}) {
+      const { sudo, ...rest } = spawnOptions;
+      const argv = sudo && useSudo ? ['sudo', file, ...args] : [file, ...args];
+      return spawn(argv[0], argv.slice(1), rest);
+    }
+  };
+}
+
+/**
+ * Creates a runner that records the command plan instead of executing anything
+ * @param {object} [options]
+ * @param {boolean|string} [options.sudo=true] - Prefix privileged commands with sudo in the plan
+ * @param {Function} [options.respond] - Called with each plan entry, may return
+ * { code, stdout, stderr } to simulate output or a failure (default: success with no output)
+ * @param {object} [options.fs] - File system the SDK uses alongside the runner, see fileSystemOf
+ * (default: the host's)
+ * @return {object} Runner with run and spawn methods and a commands array holding the plan
+ */
+function createDryRunRunner(options = {}) {
+  const useSudo = resolveSudo(options.sudo === undefined ? true : options.sudo);
+  const respond = options.respond || (() => ({}));
+  const commands = [];
+  // A respond that throws or rejects is a command that could not run
+  const answer = entry => Promise.resolve()
+    .then(() => respond(entry))
+    .catch(error => ({ code: typeof error.code === 'number' ? error.code : 1, stderr: `${error.message}\n` }));
+
+  function record(file, args, runOptions) {
+    const argv = runOptions.sudo && useSudo ? ['sudo', file, ...args] : [file, ...args];
+    const entry = {
+      file,
+      args: [...args],
+      sudo: Boolean(runOptions.sudo),
+      command: formatCommand(argv[0], argv.slice(1))
+    };
+    if (runOptions.input !== undefined) {
+      entry.input = runOptions.input;
+    }
+    commands.push(entry);
+    return entry;
+  }
+
+  const runner = {
+    commands,
+
+    run(file, args = [], runOptions = {}) {
+      const entry = record(file, args, runOptions);
+
+      return answer(entry).then((result = {}) => {
+        const { code = 0, stdout = '', stderr = '' } = result;
+        if (code !== 0) {
+          throw new CommandError(`Command failed with exit code ${code}: ${entry.command}`, { command: entry.command, code, stdout, stderr });
+        }
+        return { code, stdout, stderr };
+      });
+    },
+
+    // Returns a stand-in child process that exits with the code respond gives
+    spawn(file, args = [], spawnOptions = {}) {
+      const entry = record(file, args, spawnOptions);
+      const child = new EventEmitter();
+      child.exitCode = null;
+
+      answer(entry).then((result = {}) => {
+        child.exitCode = result.code || 0;
+        child.emit('exit', child.exitCode, null);
+        child.emit('close', child.exitCode, null);
+      });
+      return child;
+    }
+  };
+  if (options.fs) {
+    runner.fs = options.fs;
+  }
+  return runner;
+}
+
+// Runner used by the module-level functions and when no runner is passed in
+const defaultRunner = createCommandRunner();
+
+module.exports = {
+  formatCommand,
+  fileSystemOf,
+  createCommandRunner,
+  createDryRunRunner,
+  defaultRunner
+};
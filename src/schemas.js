@@ -0,0 +1,199 @@
+const { ResponseValidationError } = require('./errors');
+const { isValidKey } = require('./keys');
+const { parseCidr } = require('./cidr');
+
+// A schema is a function (value, path) => problems, each problem being { field, message }
+
+/**
+ * Renders a value for an error message, cut short
+ * @param {*} value - Offending value
+ * @return {string} Short description
+ */
+function preview(value) {
+  if (value === undefined) {
+    return 'nothing';
+  }
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+/**
+ * Builds a schema from a predicate
+ * @param {string} description - What a valid value is, e.g. "a non-empty string"
+ * @param {Function} test - value => boolean
+ * @return {Function} Schema
+ */
+function rule(description, test) {
+  return (value, path) => {
+    if (test(value)) {
+      return [];
+    }
+    const message = value === undefined ? `${path} is missing` : `${path} must be ${description}, got ${preview(value)}`;
+    return [{ field: path, message }];
+  };
+}
+
+/**
+ * Accepts a non-empty string
+ * @return {Function} Schema
+ */
+function text() {
+  return rule('a non-empty string', value => typeof value === 'string' && value.trim() !== '');
+}
+
+/**
+ * Accepts a number or a string holding one, such as a timestamp
+ * @return {Function} Schema
+ */
+function numeric() {
+  return rule('a number', value => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isFinite(Number(value)));
+}
+
+/**
+ * Accepts a base64 WireGuard key
+ * @return {Function} Schema
+ */
+function key() {
+  return rule('a base64 WireGuard key', value => typeof value === 'string' && isValidKey(value));
+}
+
+/**
+ * Accepts one or more CIDRs, as an array or a comma-separated string
+ * @return {Function} Schema
+ */
+function cidrs() {
+  return rule('a CIDR or a list of CIDRs', value => {
+    const entries = [].concat(value === undefined || value === null ? [] : value)
+      .flatMap(entry => (typeof entry === 'string' ? entry.split(',') : [entry]));
+    return entries.length > 0 && entries.every(entry => {
+      try {
+        return typeof entry === 'string' && Boolean(parseCidr(entry));
+      } catch (error) {
+        return false;
+      }
+    });
+  });
+}
+
+/**
+ * Accepts either of several schemas
+ * @param {string} description - What a valid value is
+ * @param {...Function} schemas - Alternatives
+ * @return {Function} Schema
+ */
+function anyOf(description, ...schemas) {
+  const test = rule(description, () => false);
+  return (value, path) => (schemas.some(schema => schema(value, path).length === 0) ? [] : test(value, path));
+}
+
+/**
+ * Accepts null or a missing value, or else what the schema accepts
+ * @param {Function} schema - Schema for present values
+ * @return {Function} Schema
+ */
+function optional(schema) {
+  return (value, path) => (value === undefined || value === null ? [] : schema(value, path));
+}
+
+/**
+ * Accepts an array whose items all match a schema
+ * @param {Function} item - Item schema
+ * @return {Function} Schema
+ */
+function listOf(item) {
+  return (value, path) => (Array.isArray(value)
+    ? value.flatMap((entry, index) => item(entry, `${path}[${index}]`))
+    : rule('an array', () => false)(value, path));
+}
+
+/**
+ * Accepts an object whose fields match their schemas; other fields are ignored
+ * @param {object} fields - Field name -> schema
+ * @return {Function} Schema
+ */
+function shape(fields) {
+  return (value, path) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return rule('an object', () => false)(value, path || 'body');
+    }
+    return Object.keys(fields).flatMap(name => fields[name](value[name], path ? `${path}.${name}` : name));
+  };
+}
+
+/**
+ * Gateway response bodies, keyed by what readResponse is asked to check
+ */
+const RESPONSE_SCHEMAS = {
+  organisation: shape({
+    api_key: text()
+  }),
+  token: shape({
+    payload: shape({ token: text() })
+  }),
+  flow: shape({
+    payload: shape({ flowId: text(), eula: optional(rule('a string', value => typeof value === 'string')) })
+  }),
+  subscription: shape({
+    status: optional(anyOf('a string or a number', text(), numeric())),
+    subscription: optional(shape({
+      type: optional(text()),
+      startTime: optional(anyOf('a date or a timestamp', text(), numeric())),
+      endTime: optional(anyOf('a date or a timestamp', text(), numeric()))
+    }))
+  }),
+  nodes: shape({
+    payload: listOf(shape({
+      id: text(),
+      status: optional(text())
+    }))
+  }),
+  client: shape({
+    payload: shape({
+      client: shape({
+        Address: cidrs(),
+        PresharedKey: optional(key())
+      }),
+      endpoint: text(),
+      serverPublicKey: key()
+    })
+  }),
+  clients: shape({
+    payload: optional(listOf(shape({})))
+  })
+};
+
+/**
+ * Lists where a value departs from a schema
+ * @param {*} value - Value to check
+ * @param {Function} schema - Schema, e.g. one of RESPONSE_SCHEMAS
+ * @param {string} [path] - Name of the value, prefixed to field paths
+ * @return {Array<object>} { field, message } per problem, empty if the value matches
+ */
+function checkSchema(value, schema, path = '') {
+  return schema(value, path);
+}
+
+/**
+ * Checks a gateway response body against its schema
+ * @param {object} body - Parsed response body
+ * @param {Function} schema - Schema, e.g. one of RESPONSE_SCHEMAS
+ * @param {object} details - { endpoint, status } for the error
+ * @return {object} The body
+ * @throws {ResponseValidationError} Naming the endpoint and every field that does not match
+ */
+function validateResponse(body, schema, details) {
+  const problems = checkSchema(body, schema);
+  if (problems.length > 0) {
+    throw new ResponseValidationError(
+      `${details.endpoint} returned an unexpected response: ${problems.map(problem => problem.message).join('; ')}`,
+      { ...details, body, field: problems[0].field, problems: problems.map(problem => problem.message) }
+    );
+  }
+  return body;
+}
+
+module.exports = {
+  RESPONSE_SCHEMAS,
+  checkSchema,
+  validateResponse
+};
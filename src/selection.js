@@ -0,0 +1,172 @@
+const net = require('net');
+const { defaultLogger } = require('./logger');
+
+const DEFAULT_PROBE_TIMEOUT = 2000;
+
+/**
+ * Works out the host and port used to probe a node, from its IP info or domain
+ * @param {object} node - Node object from getAllNodes
+ * @return {object} { host, port }, host is null if the node has no usable address
+ */
+function nodeAddress(node) {
+  let host = node.ipinfoip || node.ip || null;
+  let port = Number(node.httpPort) || null;
+
+  if (!host && node.domain) {
+    const match = String(node.domain).match(/^(?:(\w+):\/\/)?(\[[^\]]+\]|[^/:]+)(?::(\d+))?/);
+    if (match) {
+      host = match[2].replace(/^\[|\]$/g, '');
+      port = port || Number(match[3]) || (match[1] === 'http' ? 80 : 443);
+    }
+  }
+
+  return { host, port: port || 443 };
+}
+
+/**
+ * Default probe: measures how long a TCP connection to the node's HTTP API takes (httpPort
+ * on its IP, or its domain). This is not the WireGuard endpoint the tunnel uses, which is UDP
+ * and does not answer unauthenticated packets; the API usually runs on the same host, so the
+ * round trip stands in for the tunnel's. Pass another probe to rankNodes to measure differently.
+ * @param {object} node - Node to probe
+ * @param {object} [options]
+ * @param {number} [options.timeout=2000] - Milliseconds before the node counts as unreachable
+ * @return {Promise<number>} Round-trip latency in milliseconds
+ */
+function tcpProbe(node, options = {}) {
+  const { timeout = DEFAULT_PROBE_TIMEOUT } = options;
+  const { host, port } = nodeAddress(node);
+  if (!host) {
+    return Promise.reject(new Error(`Node ${node.id} has no address to probe`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const start = process.hrtime();
+    const socket = net.connect({ host, port });
+    socket.setTimeout(timeout);
+    socket.once('connect', () => {
+      const [seconds, nanoseconds] = process.hrtime(start);
+      socket.destroy();
+      resolve(seconds * 1000 + nanoseconds / 1e6);
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      reject(new Error(`No response from ${host}:${port} within ${timeout}ms`));
+    });
+    socket.once('error', error => {
+      socket.destroy();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Reads a metadata field from a node, falling back to the ipinfo* fields the gateway returns
+ * @param {object} node - Node object
+ * @param {string} field - Field name such as region or country
+ * @return {*} Field value, or undefined
+ */
+function nodeField(node, field) {
+  if (node[field] !== undefined && node[field] !== null && node[field] !== '') {
+    return node[field];
+  }
+  return node[`ipinfo${field.toLowerCase()}`];
+}
+
+/**
+ * Checks a node against a metadata filter; values compare case-insensitively and
+ * an array matches any of its entries
+ * @param {object} node - Node object
+ * @param {object} filter - Map of field name to wanted value(s)
+ * @return {boolean} True if every field matches
+ */
+function matchesFilter(node, filter) {
+  return Object.keys(filter).every(field => {
+    const actual = nodeField(node, field);
+    if (actual === undefined || actual === null) {
+      return false;
+    }
+    return [].concat(filter[field]).some(wanted => String(wanted).toLowerCase() === String(actual).toLowerCase());
+  });
+}
+
+/**
+ * Probes nodes and ranks them: reachable before unreachable, preferred before
+ * the rest, then by latency
+ * @param {Array<object>} nodes - Nodes from getAllNodes
+ * @param {object} [options]
+ * @param {object} [options.filter] - Metadata filter, e.g. { region: 'SG', country: ['US', 'DE'] }
+ * @param {Function} [options.match] - Predicate a node must satisfy
+ * @param {Array<string>} [options.exclude] - Node IDs to leave out
+ * @param {Array<string>} [options.prefer] - Node IDs to rank first when reachable
+ * @param {Function} [options.probe] - async (node, { timeout }) => latency in ms; throws if unreachable
+ * @param {number} [options.timeout=2000] - Probe timeout in milliseconds
+ * @param {object} [options.logger] - Logger for probe failures
+ * @return {Promise<Array<object>>} Ranked entries: { node, reachable, latency, preferred, error }
+ */
+async function rankNodes(nodes, options = {}) {
+  const {
+    filter = {},
+    match = () => true,
+    exclude = [],
+    prefer = [],
+    probe = tcpProbe,
+    timeout = DEFAULT_PROBE_TIMEOUT,
+    logger = defaultLogger
+  } = options;
+
+  const candidates = nodes.filter(node => !exclude.includes(node.id) && matchesFilter(node, filter) && match(node));
+  logger.debug(`Probing ${candidates.length} of ${nodes.length} nodes...`);
+
+  const entries = await Promise.all(candidates.map(async node => {
+    const preferred = prefer.includes(node.id);
+    try {
+      const latency = await probe(node, { timeout });
+      if (typeof latency !== 'number' || !Number.isFinite(latency)) {
+        throw new Error('Probe returned no latency');
+      }
+      return { node, reachable: true, latency, preferred, error: null };
+    } catch (error) {
+      logger.debug(`Node ${node.id} is unreachable: ${error.message}`);
+      return { node, reachable: false, latency: null, preferred, error: error.message };
+    }
+  }));
+
+  // Array#sort is stable, so unreachable nodes keep their input order
+  return entries.sort((a, b) =>
+    (b.reachable - a.reachable) ||
+    (b.preferred - a.preferred) ||
+    compareLatency(a.latency, b.latency)
+  );
+}
+
+/**
+ * Orders latencies ascending, with unknown (null) latencies last and equal to each other
+ * @param {number|null} a - Latency in milliseconds
+ * @param {number|null} b - Latency in milliseconds
+ * @return {number} Sort order
+ */
+function compareLatency(a, b) {
+  if (a === null || b === null) {
+    return a === b ? 0 : a === null ? 1 : -1;
+  }
+  return a - b;
+}
+
+/**
+ * Picks the best reachable node, see rankNodes for options
+ * @param {Array<object>} nodes - Nodes from getAllNodes
+ * @param {object} [options] - Same as rankNodes
+ * @return {Promise<object|null>} The best node, or null if none is reachable
+ */
+async function selectBestNode(nodes, options = {}) {
+  const ranked = await rankNodes(nodes, options);
+  return ranked.length > 0 && ranked[0].reachable ? ranked[0].node : null;
+}
+
+module.exports = {
+  nodeAddress,
+  tcpProbe,
+  rankNodes,
+  selectBestNode
+};
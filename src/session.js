@@ -0,0 +1,146 @@
+const { AuthenticationError } = require('./errors');
+
+const DEFAULT_REFRESH_MARGIN = 60000;
+
+/**
+ * Decodes base64 or base64url text
+ * @param {string} text - Encoded text
+ * @return {Buffer} Decoded bytes
+ */
+function decodeBase64(text) {
+  return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Reads the expiry of a JWT or a public PASETO token without verifying it
+ * @param {string} token - Authentication token
+ * @return {Date|null} Expiry time, or null if the token carries none or cannot be decoded
+ */
+function tokenExpiry(token) {
+  try {
+    const parts = String(token).split('.');
+    let claims = null;
+
+    if (parts.length === 3 && !/^v\d$/.test(parts[0])) {
+      // JWT: header.claims.signature, exp in seconds
+      claims = JSON.parse(decodeBase64(parts[1]).toString('utf8'));
+      return typeof claims.exp === 'number' ? new Date(claims.exp * 1000) : null;
+    }
+
+    if (/^v[24]$/.test(parts[0]) && parts[1] === 'public') {
+      // PASETO v2/v4 public: the message is followed by a 64-byte Ed25519 signature, exp is ISO 8601
+      const payload = decodeBase64(parts[2]);
+      claims = JSON.parse(payload.slice(0, payload.length - 64).toString('utf8'));
+      const expiry = claims.exp ? new Date(claims.exp) : null;
+      return expiry && !Number.isNaN(expiry.getTime()) ? expiry : null;
+    }
+  } catch (error) {
+    // Opaque or malformed token: expiry unknown
+  }
+  return null;
+}
+
+/**
+ * Holds the current authentication token for a client and renews it before it expires.
+ * Tokens come from an API key (GET /organisation/token), an ethers Signer, or a custom
+ * getToken function.
+ */
+class AuthSession {
+  /**
+   * @param {object} options
+   * @param {object} options.client - ErebrusClient used to obtain tokens
+   * @param {object} options.credentials - { apiKey }, { signer, chain } or { getToken: async () => token }
+   * @param {number} [options.refreshMargin=60000] - Milliseconds before expiry at which the token is renewed
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options) {
+    const { client, credentials = {}, refreshMargin = DEFAULT_REFRESH_MARGIN, now = Date.now } = options;
+    if (!credentials.apiKey && !credentials.signer && typeof credentials.getToken !== 'function') {
+      throw new AuthenticationError('A session needs an apiKey, a signer or a getToken function');
+    }
+
+    this.client = client;
+    this.credentials = credentials;
+    this.refreshMargin = refreshMargin;
+    this.now = now;
+    this.token = null;
+    this.expiresAt = null;
+    this.pending = null;
+  }
+
+  /**
+   * Whether the token is missing or expires within the refresh margin
+   * @return {boolean} True if the token should be renewed before use
+   */
+  isExpiring() {
+    if (!this.token) {
+      return true;
+    }
+    return this.expiresAt !== null && this.expiresAt.getTime() - this.now() <= this.refreshMargin;
+  }
+
+  /**
+   * Returns a usable token, renewing it first when it is about to expire
+   * @return {Promise<string>} Authentication token
+   * @throws {AuthenticationError} If no token can be obtained
+   */
+  async getToken() {
+    if (this.isExpiring()) {
+      await this.refresh();
+    }
+    return this.token;
+  }
+
+  /**
+   * Obtains a new token from the credentials, sharing one request between concurrent callers
+   * @return {Promise<string>} The new token
+   * @throws {AuthenticationError} If no token can be obtained
+   */
+  async refresh() {
+    if (!this.pending) {
+      this.pending = this.obtain()
+        .then(token => {
+          if (!token) {
+            throw new AuthenticationError('Could not obtain an authentication token');
+          }
+          this.token = token;
+          this.expiresAt = tokenExpiry(token);
+          this.client.logger.debug(`Session token renewed, expires ${this.expiresAt ? this.expiresAt.toISOString() : 'never'}`);
+          return token;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Requests a token from whichever credential the session was created with
+   * @return {Promise<string|null>} Token, or null if the client could not authenticate
+   */
+  async obtain() {
+    const { apiKey, signer, chain, getToken } = this.credentials;
+    if (typeof getToken === 'function') {
+      return getToken();
+    }
+    if (apiKey) {
+      return this.client.authenticate(apiKey);
+    }
+    return this.client.authenticateWithWallet(signer, { chain });
+  }
+
+  /**
+   * Drops the current token so the next request obtains a new one
+   */
+  invalidate() {
+    this.token = null;
+    this.expiresAt = null;
+  }
+}
+
+module.exports = {
+  DEFAULT_REFRESH_MARGIN,
+  tokenExpiry,
+  AuthSession
+};
@@ -0,0 +1,174 @@
+const { defaultLogger } = require('./logger');
+const { defaultRunner } = require('./runner');
+const { DEFAULT_TUNNEL_OPTIONS } = require('./options');
+
+// WireGuard drops a session this long after the last handshake (REJECT_AFTER_TIME)
+const HANDSHAKE_TIMEOUT_SECONDS = 180;
+
+/**
+ * Turns a dump field into a value, mapping "(none)" and "off" to null
+ * @param {string} value - Raw field
+ * @return {string|null} Field value
+ */
+function dumpValue(value) {
+  return value === '(none)' || value === 'off' || value === undefined ? null : value;
+}
+
+/**
+ * Parses the output of `wg show <interface> dump` (or `wg show all dump`)
+ *
+ * The interface's private key is deliberately left out of the result.
+ * @param {string} text - Command output
+ * @return {object|null} { publicKey, listenPort, fwmark, peers: [...] }, or null if there is no interface line
+ */
+function parseWireGuardDump(text) {
+  const rows = String(text)
+    .split('\n')
+    .map(line => line.replace(/\r$/, ''))
+    .filter(line => line.trim())
+    .map(line => line.split('\t'));
+  if (rows.length === 0) {
+    return null;
+  }
+
+  // `wg show all dump` prefixes every row with the interface name
+  const offset = rows[0].length === 5 ? 1 : 0;
+  const [, publicKey, listenPort, fwmark] = rows[0].slice(offset);
+
+  const peers = rows.slice(1).map(row => {
+    const [peerKey, , endpoint, allowedIPs, handshake, rx, tx, keepalive] = row.slice(offset);
+    const handshakeSeconds = Number(handshake) || 0;
+    return {
+      publicKey: peerKey,
+      endpoint: dumpValue(endpoint),
+      allowedIPs: dumpValue(allowedIPs) ? allowedIPs.split(',') : [],
+      latestHandshake: handshakeSeconds > 0 ? new Date(handshakeSeconds * 1000) : null,
+      rxBytes: Number(rx) || 0,
+      txBytes: Number(tx) || 0,
+      persistentKeepalive: dumpValue(keepalive) === null ? null : Number(keepalive)
+    };
+  });
+
+  return {
+    publicKey: dumpValue(publicKey),
+    listenPort: Number(listenPort) || null,
+    fwmark: dumpValue(fwmark),
+    peers
+  };
+}
+
+/**
+ * Parses the output of `ip addr show dev <interface>`
+ * @param {string} text - Command output
+ * @return {object|null} { up, mtu, addresses }, or null if the output has no interface header
+ */
+function parseIpAddr(text) {
+  const lines = String(text).split('\n');
+  const header = lines.find(line => /^\d+:\s/.test(line));
+  if (!header) {
+    return null;
+  }
+
+  const flags = (header.match(/<([^>]*)>/) || [null, ''])[1].split(',');
+  const mtu = header.match(/\bmtu (\d+)/);
+  const addresses = lines
+    .map(line => line.match(/^\s*inet6?\s+(\S+)/))
+    .filter(Boolean)
+    .map(match => match[1]);
+
+  return {
+    up: flags.includes('UP'),
+    mtu: mtu ? Number(mtu[1]) : null,
+    addresses
+  };
+}
+
+/**
+ * Combines parsed wg and ip output into a connection status
+ * @param {string} interfaceName - Interface the output belongs to
+ * @param {object|null} wireguard - Result of parseWireGuardDump
+ * @param {object|null} link - Result of parseIpAddr
+ * @param {Date} [now] - Reference time for handshake age
+ * @return {object} Connection status, see getConnectionStatus
+ */
+function buildConnectionStatus(interfaceName, wireguard, link, now = new Date()) {
+  if (!wireguard) {
+    return {
+      connected: false,
+      state: 'missing',
+      interfaceName,
+      reason: `Interface ${interfaceName} does not exist`
+    };
+  }
+
+  const peers = wireguard.peers.map(peer => ({
+    ...peer,
+    handshakeAge: peer.latestHandshake ? Math.max(0, Math.round((now - peer.latestHandshake) / 1000)) : null
+  }));
+  const peer = peers[0] || null;
+  const up = Boolean(link && link.up);
+  const handshakeFresh = Boolean(peer && peer.handshakeAge !== null && peer.handshakeAge < HANDSHAKE_TIMEOUT_SECONDS);
+
+  let reason = null;
+  if (!up) {
+    reason = `Interface ${interfaceName} is down`;
+  } else if (!peer) {
+    reason = `Interface ${interfaceName} has no peer`;
+  } else if (!handshakeFresh) {
+    reason = peer.latestHandshake ? `Last handshake was ${peer.handshakeAge}s ago` : 'No handshake with the node yet';
+  }
+
+  return {
+    connected: up && handshakeFresh,
+    state: up ? 'up' : 'down',
+    interfaceName,
+    reason,
+    addresses: link ? link.addresses : [],
+    mtu: link ? link.mtu : null,
+    publicKey: wireguard.publicKey,
+    listenPort: wireguard.listenPort,
+    peer,
+    peers
+  };
+}
+
+/**
+ * Reads live statistics for a WireGuard interface
+ * @param {string} [interfaceName] - Interface to inspect (default: erebrus-dvpn)
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<object>} { connected, state ('up', 'down' or 'missing'), interfaceName, reason,
+ * addresses, mtu, publicKey, listenPort, peer, peers }, where each peer has publicKey, endpoint,
+ * allowedIPs, latestHandshake, handshakeAge (seconds), rxBytes, txBytes and persistentKeepalive
+ */
+async function getConnectionStatus(interfaceName = DEFAULT_TUNNEL_OPTIONS.interfaceName, context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  logger.debug(`Reading status of WireGuard interface ${interfaceName}...`);
+
+  let wireguard = null;
+  try {
+    const { stdout } = await runner.run('wg', ['show', interfaceName, 'dump'], { sudo: true });
+    wireguard = parseWireGuardDump(stdout);
+  } catch (error) {
+    logger.debug(`wg show ${interfaceName} failed: ${error.message}`);
+  }
+
+  let link = null;
+  if (wireguard) {
+    try {
+      const { stdout } = await runner.run('ip', ['addr', 'show', 'dev', interfaceName]);
+      link = parseIpAddr(stdout);
+    } catch (error) {
+      logger.debug(`ip addr show ${interfaceName} failed: ${error.message}`);
+    }
+  }
+
+  return buildConnectionStatus(interfaceName, wireguard, link);
+}
+
+module.exports = {
+  HANDSHAKE_TIMEOUT_SECONDS,
+  parseWireGuardDump,
+  parseIpAddr,
+  buildConnectionStatus,
+  getConnectionStatus
+};
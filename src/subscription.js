@@ -0,0 +1,78 @@
+const { GatewayError, SubscriptionError } = require('./errors');
+
+/**
+ * Parses a date field from the gateway, or returns null
+ * @param {*} value - ISO string or unix timestamp
+ * @return {Date|null} Date value
+ */
+function toDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Subscription status for an organization that has no subscription
+ * @param {*} raw - Gateway response that said so
+ * @return {object} { status: 'none', plan, startsAt, expiresAt, raw }
+ */
+function noSubscription(raw) {
+  return { status: 'none', plan: null, startsAt: null, expiresAt: null, raw };
+}
+
+/**
+ * Turns a GET /subscription response into a typed subscription status
+ * @param {object} data - Response body
+ * @param {Date} [now] - Reference time for expiry
+ * @return {object} { status ('active', 'expired' or 'none'), plan, startsAt, expiresAt, raw }
+ * @throws {GatewayError} If the response has neither a subscription nor a notFound status
+ */
+function parseSubscription(data, now = new Date()) {
+  const subscription = data && data.subscription;
+
+  if (!subscription) {
+    if (data && data.status === 'notFound') {
+      return noSubscription(data);
+    }
+    throw new GatewayError('GET /subscription returned an unexpected response', { body: data, endpoint: 'GET /subscription' });
+  }
+
+  const expiresAt = toDate(subscription.endTime || subscription.expiresAt);
+  const expired = data.status === 'expired' || (expiresAt !== null && expiresAt <= now);
+  return {
+    status: expired ? 'expired' : 'active',
+    plan: subscription.type || subscription.plan || null,
+    startsAt: toDate(subscription.startTime || subscription.startsAt),
+    expiresAt,
+    raw: data
+  };
+}
+
+/**
+ * Throws unless a subscription status from ensureSubscription is active
+ * @param {object} subscription - Subscription status
+ * @return {object} The same subscription status
+ * @throws {SubscriptionError} With reason 'trial-not-allowed', 'expired' or 'none'
+ */
+function assertActiveSubscription(subscription) {
+  if (subscription.status === 'active') {
+    return subscription;
+  }
+
+  if (subscription.trial && !subscription.trial.started) {
+    throw new SubscriptionError(`No active subscription, and a trial is not allowed: ${subscription.trial.reason}`, { reason: 'trial-not-allowed', subscription });
+  }
+  if (subscription.status === 'expired') {
+    const when = subscription.expiresAt ? ` on ${subscription.expiresAt.toISOString()}` : '';
+    throw new SubscriptionError(`Subscription${subscription.plan ? ` ${subscription.plan}` : ''} expired${when}`, { reason: 'expired', subscription });
+  }
+  throw new SubscriptionError('No subscription found for this organization', { reason: 'none', subscription });
+}
+
+module.exports = {
+  noSubscription,
+  parseSubscription,
+  assertActiveSubscription
+};
@@ -0,0 +1,512 @@
+const http = require('http');
+const crypto = require('crypto');
+const { verifyMessage } = require('ethers');
+const { derivePublicKey } = require('../keys');
+const { formatEndpoint } = require('../endpoint');
+
+// [region, country, city] of the seeded nodes, in order
+const NODE_LOCATIONS = [
+  ['SG', 'Singapore', 'Singapore'],
+  ['US', 'United States', 'New York'],
+  ['DE', 'Germany', 'Frankfurt'],
+  ['JP', 'Japan', 'Tokyo'],
+  ['IN', 'India', 'Mumbai'],
+  ['GB', 'United Kingdom', 'London']
+];
+
+/**
+ * Derives a WireGuard key pair from a seed, so every run hands out the same keys
+ * @param {string} seed - Gateway seed
+ * @param {string} label - What the key is for, e.g. a node ID
+ * @return {object} { privateKey, publicKey }
+ */
+function deterministicKeyPair(seed, label) {
+  const raw = crypto.createHash('sha256').update(`${seed}:${label}`).digest();
+  // Clamp the scalar the same way wg genkey does
+  raw[0] &= 248;
+  raw[31] = (raw[31] & 127) | 64;
+  const privateKey = raw.toString('base64');
+  return { privateKey, publicKey: derivePublicKey(privateKey) };
+}
+
+/**
+ * Derives a stable hex identifier from a seed
+ * @param {string} seed - Gateway seed
+ * @param {string} label - What the identifier is for
+ * @param {number} [length=32] - Hex digits
+ * @return {string} Identifier
+ */
+function deterministicId(seed, label, length = 32) {
+  return crypto.createHash('sha256').update(`${seed}:${label}`).digest('hex').slice(0, length);
+}
+
+/**
+ * Builds node objects shaped like GET /nodes/all entries
+ * @param {number} count - Number of nodes
+ * @param {string} [seed='erebrus'] - Seed for IDs and wallet addresses
+ * @return {Array<object>} Raw nodes, all active, with addresses in 203.0.113.0/24 (TEST-NET-3)
+ */
+function seedNodes(count, seed = 'erebrus') {
+  return Array.from({ length: count }, (unused, index) => {
+    const [region, country, city] = NODE_LOCATIONS[index % NODE_LOCATIONS.length];
+    return {
+      id: deterministicId(seed, `node:${index}`, 16),
+      name: `mock-${region.toLowerCase()}-${index + 1}`,
+      status: 'active',
+      region,
+      ipinfocountry: country,
+      ipinfocity: city,
+      ipinfoip: `203.0.113.${10 + index}`,
+      httpPort: '9080',
+      domain: `https://node-${index + 1}.mock.erebrus.invalid`,
+      walletAddress: `0x${deterministicId(seed, `wallet:${index}`, 40)}`,
+      chainName: 'evm',
+      version: '1.0.0',
+      downloadSpeed: 100 + index * 10,
+      uploadSpeed: 50 + index * 5,
+      latency: 20 + index * 15,
+      lastPingedTimeStamp: Math.floor(Date.now() / 1000)
+    };
+  });
+}
+
+/**
+ * Encodes JSON as unpadded base64url
+ * @param {object} value - Value to encode
+ * @return {string} Encoded text
+ */
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * An in-process HTTP server that answers like the Erebrus gateway services, for testing code
+ * built on the SDK without the network. Every endpoint the SDK calls is emulated, with state
+ * kept in memory; faults, latency and malformed payloads can be injected per endpoint.
+ */
+class MockGateway {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.seed='erebrus'] - Seed for node IDs and every key handed out
+   * @param {Array<object>|number} [options.nodes=3] - Raw nodes, or how many to seed
+   * @param {string} [options.subscription='none'] - Subscription of new organizations:
+   * 'none', 'active' or 'expired'
+   * @param {boolean} [options.trialAllowed=true] - Whether POST /subscription/trial succeeds
+   * @param {number} [options.tokenTtl=3600] - Seconds issued tokens stay valid
+   * @param {number} [options.latency=0] - Milliseconds every response is delayed
+   * @param {boolean} [options.dualStack=false] - Give clients an IPv6 address too
+   * @param {number} [options.endpointPort] - Port appended to the endpoints clients get (default: none)
+   */
+  constructor(options = {}) {
+    const {
+      seed = 'erebrus',
+      nodes = 3,
+      subscription = 'none',
+      trialAllowed = true,
+      tokenTtl = 3600,
+      latency = 0,
+      dualStack = false,
+      endpointPort
+    } = options;
+
+    this.seed = seed;
+    this.nodes = Array.isArray(nodes) ? nodes.map(node => ({ ...node })) : seedNodes(nodes, seed);
+    this.defaultSubscription = subscription;
+    this.trialAllowed = trialAllowed;
+    this.tokenTtl = tokenTtl;
+    this.latency = latency;
+    this.dualStack = dualStack;
+    this.endpointPort = endpointPort;
+
+    this.organizations = new Map();
+    this.tokens = new Map();
+    this.clients = new Map();
+    this.flows = new Map();
+    this.faults = new Map();
+    // Only ever incremented, so IDs and addresses stay unique after deletions
+    this.counters = { organisation: 0, token: 0, flow: 0, client: 0 };
+    this.requests = [];
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * Base URLs to hand to ErebrusClient, one per service
+   * @return {object} { organisation, gateway, subscription, nodes }
+   */
+  get baseUrls() {
+    if (!this.url) {
+      throw new Error('The mock gateway is not running; call start() first');
+    }
+    return {
+      organisation: `${this.url}/api/v1.1`,
+      gateway: `${this.url}/api/v1.0`,
+      subscription: `${this.url}/api/v1.0`,
+      nodes: `${this.url}/api/v1.0`
+    };
+  }
+
+  /**
+   * Latency probe for rankNodes and connectDvpn's 'auto' selection, answering with each
+   * node's latency field instead of connecting to it
+   * @return {Function} async node => latency in milliseconds
+   */
+  get probe() {
+    return async node => {
+      const raw = this.nodes.find(candidate => candidate.id === node.id);
+      if (!raw || raw.latency === null) {
+        throw new Error(`Node ${node.id} is unreachable`);
+      }
+      return raw.latency === undefined ? 50 : raw.latency;
+    };
+  }
+
+  /**
+   * Starts listening on a free port on the loopback interface
+   * @param {number} [port=0] - Port, 0 for any free one
+   * @return {Promise<MockGateway>} This gateway
+   */
+  async start(port = 0) {
+    this.server = http.createServer((request, response) => this.handle(request, response));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', resolve);
+    });
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  /**
+   * Stops the server and drops open connections
+   * @return {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    this.url = null;
+    await new Promise(resolve => {
+      server.close(() => resolve());
+      if (typeof server.closeAllConnections === 'function') {
+        server.closeAllConnections();
+      }
+    });
+  }
+
+  /**
+   * Makes an endpoint misbehave
+   * @param {string} endpoint - Endpoint label as the SDK names it, e.g. 'GET /nodes/all' or
+   * 'POST /erebrus/client/:nodeId'
+   * @param {object} fault
+   * @param {number} [fault.status] - Answer with this status instead
+   * @param {*} [fault.body] - Answer with this JSON body instead
+   * @param {string} [fault.raw] - Answer with this text instead, e.g. malformed JSON
+   * @param {Function} [fault.transform] - body => body, to alter the real answer
+   * @param {object} [fault.headers] - Extra response headers, e.g. { 'Retry-After': '1' }
+   * @param {number} [fault.delay] - Milliseconds to wait before answering
+   * @param {boolean} [fault.drop] - Close the connection without answering
+   * @param {number} [fault.times=Infinity] - Number of requests the fault applies to
+   * @return {MockGateway} This gateway
+   */
+  inject(endpoint, fault) {
+    const faults = this.faults.get(endpoint) || [];
+    faults.push({ times: Infinity, ...fault });
+    this.faults.set(endpoint, faults);
+    return this;
+  }
+
+  /**
+   * Removes every injected fault, or those of one endpoint
+   * @param {string} [endpoint] - Endpoint label
+   * @return {MockGateway} This gateway
+   */
+  clearFaults(endpoint) {
+    if (endpoint) {
+      this.faults.delete(endpoint);
+    } else {
+      this.faults.clear();
+    }
+    return this;
+  }
+
+  /**
+   * Creates an organization without going through HTTP
+   * @param {object} [options]
+   * @param {string} [options.subscription] - Its subscription (default: the gateway's)
+   * @return {object} { id, name, api_key }
+   */
+  createOrganization(options = {}) {
+    const index = this.counters.organisation++;
+    const organization = {
+      id: deterministicId(this.seed, `organisation:${index}`),
+      name: `mock-organisation-${index + 1}`,
+      api_key: `mock_${deterministicId(this.seed, `api-key:${index}`)}`,
+      subscription: { status: options.subscription || this.defaultSubscription, type: 'mock', trialUsed: false }
+    };
+    this.organizations.set(organization.api_key, organization);
+    return { id: organization.id, name: organization.name, api_key: organization.api_key };
+  }
+
+  /**
+   * Issues a token for an organization or wallet without going through HTTP
+   * @param {string} subject - Organization ID or wallet address
+   * @return {string} Unsigned JWT whose exp is tokenTtl seconds away
+   */
+  issueToken(subject) {
+    const exp = Math.floor(Date.now() / 1000) + this.tokenTtl;
+    const token = `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url({ sub: subject, exp, jti: this.counters.token++ })}.mock`;
+    this.tokens.set(token, { subject, exp });
+    return token;
+  }
+
+  /**
+   * Sets the subscription of every organization, and of those created later
+   * @param {string} status - 'none', 'active' or 'expired'
+   * @return {MockGateway} This gateway
+   */
+  setSubscription(status) {
+    this.defaultSubscription = status;
+    this.organizations.forEach(organization => { organization.subscription.status = status; });
+    return this;
+  }
+
+  /**
+   * The WireGuard key pair a node uses, as handed to clients in serverPublicKey
+   * @param {string} nodeId - Node ID
+   * @return {object} { privateKey, publicKey }
+   */
+  nodeKeys(nodeId) {
+    return deterministicKeyPair(this.seed, `node:${nodeId}`);
+  }
+
+  /**
+   * Routes a request and writes the answer, applying injected faults
+   * @param {object} request - http.IncomingMessage
+   * @param {object} response - http.ServerResponse
+   * @return {Promise<void>}
+   */
+  async handle(request, response) {
+    const text = await new Promise(resolve => {
+      let data = '';
+      request.setEncoding('utf8');
+      request.on('data', chunk => { data += chunk; });
+      request.on('end', () => resolve(data));
+    });
+
+    const url = new URL(request.url, 'http://mock');
+    const path = url.pathname.replace(/^\/api\/v1\.\d/, '');
+    const route = this.route(request.method, path);
+    const endpoint = route ? route.endpoint : `${request.method} ${path}`;
+    let body = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch (error) {
+      body = text;
+    }
+    this.requests.push({ method: request.method, path, endpoint, query: Object.fromEntries(url.searchParams), headers: request.headers, body });
+
+    const faults = this.faults.get(endpoint) || [];
+    const fault = faults.find(candidate => candidate.times > 0);
+    if (fault) {
+      fault.times--;
+    }
+
+    const delay = this.latency + ((fault && fault.delay) || 0);
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    if (fault && fault.drop) {
+      request.socket.destroy();
+      return;
+    }
+
+    let answer = { status: 404, body: { status: 404, message: `No route for ${request.method} ${path}` } };
+    if (route) {
+      answer = route.auth && !this.authorize(request)
+        ? { status: 401, body: { status: 401, message: 'Unauthorized' } }
+        : route.handler({ request, params: route.params, query: url.searchParams, body });
+    }
+    if (fault) {
+      answer = {
+        status: fault.status !== undefined ? fault.status : answer.status,
+        body: fault.body !== undefined ? fault.body : fault.transform ? fault.transform(answer.body) : answer.body
+      };
+    }
+
+    const payload = fault && fault.raw !== undefined ? fault.raw : JSON.stringify(answer.body);
+    response.writeHead(answer.status, {
+      'Content-Type': 'application/json',
+      ...((fault && fault.headers) || {})
+    });
+    response.end(payload);
+  }
+
+  /**
+   * Checks the bearer token of a request
+   * @param {object} request - http.IncomingMessage
+   * @return {object|null} Token record, or null if missing, unknown or expired
+   */
+  authorize(request) {
+    const match = String(request.headers.authorization || '').match(/^Bearer (.+)$/);
+    const record = match ? this.tokens.get(match[1]) : null;
+    return record && record.exp * 1000 > Date.now() ? record : null;
+  }
+
+  /**
+   * Organization a request's token belongs to
+   * @param {object} request - http.IncomingMessage
+   * @return {object|null} Organization
+   */
+  organizationOf(request) {
+    const record = this.authorize(request);
+    return record ? [...this.organizations.values()].find(org => org.id === record.subject) || null : null;
+  }
+
+  /**
+   * Finds the handler for a request
+   * @param {string} method - HTTP method
+   * @param {string} path - Path without the /api/v1.x prefix
+   * @return {object|null} { endpoint, auth, params, handler }
+   */
+  route(method, path) {
+    const routes = [
+      ['POST', '/organisation', false, () => ({ status: 200, body: this.createOrganization() })],
+      ['GET', '/organisation/token', false, ({ request }) => {
+        const organization = this.organizations.get(request.headers['x-api-key']);
+        return organization
+          ? { status: 200, body: { status: 200, message: 'Token generated', payload: { token: this.issueToken(organization.id) } } }
+          : { status: 401, body: { status: 401, message: 'Invalid API key' } };
+      }],
+      ['GET', '/flowid', false, ({ query }) => {
+        const flowId = deterministicId(this.seed, `flow:${this.counters.flow++}`);
+        const eula = 'I accept the Erebrus mock terms of service. ';
+        this.flows.set(flowId, { walletAddress: query.get('walletAddress'), message: `${eula}${flowId}` });
+        return { status: 200, body: { status: 200, payload: { eula, flowId } } };
+      }],
+      ['POST', '/authenticate', false, ({ body }) => {
+        const flow = body && this.flows.get(body.flowId);
+        let signer = null;
+        try {
+          signer = flow ? verifyMessage(flow.message, body.signature) : null;
+        } catch (error) {
+          signer = null;
+        }
+        if (!flow || !signer || signer.toLowerCase() !== String(flow.walletAddress).toLowerCase()) {
+          return { status: 401, body: { status: 401, message: 'Invalid signature' } };
+        }
+        this.flows.delete(body.flowId);
+        if (![...this.organizations.values()].some(org => org.id === signer)) {
+          const organization = this.createOrganization();
+          this.organizations.get(organization.api_key).id = signer;
+        }
+        return { status: 200, body: { status: 200, payload: { token: this.issueToken(signer) } } };
+      }],
+      ['GET', '/subscription', true, ({ request }) => {
+        const { subscription } = this.organizationOf(request) || { subscription: { status: 'none' } };
+        if (subscription.status === 'none') {
+          return { status: 200, body: { status: 'notFound' } };
+        }
+        const day = 86400000;
+        const end = subscription.status === 'expired' ? Date.now() - day : Date.now() + 30 * day;
+        return {
+          status: 200,
+          body: {
+            status: subscription.status,
+            subscription: { type: subscription.type, startTime: new Date(end - 30 * day).toISOString(), endTime: new Date(end).toISOString() }
+          }
+        };
+      }],
+      ['POST', '/subscription/trial', true, ({ request }) => {
+        const organization = this.organizationOf(request);
+        if (!organization || !this.trialAllowed || organization.subscription.trialUsed) {
+          return { status: 400, body: { status: 400, message: 'Trial subscription already used' } };
+        }
+        organization.subscription = { status: 'active', type: 'TrialSubscription', trialUsed: true };
+        return { status: 200, body: { status: 200, message: 'Trial subscription created' } };
+      }],
+      ['GET', '/nodes/all', true, () => ({ status: 200, body: { status: 200, payload: this.nodes } })],
+      ['POST', '/erebrus/client/:nodeId', true, ({ request, params, body }) => this.registerClient(request, params.nodeId, body)],
+      ['GET', '/erebrus/clients', true, ({ request }) => {
+        const organization = this.organizationOf(request);
+        const clients = [...this.clients.values()].filter(client => organization && client.organisationId === organization.id);
+        return { status: 200, body: { status: 200, payload: clients.map(({ organisationId, ...client }) => client) } };
+      }],
+      ['DELETE', '/erebrus/client/:clientId', true, ({ params }) => (this.clients.delete(params.clientId)
+        ? { status: 200, body: { status: 200, message: 'Client deleted' } }
+        : { status: 404, body: { status: 404, message: 'Client not found' } })]
+    ];
+
+    for (const [routeMethod, pattern, auth, handler] of routes) {
+      const names = [];
+      const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (match, name) => { names.push(name); return '([^/]+)'; })}$`);
+      const match = method === routeMethod && path.match(regex);
+      if (match) {
+        const params = names.reduce((result, name, index) => ({ ...result, [name]: decodeURIComponent(match[index + 1]) }), {});
+        return { endpoint: `${method} ${pattern}`, auth, params, handler };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Handles POST /erebrus/client/:nodeId
+   * @param {object} request - http.IncomingMessage
+   * @param {string} nodeId - Node ID from the path
+   * @param {object} body - { name, publicKey, presharedKey }
+   * @return {object} { status, body }
+   */
+  registerClient(request, nodeId, body) {
+    const node = this.nodes.find(candidate => candidate.id === nodeId);
+    if (!node) {
+      return { status: 404, body: { status: 404, message: `Node ${nodeId} not found` } };
+    }
+    if (!body || typeof body.publicKey !== 'string') {
+      return { status: 400, body: { status: 400, message: 'publicKey is required' } };
+    }
+
+    const index = this.counters.client++;
+    const organization = this.organizationOf(request);
+    const client = {
+      UUID: deterministicId(this.seed, `client:${index}`),
+      Name: body.name || 'client',
+      Address: [`10.8.${Math.floor((index + 2) / 256)}.${(index + 2) % 256}/32`, ...(this.dualStack ? [`fd00:8::${(index + 2).toString(16)}/128`] : [])],
+      PresharedKey: body.presharedKey,
+      PublicKey: body.publicKey,
+      NodeId: nodeId,
+      organisationId: organization ? organization.id : null
+    };
+    this.clients.set(client.UUID, client);
+
+    const { organisationId, ...visible } = client;
+    return {
+      status: 200,
+      body: {
+        status: 200,
+        message: 'Client created',
+        payload: {
+          client: visible,
+          endpoint: formatEndpoint({ host: node.ipinfoip, port: this.endpointPort || null }),
+          serverPublicKey: this.nodeKeys(nodeId).publicKey
+        }
+      }
+    };
+  }
+}
+
+/**
+ * Creates and starts a mock gateway
+ * @param {object} [options] - See MockGateway
+ * @return {Promise<MockGateway>} Running gateway; call stop() when done
+ */
+async function startMockGateway(options = {}) {
+  return new MockGateway(options).start();
+}
+
+module.exports = {
+  MockGateway,
+  startMockGateway,
+  seedNodes,
+  deterministicKeyPair
+};
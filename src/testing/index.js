@@ -0,0 +1,11 @@
+const { MockGateway, startMockGateway, seedNodes, deterministicKeyPair } = require('./gateway');
+const { createFakeRunner } = require('./runner');
+
+// Test helpers, loaded with require('erebrus/testing'); nothing here is used by the SDK itself
+module.exports = {
+  MockGateway,
+  startMockGateway,
+  seedNodes,
+  deterministicKeyPair,
+  createFakeRunner
+};
@@ -0,0 +1,543 @@
+const path = require('path');
+const { createDryRunRunner } = require('../runner');
+const { parseConfig } = require('../config');
+const { derivePublicKey } = require('../keys');
+const { parseEndpoint } = require('../endpoint');
+
+/**
+ * IP version of an address or CIDR
+ * @param {string} address - Address text
+ * @return {number} 4 or 6
+ */
+function versionOf(address) {
+  return String(address).includes(':') ? 6 : 4;
+}
+
+/**
+ * Reads the value following a keyword in an argument list, e.g. the "dev" of an ip command
+ * @param {Array<string>} args - Arguments
+ * @param {string} keyword - Keyword
+ * @return {string|undefined} Value
+ */
+function valueAfter(args, keyword) {
+  const index = args.indexOf(keyword);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+/**
+ * Builds an error shaped like the ones fs raises for a missing path
+ * @param {string} syscall - Operation, e.g. 'open'
+ * @param {string} file - Path
+ * @return {Error} Error with code ENOENT
+ */
+function notFound(syscall, file) {
+  return Object.assign(new Error(`ENOENT: no such file or directory, ${syscall} '${file}'`), { code: 'ENOENT', syscall, path: file });
+}
+
+/**
+ * Creates an in-memory file system with the fs.promises methods the SDK uses, so neither the
+ * SDK nor the simulated commands read or write the real disk
+ * @param {object} [initial] - Path -> contents of the files present from the start
+ * @return {object} { files, fs }: files maps each path to its contents, fs has readFile,
+ * writeFile, mkdir, readdir, stat, lstat, rename and rm
+ */
+function createVirtualFileSystem(initial = {}) {
+  const files = new Map();
+  const modified = new Map();
+  const directories = new Set(['/']);
+  // Writes get increasing timestamps, so ordering by mtime is never a tie
+  let clock = Date.now();
+
+  const addDirectory = dir => {
+    for (let current = dir; !directories.has(current); current = path.dirname(current)) {
+      directories.add(current);
+    }
+  };
+  const write = (file, contents) => {
+    files.set(file, String(contents));
+    modified.set(file, clock++);
+  };
+  Object.keys(initial).forEach(file => {
+    addDirectory(path.dirname(path.resolve(file)));
+    write(path.resolve(file), initial[file]);
+  });
+
+  const stat = async file => {
+    const target = path.resolve(file);
+    if (files.has(target)) {
+      const mtimeMs = modified.get(target);
+      return { isFile: () => true, isDirectory: () => false, size: files.get(target).length, mtimeMs, mtime: new Date(mtimeMs) };
+    }
+    if (directories.has(target)) {
+      return { isFile: () => false, isDirectory: () => true, size: 0, mtimeMs: 0, mtime: new Date(0) };
+    }
+    throw notFound('stat', file);
+  };
+
+  const fs = {
+    async readFile(file, options) {
+      const target = path.resolve(file);
+      if (!files.has(target)) {
+        throw notFound('open', file);
+      }
+      const encoding = typeof options === 'string' ? options : options && options.encoding;
+      return encoding ? files.get(target) : Buffer.from(files.get(target));
+    },
+
+    async writeFile(file, data) {
+      const target = path.resolve(file);
+      if (!directories.has(path.dirname(target))) {
+        throw notFound('open', file);
+      }
+      write(target, data);
+    },
+
+    async mkdir(dir, options = {}) {
+      const target = path.resolve(dir);
+      if (!options.recursive && !directories.has(path.dirname(target))) {
+        throw notFound('mkdir', dir);
+      }
+      addDirectory(target);
+    },
+
+    async readdir(dir) {
+      const target = path.resolve(dir);
+      if (!directories.has(target)) {
+        throw notFound('scandir', dir);
+      }
+      return [...files.keys(), ...directories]
+        .filter(entry => entry !== target && path.dirname(entry) === target)
+        .map(entry => path.basename(entry))
+        .sort();
+    },
+
+    stat,
+    lstat: stat,
+
+    async rename(from, to) {
+      const source = path.resolve(from);
+      if (!files.has(source)) {
+        throw notFound('rename', from);
+      }
+      await fs.writeFile(to, files.get(source));
+      files.delete(source);
+      modified.delete(source);
+    },
+
+    async rm(file, options = {}) {
+      const target = path.resolve(file);
+      if (files.delete(target)) {
+        modified.delete(target);
+      } else if (directories.has(target) && options.recursive) {
+        [...files.keys()].filter(entry => entry.startsWith(`${target}/`)).forEach(entry => files.delete(entry));
+        [...directories].filter(entry => entry === target || entry.startsWith(`${target}/`)).forEach(entry => directories.delete(entry));
+      } else if (!options.force) {
+        throw notFound('rm', file);
+      }
+    }
+  };
+
+  return { files, fs };
+}
+
+/**
+ * Creates a command runner that simulates WireGuard, iproute2 and the other tools the SDK
+ * drives, keeping interfaces, namespaces, routes and rules in memory. Paired with the mock
+ * gateway it lets connectDvpn, getConnectionStatus, verifyTunnel and disconnect run end to
+ * end without root or a network; the commands are recorded like a dry run's.
+ * @param {object} [options]
+ * @param {boolean|string} [options.sudo=true] - Prefix privileged commands with sudo in the plan
+ * @param {string} [options.hostIp='198.51.100.1'] - Exit IP when no tunnel carries the traffic
+ * @param {string} [options.uplink='eth0'] - Interface the host routes through without a tunnel
+ * @param {boolean} [options.wireguard=true] - Whether wg reports being installed
+ * @param {boolean} [options.wgQuick=true] - Whether wg-quick works; false forces the manual setup
+ * @param {boolean} [options.handshake=true] - Whether peers report a fresh handshake
+ * @param {string} [options.dnsBackend='resolvectl'] - DNS backend the host appears to have:
+ * 'resolvectl', 'resolvconf' or 'file'
+ * @param {object} [options.files] - Path -> contents of the host's files (default: an
+ * /etc/resolv.conf that fits dnsBackend: the systemd-resolved stub, or a LAN resolver)
+ * @param {object} [options.exitIps] - Node endpoint host -> exit IP, for nodes whose traffic
+ * leaves from another address (default: the endpoint host)
+ * @param {Function} [options.respond] - Called with each plan entry before the simulation; a
+ * returned { code, stdout, stderr } is used instead, e.g. to make one command fail
+ * @return {object} Runner with run, spawn, the commands array, and the simulated state:
+ * interfaces (Map of name -> { name, namespace, up, mtu, addresses, routes, config }),
+ * namespaces (Set), rules, dns (Map of interface -> servers), files (Map of path -> contents)
+ * and fs, the in-memory file system the SDK reads and writes host files through. Its settleTime
+ * is 0, as simulated tunnels need no time to settle before the connectivity check
+ */
+function createFakeRunner(options = {}) {
+  const {
+    hostIp = '198.51.100.1',
+    uplink = 'eth0',
+    wireguard = true,
+    wgQuick = true,
+    handshake = true,
+    dnsBackend = 'resolvectl',
+    exitIps = {},
+    respond,
+    files: initialFiles = {
+      '/etc/resolv.conf': dnsBackend === 'resolvectl' ? 'nameserver 127.0.0.53\noptions edns0 trust-ad\n' : 'nameserver 192.168.1.1\n'
+    }
+  } = options;
+
+  const interfaces = new Map();
+  const namespaces = new Set();
+  const rules = [];
+  const dns = new Map();
+  const disk = createVirtualFileSystem(initialFiles);
+  let nextIndex = 5;
+
+  const ok = (stdout = '') => ({ code: 0, stdout, stderr: '' });
+  const failure = (code, stderr) => ({ code, stdout: '', stderr });
+  const find = (name, namespace) => {
+    const iface = interfaces.get(name);
+    return iface && iface.namespace === namespace ? iface : null;
+  };
+  const missing = name => failure(1, `Cannot find device "${name}"\n`);
+
+  function addInterface(name, namespace, config) {
+    const iface = { name, index: nextIndex++, namespace, up: false, mtu: 1420, addresses: [], routes: [], config, traffic: 0 };
+    interfaces.set(name, iface);
+    return iface;
+  }
+
+  // The tunnel the kernel would pick for a destination of this IP version, if any
+  function tunnelFor(version, namespace) {
+    return [...interfaces.values()].find(iface => iface.namespace === namespace && iface.up && iface.routes.some(route =>
+      route.version === version && route.destination === 'default' && (namespace || route.table === 'main' ||
+        rules.some(rule => rule.namespace === null && rule.version === version && rule.args[0] === 'not' && valueAfter(rule.args, 'lookup') === route.table))
+    )) || null;
+  }
+
+  function exitIpOf(iface) {
+    const peer = iface.config && iface.config.Peers[0];
+    if (!peer || !peer.Endpoint) {
+      return null;
+    }
+    const { host } = parseEndpoint(peer.Endpoint);
+    return exitIps[host] || host;
+  }
+
+  function wg(args, input, namespace) {
+    const [command, name] = args;
+    if (args[0] === '--version') {
+      return wireguard ? ok('wireguard-tools v1.0.20210914 - https://git.zx2c4.com/wireguard-tools/\n') : failure(127, 'wg: command not found\n');
+    }
+    if (command === 'show' && name === 'all') {
+      const lines = [...interfaces.values()]
+        .filter(iface => iface.namespace === namespace && iface.config)
+        .map(iface => `${iface.name}\t${iface.config.Interface.FwMark || 'off'}`);
+      return ok(lines.map(line => `${line}\n`).join(''));
+    }
+    const iface = find(name, namespace);
+    if (command === 'show' && args[2] === 'dump') {
+      if (!iface || !iface.config) {
+        return failure(1, `Unable to access interface: No such device\n`);
+      }
+      const { Interface, Peers } = iface.config;
+      iface.traffic += 4096;
+      const now = Math.floor(Date.now() / 1000);
+      const rows = [
+        [Interface.PrivateKey, derivePublicKey(Interface.PrivateKey), Interface.ListenPort || 51820, Interface.FwMark || 'off'],
+        ...Peers.map(peer => [
+          peer.PublicKey,
+          peer.PresharedKey || '(none)',
+          peer.Endpoint || '(none)',
+          (peer.AllowedIPs || []).join(',') || '(none)',
+          iface.up && handshake ? now : 0,
+          iface.traffic,
+          Math.floor(iface.traffic / 2),
+          peer.PersistentKeepalive || 'off'
+        ])
+      ];
+      return ok(rows.map(row => `${row.join('\t')}\n`).join(''));
+    }
+    if (command === 'setconf') {
+      if (!iface) {
+        return missing(name);
+      }
+      iface.config = parseConfig(input);
+      return ok();
+    }
+    return ok();
+  }
+
+  async function wgQuickCommand(args) {
+    const [command, target] = args;
+    const name = path.basename(target, '.conf');
+    if (!wgQuick) {
+      return failure(127, 'wg-quick: command not found\n');
+    }
+    if (command === 'up') {
+      if (interfaces.has(name)) {
+        return failure(1, `wg-quick: \`${name}' already exists\n`);
+      }
+      const text = await disk.fs.readFile(target, 'utf8').catch(() => null);
+      if (text === null) {
+        return failure(1, `wg-quick: \`${target}' does not exist\n`);
+      }
+      const config = parseConfig(text);
+      const table = config.Interface.Table || 'main';
+      const iface = addInterface(name, null, config);
+      iface.up = true;
+      iface.mtu = config.Interface.MTU || 1420;
+      iface.addresses = [...(config.Interface.Address || [])];
+      iface.routes = config.Peers.flatMap(peer => peer.AllowedIPs || []).map(cidr => ({
+        version: versionOf(cidr),
+        destination: cidr === '0.0.0.0/0' || cidr === '::/0' ? 'default' : cidr,
+        table
+      }));
+      return ok();
+    }
+    if (command === 'down') {
+      if (!find(name, null)) {
+        return failure(1, `wg-quick: \`${name}' is not a WireGuard interface\n`);
+      }
+      interfaces.delete(name);
+      dns.delete(name);
+      return ok();
+    }
+    return ok();
+  }
+
+  function ip(args, input, namespace) {
+    let rest = [...args];
+    let version = 4;
+    while (/^-/.test(rest[0] || '')) {
+      if (rest[0] === '-n') {
+        namespace = rest[1];
+        rest = rest.slice(2);
+      } else {
+        version = rest[0] === '-6' ? 6 : 4;
+        rest = rest.slice(1);
+      }
+    }
+    const [object, command, ...more] = rest;
+    const name = valueAfter(rest, 'dev');
+
+    if (object === 'netns') {
+      const target = more[0];
+      if (command === 'list') {
+        return ok([...namespaces].map((ns, index) => `${ns} (id: ${index})\n`).join(''));
+      }
+      if (command === 'add') {
+        if (namespaces.has(target)) {
+          return failure(1, `Cannot create namespace file "/run/netns/${target}": File exists\n`);
+        }
+        namespaces.add(target);
+        return ok();
+      }
+      if (command === 'delete') {
+        if (!namespaces.delete(target)) {
+          return failure(1, `Cannot remove namespace file "/run/netns/${target}": No such file or directory\n`);
+        }
+        [...interfaces.values()].filter(iface => iface.namespace === target).forEach(iface => interfaces.delete(iface.name));
+        return ok();
+      }
+      if (command === 'exec') {
+        if (!namespaces.has(target)) {
+          return failure(1, `Cannot open network namespace "${target}": No such file or directory\n`);
+        }
+        let argv = more.slice(1);
+        if (argv[0] === 'runuser') {
+          argv = argv.slice(argv.indexOf('--') + 1);
+        }
+        return simulate(argv[0], argv.slice(1), input, target);
+      }
+      return ok();
+    }
+
+    if (object === 'link') {
+      if (command === 'add') {
+        if (interfaces.has(name)) {
+          return failure(2, 'RTNETLINK answers: File exists\n');
+        }
+        addInterface(name, namespace, null);
+        return ok();
+      }
+      if (name === undefined) {
+        // ip link set lo up
+        return ok();
+      }
+      const iface = find(name, namespace);
+      if (!iface) {
+        return command === 'show' ? failure(1, `Device "${name}" does not exist.\n`) : missing(name);
+      }
+      if (command === 'delete') {
+        interfaces.delete(name);
+        dns.delete(name);
+      } else if (command === 'set') {
+        const target = valueAfter(rest, 'netns');
+        if (target !== undefined) {
+          iface.namespace = target;
+          iface.up = false;
+          iface.addresses = [];
+          iface.routes = [];
+        }
+        if (valueAfter(rest, 'mtu') !== undefined) {
+          iface.mtu = Number(valueAfter(rest, 'mtu'));
+        }
+        if (rest.includes('up')) {
+          iface.up = true;
+        }
+        if (rest.includes('down')) {
+          iface.up = false;
+        }
+      } else if (command === 'show') {
+        return ok(`${iface.index}: ${iface.name}: <POINTOPOINT,NOARP${iface.up ? ',UP,LOWER_UP' : ''}> mtu ${iface.mtu} qdisc noqueue state UNKNOWN\n`);
+      }
+      return ok();
+    }
+
+    if (object === 'addr') {
+      const iface = find(name, namespace);
+      if (!iface) {
+        return missing(name);
+      }
+      if (command === 'add') {
+        iface.addresses.push(more[0]);
+        return ok();
+      }
+      const lines = iface.addresses.map(address => `    ${versionOf(address) === 6 ? 'inet6' : 'inet'} ${address} scope global ${iface.name}\n`);
+      return ok(`${iface.index}: ${iface.name}: <POINTOPOINT,NOARP${iface.up ? ',UP,LOWER_UP' : ''}> mtu ${iface.mtu} qdisc noqueue state UNKNOWN\n    link/none\n${lines.join('')}`);
+    }
+
+    if (object === 'route') {
+      if (command === 'add') {
+        const iface = find(name, namespace);
+        if (!iface) {
+          return missing(name);
+        }
+        iface.routes.push({ version, destination: more[0], table: valueAfter(rest, 'table') || 'main' });
+        return ok();
+      }
+      if (command === 'show') {
+        const table = valueAfter(rest, 'table') || 'main';
+        const lines = [...interfaces.values()]
+          .filter(iface => iface.namespace === (namespace || null))
+          .flatMap(iface => iface.routes
+            .filter(route => route.version === version && route.table === table)
+            .map(route => `${route.destination} dev ${iface.name} scope link\n`));
+        return ok(lines.join(''));
+      }
+      if (command === 'get') {
+        const tunnel = tunnelFor(versionOf(more[0]), namespace || null);
+        if (!tunnel && namespace) {
+          return failure(2, 'RTNETLINK answers: Network is unreachable\n');
+        }
+        return ok(`${more[0]} dev ${tunnel ? tunnel.name : uplink} uid 0\n    cache\n`);
+      }
+      return ok();
+    }
+
+    if (object === 'rule') {
+      if (command === 'add') {
+        rules.push({ namespace: namespace || null, version, args: more });
+        return ok();
+      }
+      if (command === 'del') {
+        const index = rules.findIndex(rule => rule.namespace === (namespace || null) && rule.version === version &&
+          more.every((token, position) => position % 2 === 1 || valueAfter(rule.args, token) === more[position + 1]));
+        if (index === -1) {
+          return failure(2, 'RTNETLINK answers: No such file or directory\n');
+        }
+        rules.splice(index, 1);
+        return ok();
+      }
+      return ok();
+    }
+
+    return ok();
+  }
+
+  // tee, mv, rm, mkdir and cat, on the in-memory file system
+  async function fileCommand(file, args, input) {
+    const flags = args.filter(arg => arg.startsWith('-')).join('');
+    const paths = args.filter(arg => !arg.startsWith('-'));
+    try {
+      if (file === 'tee') {
+        const current = flags.includes('a') ? await disk.fs.readFile(paths[0], 'utf8').catch(() => '') : '';
+        await disk.fs.writeFile(paths[0], current + (input || ''));
+        return ok(input || '');
+      }
+      if (file === 'mv') {
+        await disk.fs.rename(paths[0], paths[1]);
+      } else if (file === 'rm') {
+        await disk.fs.rm(paths[0], { force: flags.includes('f'), recursive: flags.includes('r') });
+      } else if (file === 'mkdir') {
+        await disk.fs.mkdir(paths[0], { recursive: flags.includes('p') });
+      } else if (file === 'cat') {
+        return ok(await disk.fs.readFile(paths[0], 'utf8'));
+      }
+      return ok();
+    } catch (error) {
+      return failure(1, `${file}: ${paths[0]}: No such file or directory\n`);
+    }
+  }
+
+  function simulate(file, args, input, namespace = null) {
+    switch (file) {
+      case 'tee':
+      case 'mv':
+      case 'rm':
+      case 'mkdir':
+      case 'cat':
+        return fileCommand(file, args, input);
+      case 'wg':
+        return wg(args, input, namespace);
+      case 'wg-quick':
+        return wgQuickCommand(args);
+      case 'ip':
+        return ip(args, input, namespace);
+      case 'curl': {
+        const bound = valueAfter(args, '--interface');
+        const tunnel = bound ? find(bound, namespace) : tunnelFor(4, namespace);
+        if (!tunnel && namespace) {
+          return failure(7, '');
+        }
+        return ok(tunnel ? exitIpOf(tunnel) || '' : hostIp);
+      }
+      case 'ping':
+      case 'getent':
+        if (namespace && !tunnelFor(4, namespace) && !tunnelFor(6, namespace)) {
+          return failure(2, 'Network is unreachable\n');
+        }
+        return ok(file === 'getent' ? `203.0.113.1     ${args[1]}\n` : '');
+      case 'resolvectl': {
+        if (args[0] === 'status') {
+          return dnsBackend === 'resolvectl' ? ok() : failure(1, 'Failed to get global data\n');
+        }
+        const [command, name, ...servers] = args;
+        if (command === 'dns' && servers.length > 0) {
+          dns.set(name, servers);
+        } else if (command === 'dns') {
+          const iface = find(name, null);
+          return ok(`Link ${iface ? iface.index : 0} (${name}): ${(dns.get(name) || []).join(' ')}\n`);
+        } else if (command === 'revert') {
+          dns.delete(name);
+        }
+        return ok();
+      }
+      case 'which':
+        return args[0] === 'resolvconf' && dnsBackend !== 'resolvconf' ? failure(1, '') : ok(`/usr/bin/${args[0]}\n`);
+      default:
+        return ok();
+    }
+  }
+
+  const runner = createDryRunRunner({
+    sudo: options.sudo,
+    fs: disk.fs,
+    respond: entry => {
+      const override = respond ? respond(entry) : undefined;
+      return override !== undefined ? override : simulate(entry.file, entry.args, entry.input);
+    }
+  });
+
+  return Object.assign(runner, { interfaces, namespaces, rules, dns, files: disk.files, settleTime: 0 });
+}
+
+module.exports = {
+  createFakeRunner
+};
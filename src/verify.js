@@ -0,0 +1,216 @@
+const dns = require('dns');
+const { defaultLogger } = require('./logger');
+const { defaultRunner, fileSystemOf } = require('./runner');
+const { parseAddress, formatAddress } = require('./cidr');
+const { RESOLV_CONF } = require('./resolver');
+const { namespaceRunner } = require('./namespace');
+const { DEFAULT_TUNNEL_OPTIONS } = require('./options');
+
+/**
+ * Services verifyTunnel talks to; point them at a local stand-in to verify without the internet
+ */
+const DEFAULT_VERIFY_OPTIONS = {
+  ipEchoUrl: 'https://api.ipify.org',
+  dnsHost: undefined,
+  pingTarget: '8.8.8.8',
+  ipv6Probe: '2001:4860:4860::8888',
+  timeout: 10
+};
+
+/**
+ * Normalizes an IP address so differently written forms of one address compare equal
+ * @param {string} text - Address text
+ * @return {string|null} Canonical address, or null if the text is not an address
+ */
+function canonicalAddress(text) {
+  const parsed = parseAddress(text);
+  return parsed ? formatAddress(parsed.value, parsed.version) : null;
+}
+
+/**
+ * Asks an IP echo service which address a request leaves from
+ * @param {object} [options]
+ * @param {string} [options.ipEchoUrl] - URL answering with the caller's IP address as plain text
+ * @param {number} [options.timeout] - Seconds to wait
+ * @param {string} [options.interfaceName] - Send the request out of this interface
+ * @param {object} [context] - Collaborators: { runner }, a namespace runner for a namespace's exit IP
+ * @return {Promise<string|null>} Exit IP, or null if the service could not be reached
+ */
+async function fetchExitIp(options = {}, context = {}) {
+  const { runner = defaultRunner } = context;
+  const { ipEchoUrl, timeout } = { ...DEFAULT_VERIFY_OPTIONS, ...options };
+  const bind = options.interfaceName ? ['--interface', options.interfaceName] : [];
+  const { stdout } = await runner.run('curl', ['-s', '--max-time', String(timeout), ...bind, ipEchoUrl])
+    .catch(() => ({ stdout: '' }));
+  return canonicalAddress(stdout.trim());
+}
+
+/**
+ * Looks up the interface the kernel would send a packet to an address out of
+ * @param {object} runner - Runner, wrapped for a namespace when the tunnel has one
+ * @param {string} address - Destination address
+ * @return {Promise<string|null>} Interface name, or null if the address is unreachable
+ */
+async function routeDevice(runner, address) {
+  const version = address.includes(':') ? 6 : 4;
+  const { stdout } = await runner.run('ip', [`-${version}`, 'route', 'get', address]).catch(() => ({ stdout: '' }));
+  const match = stdout.match(/\bdev (\S+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Lists the DNS servers lookups are sent to. Behind the systemd-resolved stub these are the
+ * servers resolved keeps for the tunnel interface, as applyDns routes every domain there.
+ * @param {string} interfaceName - Tunnel interface
+ * @param {string|null} namespace - Namespace of the tunnel
+ * @param {object} runner - Runner for the host namespace
+ * @return {Promise<object>} { servers, stub }, stub being true when resolved answers lookups
+ */
+async function activeResolvers(interfaceName, namespace, runner) {
+  const files = namespace ? [`/etc/netns/${namespace}/resolv.conf`, RESOLV_CONF] : [RESOLV_CONF];
+  let text = '';
+  for (const file of files) {
+    text = await fileSystemOf(runner).readFile(file, 'utf8').catch(() => null);
+    if (text !== null) {
+      break;
+    }
+  }
+
+  const servers = (text || '').split('\n')
+    .map(line => line.trim().match(/^nameserver\s+(\S+)/))
+    .filter(Boolean)
+    .map(match => match[1].split('%')[0]);
+  const stub = servers.length > 0 && servers.every(server => server.startsWith('127.'));
+  if (!stub || namespace) {
+    return { servers, stub: false };
+  }
+
+  // "Link 5 (erebrus-dvpn): 1.1.1.1 8.8.8.8"
+  const { stdout } = await runner.run('resolvectl', ['dns', interfaceName]).catch(() => ({ stdout: '' }));
+  const listed = stdout.includes('):') ? stdout.slice(stdout.indexOf('):') + 2) : '';
+  return { servers: listed.split(/\s+/).filter(Boolean), stub: true };
+}
+
+/**
+ * Checks that a tunnel that is up carries the traffic it should: the exit IP changed and belongs
+ * to the node, DNS servers are reached through the tunnel and resolve names, IPv6 does not
+ * bypass the tunnel, and the internet is reachable
+ * @param {object} [options]
+ * @param {string} [options.interfaceName='erebrus-dvpn'] - Tunnel interface
+ * @param {string} [options.namespace] - Namespace holding the tunnel
+ * @param {string|null} [options.before] - Exit IP measured before connecting; for a tunnel in
+ * a namespace the host's exit IP is used when this is not given
+ * @param {string|Array<string>} [options.node] - Node endpoint host or addresses the exit IP is expected to match
+ * @param {boolean} [options.defaultRoute=true] - Whether the tunnel takes the host's default
+ * route; without it the exit IP is measured through the interface, and IPv6 is not checked
+ * @param {Array<string>} [options.dnsServers] - DNS servers to check (default: the ones in use)
+ * @param {string} [options.ipEchoUrl] - URL answering with the caller's IP address as plain text
+ * @param {string} [options.dnsHost] - Name that must resolve (default: the ipEchoUrl host)
+ * @param {string} [options.pingTarget] - Address pinged to test connectivity
+ * @param {string} [options.ipv6Probe] - IPv6 address whose route is checked for bypasses
+ * @param {number} [options.timeout=10] - Seconds each request may take
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<object>} { ok, interfaceName, namespace, exitIp: { before, after, changed,
+ * node, matchesNode }, dns: { servers, throughTunnel, resolves }, ipv6: { device, bypassesTunnel },
+ * connectivity: { ping, http, ok }, problems }, where null means the check could not be made
+ */
+async function verifyTunnel(options = {}, context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  const settings = { ...DEFAULT_VERIFY_OPTIONS, ...options };
+  const { interfaceName = DEFAULT_TUNNEL_OPTIONS.interfaceName, namespace = null, defaultRoute = true, timeout } = settings;
+  const dnsHost = settings.dnsHost || new URL(settings.ipEchoUrl).hostname;
+  const tunnelRunner = namespace ? namespaceRunner(runner, namespace) : runner;
+  const problems = [];
+
+  logger.info(`Verifying tunnel ${interfaceName}...`);
+
+  // Exit IP
+  const before = settings.before !== undefined
+    ? (settings.before && canonicalAddress(settings.before))
+    : namespace ? await fetchExitIp({ ipEchoUrl: settings.ipEchoUrl, timeout }, { runner }) : null;
+  const after = await fetchExitIp({ ...settings, interfaceName: namespace || defaultRoute ? undefined : interfaceName }, { runner: tunnelRunner });
+  const node = (await Promise.all([].concat(settings.node || []).map(async host => {
+    if (parseAddress(host)) {
+      return [host];
+    }
+    const addresses = await dns.promises.lookup(host, { all: true }).catch(() => []);
+    return addresses.map(({ address }) => address);
+  }))).flat().map(canonicalAddress);
+  const matchesNode = after && node.length > 0 ? node.includes(after) : null;
+  // Without a baseline there is nothing to compare with, which the report must not hide
+  const changed = before && after ? after !== before : null;
+
+  if (after === null) {
+    problems.push(`${settings.ipEchoUrl} could not be reached through the tunnel`);
+  } else if (changed === false) {
+    problems.push(`The exit IP is still ${after}`);
+  } else if (changed === null) {
+    logger.warn('No exit IP from before connecting; cannot check that it changed');
+  }
+  if (matchesNode === false) {
+    problems.push(`The exit IP ${after} is not the node's (${node.join(', ')})`);
+  }
+
+  // DNS
+  const resolvers = settings.dnsServers
+    ? { servers: settings.dnsServers, stub: false }
+    : await activeResolvers(interfaceName, namespace, runner);
+  const servers = await Promise.all(resolvers.servers.map(async address => {
+    // resolved sends the link's queries out of the link itself
+    const device = resolvers.stub ? interfaceName : await routeDevice(tunnelRunner, address);
+    return { address, device, throughTunnel: device === interfaceName };
+  }));
+  const throughTunnel = servers.length > 0 ? servers.every(server => server.throughTunnel) : null;
+  const resolves = await tunnelRunner.run('getent', ['hosts', dnsHost]).then(() => true, () => false);
+
+  if (throughTunnel === false) {
+    const leaking = servers.filter(server => !server.throughTunnel).map(server => `${server.address} (via ${server.device || 'no route'})`);
+    problems.push(`DNS queries leave outside the tunnel: ${leaking.join(', ')}`);
+  } else if (throughTunnel === null && resolvers.stub) {
+    problems.push(`systemd-resolved has no DNS servers for ${interfaceName}`);
+  }
+  if (!resolves) {
+    problems.push(`${dnsHost} could not be resolved`);
+  }
+
+  // IPv6
+  let ipv6 = { device: null, bypassesTunnel: null };
+  if (defaultRoute) {
+    const device = await routeDevice(tunnelRunner, settings.ipv6Probe);
+    ipv6 = { device, bypassesTunnel: device !== null && device !== interfaceName };
+    if (ipv6.bypassesTunnel) {
+      problems.push(`IPv6 traffic bypasses the tunnel through ${device}`);
+    }
+  }
+
+  // Connectivity
+  const bind = namespace ? [] : ['-I', interfaceName];
+  const ping = await tunnelRunner.run('ping', ['-c', '1', '-W', String(timeout), ...bind, settings.pingTarget]).then(() => true, () => false);
+  const connectivity = { ping, http: after !== null, ok: ping || after !== null };
+  if (!connectivity.ok) {
+    problems.push('The internet is not reachable through the tunnel');
+  }
+
+  const report = {
+    ok: problems.length === 0,
+    interfaceName,
+    namespace,
+    exitIp: { before, after, changed, node, matchesNode },
+    dns: { servers, throughTunnel, resolves },
+    ipv6,
+    connectivity,
+    problems
+  };
+  if (report.ok) {
+    logger.info(`Tunnel verified, exit IP ${after}`);
+  } else {
+    logger.warn(`Tunnel verification found problems: ${problems.join('; ')}`);
+  }
+  return report;
+}
+
+module.exports = {
+  DEFAULT_VERIFY_OPTIONS,
+  fetchExitIp,
+  verifyTunnel
+};
@@ -0,0 +1,477 @@
+const path = require('path');
+const { defaultLogger } = require('./logger');
+const { defaultRunner, fileSystemOf } = require('./runner');
+const { TunnelSetupError, ConfigError } = require('./errors');
+const { parseConfig, serializeConfig, renderSetconf, validateConfig } = require('./config');
+const { DEFAULT_TUNNEL_OPTIONS, resolveTunnelOptions } = require('./options');
+const { applyDns, restoreDns } = require('./resolver');
+const { routingTableFor, assertRoutingTableFree, applyPolicyRouting, removePolicyRouting } = require('./routing');
+const { namespaceRunner, listNamespaces, findNamespace, createNamespace, deleteNamespace } = require('./namespace');
+const { parseEndpoint, formatEndpoint } = require('./endpoint');
+const { RESPONSE_SCHEMAS, checkSchema } = require('./schemas');
+
+const DEFAULT_CONFIG_PATH = resolveTunnelOptions().configPath;
+
+// Milliseconds a new tunnel gets to settle before its connectivity check
+const DEFAULT_SETTLE_TIME = 2000;
+
+/**
+ * Derives the WireGuard interface name from a config path the way wg-quick does
+ * @param {string} configPath - Path to a .conf file
+ * @return {string} Interface name
+ */
+function interfaceNameFor(configPath) {
+  return path.basename(configPath, '.conf');
+}
+
+/**
+ * Lists every address the gateway assigned a client, which nodes send as an array or as a
+ * comma-separated string
+ * @param {object} client - payload.client from createClient
+ * @return {Array<string>} Addresses, IPv4 and IPv6, with their prefix lengths
+ */
+function clientAddresses(client) {
+  return [].concat(client.Address || [])
+    .flatMap(address => String(address).split(','))
+    .map(address => address.trim())
+    .filter(Boolean);
+}
+
+/**
+ * IP version of an address or CIDR
+ * @param {string} address - Address, with or without prefix length
+ * @return {number} 4 or 6
+ */
+function ipVersionOf(address) {
+  return address.includes(':') ? 6 : 4;
+}
+
+/**
+ * Builds and validates the WireGuard configuration for a created client
+ * @param {object} clientData - Client data from createClient
+ * @param {object} [options] - Tunnel options, see resolveTunnelOptions
+ * @return {object} Config object, see config.parseConfig; the endpoint keeps the port the gateway
+ * gave, falling back to options.endpointPort
+ * @throws {ConfigError} If the client data or options give an invalid configuration
+ */
+function buildWireGuardConfig(clientData, options = {}) {
+  const problems = checkSchema(clientData, RESPONSE_SCHEMAS.client, 'clientData').map(problem => problem.message);
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid client data: ${problems.join('; ')}`, { problems });
+  }
+  const { client, endpoint, serverPublicKey } = clientData.payload;
+  const privateKey = clientData.privateKey;
+  const tunnel = resolveTunnelOptions(options);
+
+  return validateConfig({
+    Interface: {
+      PrivateKey: privateKey,
+      Address: clientAddresses(client),
+      DNS: tunnel.dns.length > 0 ? tunnel.dns : undefined,
+      MTU: tunnel.mtu
+    },
+    Peers: [{
+      PublicKey: serverPublicKey,
+      PresharedKey: client.PresharedKey,
+      AllowedIPs: tunnel.allowedIPs,
+      Endpoint: formatEndpoint(parseEndpoint(endpoint, tunnel.endpointPort)),
+      PersistentKeepalive: tunnel.keepalive
+    }]
+  });
+}
+
+/**
+ * Writes a WireGuard configuration file for a created client
+ * @param {object} clientData - Client data from createClient
+ * @param {object} [options] - Tunnel options, see resolveTunnelOptions
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<string>} Path to the configuration file
+ */
+async function createWireGuardConfig(clientData, options = {}, context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  const tunnel = resolveTunnelOptions(options);
+
+  logger.info('Creating WireGuard configuration...');
+
+  // Build and validate the WireGuard configuration before anything touches the disk.
+  // DNS is left out so wg-quick does not rewrite resolv.conf, and routes go to the tunnel's
+  // own table instead of main; connectToWireGuard applies both.
+  const config = buildWireGuardConfig(clientData, options);
+  delete config.Interface.DNS;
+  config.Interface.Table = String(tunnel.table);
+  config.Interface.FwMark = tunnel.table;
+  const configContent = serializeConfig(config);
+
+  // Write configuration to file with restricted permissions
+  const configPath = tunnel.configPath;
+  const files = fileSystemOf(runner);
+  await files.mkdir(tunnel.configDir, { recursive: true, mode: 0o700 });
+  await files.writeFile(configPath, configContent, { mode: 0o600 }); // Set permissions to 600 (user read/write only)
+  logger.info(`WireGuard configuration written to ${configPath}`);
+  
+  return configPath;
+}
+
+/**
+ * Disconnects from WireGuard
+ * @param {string|object} [configPath] - Path to the WireGuard configuration file, or the
+ * tunnel options (interfaceName, configDir, namespace) it was created with
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<boolean>} True if disconnected successfully, false otherwise
+ */
+async function disconnectVPN(configPath = DEFAULT_CONFIG_PATH, context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  let namespace = null;
+  if (typeof configPath === 'object') {
+    ({ configPath, namespace } = resolveTunnelOptions(configPath));
+  }
+  const interfaceName = interfaceNameFor(configPath);
+  namespace = (await findNamespace(interfaceName, { runner })) || namespace;
+
+  logger.info(`Disconnecting from WireGuard...`);
+
+  if (namespace) {
+    // Deleting the namespace deletes the interface inside it
+    await deleteNamespace(namespace, { logger, runner });
+  } else {
+    // First try wg-quick down, then ensure the interface is deleted
+    await runner.run('wg-quick', ['down', configPath], { sudo: true }).catch(() => {});
+    try {
+      await runner.run('ip', ['link', 'delete', 'dev', interfaceName], { sudo: true });
+    } catch (error) {
+      logger.warn(`Warning: Could not delete interface: ${error.message}`);
+    }
+  }
+  await removePolicyRouting(routingTableFor(interfaceName), { logger, runner });
+  await restoreDns(interfaceName, {}, { logger, runner });
+
+  logger.info(`WireGuard disconnected successfully`);
+  return true;
+}
+
+//=============================================================================
+// DEPENDENCY FUNCTIONS
+//=============================================================================
+
+/**
+ * Checks if WireGuard is installed on the system
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<boolean>} True if WireGuard is installed, false otherwise
+ */
+async function checkWireGuard(context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  logger.debug('Checking if WireGuard is installed...');
+
+  try {
+    const { stdout } = await runner.run('wg', ['--version']);
+    logger.info(`WireGuard found: ${stdout.trim()}`);
+    return true;
+  } catch (error) {
+    logger.info('WireGuard is NOT installed on the system.');
+    return false;
+  }
+}
+
+/**
+ * Brings down and deletes a WireGuard interface, with the namespace holding it, and removes
+ * the routing rules and DNS it set up, ignoring errors if it does not exist. Run before
+ * connecting, this also recovers from a crash.
+ * @param {string} [interfaceName] - Interface to remove
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<void>}
+ */
+async function cleanupWireGuard(interfaceName = DEFAULT_TUNNEL_OPTIONS.interfaceName, context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  logger.debug('Cleaning up existing WireGuard interface...');
+
+  // Errors are ignored here as the interface might not exist
+  const namespace = await findNamespace(interfaceName, { runner });
+  if (namespace) {
+    await deleteNamespace(namespace, { logger, runner });
+  }
+  await runner.run('wg-quick', ['down', interfaceName], { sudo: true }).catch(() => {});
+  await runner.run('ip', ['link', 'delete', 'dev', interfaceName], { sudo: true }).catch(() => {});
+  await removePolicyRouting(routingTableFor(interfaceName), { logger, runner });
+  await restoreDns(interfaceName, {}, { logger, runner });
+
+  logger.debug('Cleanup completed');
+}
+
+/**
+ * Lists the `ip` commands that add a config's addresses and routes to an interface, IPv4 and IPv6
+ * @param {object} config - Validated config object
+ * @param {string} interfaceName - Interface the addresses and routes belong to
+ * @return {object} { addresses, routes }, each a list of `ip` arguments
+ */
+function addressingOf(config, interfaceName) {
+  const table = config.Interface.Table ? ['table', config.Interface.Table] : [];
+  const routes = config.Peers.reduce((cidrs, peer) => cidrs.concat(peer.AllowedIPs), []);
+  return {
+    addresses: config.Interface.Address
+      .map(address => [`-${ipVersionOf(address)}`, 'addr', 'add', address, 'dev', interfaceName]),
+    routes: routes.map(cidr => [
+      `-${ipVersionOf(cidr)}`, 'route', 'add',
+      cidr === '0.0.0.0/0' || cidr === '::/0' ? 'default' : cidr,
+      'dev', interfaceName, ...table
+    ])
+  };
+}
+
+/**
+ * Runs setup commands in order, undoing the partial setup if one fails
+ * @param {Array<Array>} steps - [file, args, input] per command, all run with sudo
+ * @param {Function} undo - Async cleanup run after a failure
+ * @param {object} context - Collaborators: { logger, runner }
+ * @return {Promise<void>}
+ * @throws {TunnelSetupError} With the failed command and its stderr
+ */
+async function runSetupSteps(steps, undo, context) {
+  const { logger, runner } = context;
+  for (const [file, args, input] of steps) {
+    try {
+      await runner.run(file, args, { sudo: true, input });
+    } catch (error) {
+      logger.error(`Command failed: ${error.command}`);
+      logger.error(`Error: ${error.message}`);
+
+      // Clean up on error
+      await undo();
+      throw new TunnelSetupError(`Command failed: ${error.command}`, {
+        command: error.command,
+        stderr: error.stderr,
+        cause: error
+      });
+    }
+  }
+}
+
+/**
+ * Sets the interface up with ip and wg directly, for hosts where wg-quick is unavailable or fails
+ * @param {string} interfaceName - Interface to create
+ * @param {object} config - Validated config object
+ * @param {object} context - Collaborators: { logger, runner }
+ * @return {Promise<void>}
+ * @throws {TunnelSetupError} With the failed command and its stderr
+ */
+async function setupWireGuardManually(interfaceName, config, context) {
+  const { runner } = context;
+  const { addresses, routes } = addressingOf(config, interfaceName);
+
+  // The wg config is piped through stdin so private keys never land in a temp file
+  const steps = [
+    ['ip', ['link', 'add', 'dev', interfaceName, 'type', 'wireguard']],
+    ['wg', ['setconf', interfaceName, '/dev/stdin'], renderSetconf(config)],
+    ...addresses.map(args => ['ip', args]),
+    ['ip', ['link', 'set', 'mtu', String(config.Interface.MTU || 1420), 'up', 'dev', interfaceName]],
+    ...routes.map(args => ['ip', args])
+  ];
+
+  await runSetupSteps(steps, () => runner.run('ip', ['link', 'delete', 'dev', interfaceName], { sudo: true }).catch(() => {}), context);
+}
+
+/**
+ * Sets the tunnel up inside its own network namespace. The interface is created in the host
+ * namespace, so its encrypted traffic still leaves through the host's network, and then moved
+ * into the namespace, where it is the only route out.
+ * @param {string} interfaceName - Interface to create
+ * @param {object} config - Validated config object
+ * @param {string} namespace - Namespace to create
+ * @param {Array<string>} dns - DNS servers for the namespace's resolv.conf
+ * @param {object} context - Collaborators: { logger, runner }
+ * @return {Promise<void>}
+ * @throws {TunnelSetupError} With the failed command and its stderr
+ */
+async function setupWireGuardInNamespace(interfaceName, config, namespace, dns, context) {
+  const { runner } = context;
+  const inNamespace = args => ['ip', ['-n', namespace, ...args]];
+  // The namespace has no other routes, so the main table is the tunnel's
+  const { addresses, routes } = addressingOf({ ...config, Interface: { ...config.Interface, Table: undefined } }, interfaceName);
+  const undo = async () => {
+    await deleteNamespace(namespace, context);
+    await runner.run('ip', ['link', 'delete', 'dev', interfaceName], { sudo: true }).catch(() => {});
+  };
+
+  try {
+    await createNamespace(namespace, dns, context);
+  } catch (error) {
+    await undo();
+    throw new TunnelSetupError(`Could not create network namespace ${namespace}: ${error.message}`, {
+      command: error.command,
+      stderr: error.stderr,
+      cause: error
+    });
+  }
+
+  await runSetupSteps([
+    ['ip', ['link', 'add', 'dev', interfaceName, 'type', 'wireguard']],
+    ['wg', ['setconf', interfaceName, '/dev/stdin'], renderSetconf(config)],
+    ['ip', ['link', 'set', 'dev', interfaceName, 'netns', namespace]],
+    ...addresses.map(inNamespace),
+    inNamespace(['link', 'set', 'mtu', String(config.Interface.MTU || 1420), 'up', 'dev', interfaceName]),
+    ...routes.map(inNamespace)
+  ], undo, context);
+}
+
+/**
+ * Points traffic and DNS at an interface that is up: installs the policy routing rules for its
+ * routing table (configs without a Table are routed by wg-quick alone) and applies its DNS
+ * servers. The interface is taken down again if either fails, so traffic cannot silently
+ * bypass the tunnel.
+ * @param {string} interfaceName - Tunnel interface
+ * @param {object} config - Validated config object
+ * @param {object} options - { dns, dnsBackend, defaultRoute, fwmark }, see connectToWireGuard
+ * @param {object} context - Collaborators: { logger, runner }
+ * @return {Promise<void>}
+ * @throws {TunnelSetupError} If the rules or servers cannot be applied
+ */
+async function configureHost(interfaceName, config, options, context) {
+  const { dns, dnsBackend, defaultRoute, fwmark } = options;
+  try {
+    if (config.Interface.Table) {
+      await applyPolicyRouting({
+        table: Number(config.Interface.Table),
+        addresses: config.Interface.Address,
+        routes: config.Peers.reduce((cidrs, peer) => cidrs.concat(peer.AllowedIPs), []),
+        fwmark,
+        defaultRoute
+      }, context);
+    }
+    if (dns.length > 0) {
+      await applyDns(interfaceName, dns, { backend: dnsBackend }, context);
+    }
+  } catch (error) {
+    await cleanupWireGuard(interfaceName, context);
+    throw error;
+  }
+}
+
+/**
+ * Brings the tunnel up from a config file, with wg-quick or, failing that, by hand,
+ * then points the host's routing and DNS at the tunnel
+ * @param {string} configPath - Path to the WireGuard configuration file
+ * @param {object} [options]
+ * @param {Array<string>} [options.dns] - DNS servers (default: the config's DNS line, if any)
+ * @param {string} [options.dnsBackend='auto'] - See resolver.applyDns
+ * @param {boolean} [options.defaultRoute=true] - See routing.renderPolicyRules
+ * @param {number} [options.fwmark] - See routing.renderPolicyRules
+ * @param {string} [options.namespace] - Set the tunnel up inside this network namespace
+ * instead, leaving the host's routing and DNS alone
+ * @param {number} [options.settleTime] - Milliseconds to wait before the connectivity check
+ * (default: runner.settleTime if the runner has one, else 2000)
+ * @param {object} [context] - Collaborators: { logger, runner }
+ * @return {Promise<boolean>} True once the tunnel is up
+ * @throws {TunnelSetupError} If neither setup path succeeds, the tunnel's routing table is
+ * taken, or routing or DNS cannot be applied
+ */
+async function connectToWireGuard(configPath, options = {}, context = {}) {
+  const { logger = defaultLogger, runner = defaultRunner } = context;
+  logger.info(`Connecting to WireGuard using config: ${configPath}`);
+
+  // Parse the config up front so both setups below use identical settings
+  const config = validateConfig(parseConfig(await fileSystemOf(runner).readFile(configPath, 'utf8')));
+  const interfaceName = interfaceNameFor(configPath);
+  const { dns = config.Interface.DNS || [], dnsBackend = 'auto', defaultRoute = true, fwmark, namespace } = options;
+  const { settleTime = runner.settleTime !== undefined ? runner.settleTime : DEFAULT_SETTLE_TIME } = options;
+  const hostOptions = { dns, dnsBackend, defaultRoute, fwmark };
+
+  // First clean up any existing interface
+  await cleanupWireGuard(interfaceName, { logger, runner });
+
+  if (namespace) {
+    await deleteNamespace(namespace, { logger, runner });
+    await setupWireGuardInNamespace(interfaceName, config, namespace, dns, { logger, runner });
+    logger.info(`WireGuard connection established in network namespace ${namespace}`);
+    await checkConnectivity(namespaceRunner(runner, namespace), config, { bind: false, settleTime }, logger);
+    return true;
+  }
+
+  if (config.Interface.Table) {
+    await assertRoutingTableFree(Number(config.Interface.Table), { runner });
+  }
+
+  // Try using wg-quick first
+  try {
+    await runner.run('wg-quick', ['up', configPath], { sudo: true });
+  } catch (error) {
+    logger.warn(`wg-quick failed, trying manual setup: ${error.message}`);
+    logger.debug(`stderr: ${error.stderr}`);
+    await setupWireGuardManually(interfaceName, config, { logger, runner });
+    await configureHost(interfaceName, config, hostOptions, { logger, runner });
+    return true;
+  }
+
+  logger.info(`WireGuard connection established!`);
+  await configureHost(interfaceName, config, hostOptions, { logger, runner });
+
+  // Test from the tunnel's address so the test goes through this tunnel even when it is not the default route
+  await checkConnectivity(runner, config, { bind: true, settleTime }, logger);
+  return true;
+}
+
+/**
+ * Waits for a new tunnel to settle, then checks that it reaches the internet over IPv4, or over
+ * IPv6 when the tunnel has no IPv4 address; a failure is only logged
+ * @param {object} runner - Runner to ping with
+ * @param {object} config - Validated config object of the tunnel
+ * @param {object} check - { bind, settleTime }: ping from the tunnel's address, and
+ * milliseconds to wait first
+ * @param {object} logger - Logger
+ * @return {Promise<void>}
+ */
+async function checkConnectivity(runner, config, { bind, settleTime }, logger) {
+  const sources = config.Interface.Address.map(address => address.split('/')[0]);
+  const source = sources.find(address => ipVersionOf(address) === 4) || sources[0];
+  const target = ipVersionOf(source) === 4 ? '8.8.8.8' : '2001:4860:4860::8888';
+
+  // Add a delay to allow the connection to stabilize
+  if (settleTime > 0) {
+    await new Promise(resolve => setTimeout(resolve, settleTime));
+  }
+
+  // Test internet connectivity
+  try {
+    await runner.run('ping', ['-c', '1', ...(bind ? ['-I', source] : []), target]);
+    logger.info('Internet connectivity confirmed');
+  } catch (pingErr) {
+    logger.warn('Warning: Internet connectivity test failed');
+  }
+}
+
+/**
+ * Lists the WireGuard interfaces this SDK brought up, in the host namespace and in network
+ * namespaces, recognised by the fwmark each tunnel gets from its routing table
+ * @param {object} [context] - Collaborators: { runner }
+ * @return {Promise<Array<object>>} { name, namespace (null in the host namespace) } per tunnel
+ */
+async function listTunnels(context = {}) {
+  const { runner = defaultRunner } = context;
+  const namespaces = [null, ...await listNamespaces({ runner })];
+
+  const found = await Promise.all(namespaces.map(async namespace => {
+    const { stdout } = await (namespace ? namespaceRunner(runner, namespace) : runner)
+      .run('wg', ['show', 'all', 'fwmark'], { sudo: true })
+      .catch(error => {
+        if (namespace) {
+          return { stdout: '' };
+        }
+        throw error;
+      });
+    return stdout.split('\n')
+      .map(line => line.trim().split(/\s+/))
+      .filter(([name, mark]) => name && Number(mark) === routingTableFor(name))
+      .map(([name]) => ({ name, namespace }));
+  }));
+  return found.flat();
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  interfaceNameFor,
+  listTunnels,
+  checkWireGuard,
+  buildWireGuardConfig,
+  createWireGuardConfig,
+  connectToWireGuard,
+  cleanupWireGuard,
+  disconnectVPN
+};
@@ -0,0 +1,113 @@
+const assert = require('assert');
+const { normalizeNode, NodeCatalog } = require('../src/catalog');
+const { ErebrusClient } = require('../src');
+const { startMockGateway, createFakeRunner } = require('../testing');
+
+const RAW_NODES = [
+  { id: 'a', nodename: 'alpha', status: 'ACTIVE', region: 'SG', ipinfocountry: 'SG', ipinfoip: '203.0.113.10', httpPort: '9080', lastPingedTimeStamp: 1700000000 },
+  { id: 'b', name: 'beta', status: 'inactive', region: 'US', ip: '203.0.113.11' },
+  { id: 'c', name: 'gamma', status: 'active', region: 'IN', domain: 'https://node-c.example' }
+];
+
+describe('NodeCatalog', () => {
+  it('normalizes gateway nodes into typed fields', () => {
+    const node = normalizeNode(RAW_NODES[0]);
+
+    assert.strictEqual(node.name, 'alpha');
+    assert.strictEqual(node.status, 'active');
+    assert.strictEqual(node.country, 'SG');
+    assert.strictEqual(node.ip, '203.0.113.10');
+    assert.strictEqual(node.httpPort, 9080);
+    assert.deepStrictEqual(node.endpoint, { host: '203.0.113.10', port: 9080 });
+    assert.deepStrictEqual(node.lastPingedAt, new Date(1700000000 * 1000));
+    assert.strictEqual(node.city, null);
+    assert.strictEqual(node.raw, RAW_NODES[0]);
+    assert.deepStrictEqual(normalizeNode(RAW_NODES[2]).endpoint, { host: 'node-c.example', port: 443 });
+  });
+
+  it('queries by status, any field or predicate', async () => {
+    const catalog = new NodeCatalog({ fetchNodes: async () => RAW_NODES });
+    const ids = nodes => nodes.map(node => node.id);
+
+    assert.deepStrictEqual(ids(await catalog.list('t')), ['a', 'c']);
+    assert.deepStrictEqual(ids(await catalog.list('t', { includeInactive: true })), ['a', 'b', 'c']);
+    assert.deepStrictEqual(ids(await catalog.list('t', { status: 'inactive' })), ['b']);
+    assert.deepStrictEqual(ids(await catalog.list('t', { region: ['sg', 'in'], httpPort: port => port !== null })), ['a']);
+    assert.strictEqual((await catalog.get('t', 'b')).name, 'beta');
+    assert.strictEqual(await catalog.get('t', 'z'), null);
+  });
+
+  it('serves the cache within the TTL and fetches again after it or on refresh', async () => {
+    let clock = 0;
+    let fetches = 0;
+    const fetchNodes = async () => {
+      fetches++;
+      return RAW_NODES;
+    };
+    const catalog = new NodeCatalog({ fetchNodes, ttl: 1000, now: () => clock });
+
+    await catalog.list('t');
+    clock = 999;
+    await catalog.list('t');
+    assert.strictEqual(fetches, 1);
+
+    await catalog.list('t', { refresh: true });
+    clock = 2000;
+    await catalog.list('t');
+    assert.strictEqual(fetches, 3);
+
+    catalog.invalidate();
+    await catalog.list('t');
+    assert.strictEqual(fetches, 4);
+  });
+
+  it('shares one request between concurrent callers and one cache between tokens', async () => {
+    const tokens = [];
+    const fetchNodes = async token => {
+      tokens.push(token);
+      return RAW_NODES;
+    };
+    const catalog = new NodeCatalog({ fetchNodes });
+
+    const [first, second] = await Promise.all([catalog.list('t1'), catalog.list('t2')]);
+    await catalog.list('t3');
+
+    assert.deepStrictEqual(tokens, ['t1']);
+    assert.deepStrictEqual(first, second);
+  });
+
+  it('caches nothing when a fetch fails', async () => {
+    let fail = true;
+    const fetchNodes = async () => {
+      if (fail) {
+        throw new Error('Gateway down');
+      }
+      return RAW_NODES;
+    };
+    const catalog = new NodeCatalog({ fetchNodes });
+
+    await assert.rejects(catalog.list('t'), /Gateway down/);
+    fail = false;
+    assert.strictEqual((await catalog.list('t')).length, 2);
+  });
+
+  it('hands connectDvpn predicates normalized nodes', async () => {
+    const gateway = await startMockGateway({ nodes: 3 });
+    try {
+      const client = new ErebrusClient({ baseUrls: gateway.baseUrls, runner: createFakeRunner(), strict: true, logger: false });
+      const token = gateway.issueToken(gateway.createOrganization().id);
+      const seen = [];
+      const predicate = node => {
+        seen.push(node);
+        return node.country === gateway.nodes[1].ipinfocountry;
+      };
+
+      assert.strictEqual(await client.connectDvpn(token, predicate, { selection: { probe: gateway.probe } }), true);
+      assert.strictEqual(seen.length, 3);
+      assert.ok(seen.every(node => node.raw && node.endpoint && node.lastPingedAt instanceof Date));
+      assert.strictEqual((await client.getConnectionStatus()).peer.publicKey, gateway.nodeKeys(gateway.nodes[1].id).publicKey);
+    } finally {
+      await gateway.stop();
+    }
+  });
+});
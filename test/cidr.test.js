@@ -0,0 +1,62 @@
+const assert = require('assert');
+const { parseCidr, formatCidr, containsCidr, excludeCidrs } = require('../src/cidr');
+const { resolveTunnelOptions } = require('../src/options');
+
+describe('excludeCidrs', () => {
+  it('splits the allowed range around an excluded block', () => {
+    assert.deepStrictEqual(excludeCidrs(['10.0.0.0/8'], ['10.20.0.0/16']), [
+      '10.0.0.0/12',
+      '10.16.0.0/14',
+      '10.21.0.0/16',
+      '10.22.0.0/15',
+      '10.24.0.0/13',
+      '10.32.0.0/11',
+      '10.64.0.0/10',
+      '10.128.0.0/9'
+    ]);
+  });
+
+  it('carves a block out of the IPv4 default route', () => {
+    assert.deepStrictEqual(excludeCidrs(['0.0.0.0/0'], ['10.0.0.0/8']), [
+      '0.0.0.0/5',
+      '8.0.0.0/7',
+      '11.0.0.0/8',
+      '12.0.0.0/6',
+      '16.0.0.0/4',
+      '32.0.0.0/3',
+      '64.0.0.0/2',
+      '128.0.0.0/1'
+    ]);
+  });
+
+  it('handles IPv6 and leaves ranges of the other version alone', () => {
+    const result = excludeCidrs(['10.0.0.0/8', '::/0'], ['fe80::/10']);
+
+    assert.strictEqual(result[0], '10.0.0.0/8');
+    assert.ok(result.includes('fec0::/10'));
+    assert.ok(result.includes('fe00::/9'));
+    assert.ok(result.slice(1).every(cidr => !containsCidr(parseCidr(cidr), parseCidr('fe80::/10'))));
+    assert.ok(result.slice(1).every(cidr => !containsCidr(parseCidr('fe80::/10'), parseCidr(cidr))));
+  });
+
+  it('keeps ranges an exclusion does not touch, and drops ranges it covers', () => {
+    assert.deepStrictEqual(excludeCidrs(['10.0.0.0/8'], ['192.168.0.0/16']), ['10.0.0.0/8']);
+    assert.deepStrictEqual(excludeCidrs(['10.0.0.0/8'], ['0.0.0.0/0']), []);
+    assert.deepStrictEqual(excludeCidrs(['10.0.0.0/8']), ['10.0.0.0/8']);
+  });
+
+  it('normalizes host bits and rejects malformed CIDRs', () => {
+    assert.strictEqual(formatCidr(parseCidr('10.1.2.3/8')), '10.0.0.0/8');
+    assert.throws(() => excludeCidrs(['10.0.0.0/33']), /Invalid CIDR: 10\.0\.0\.0\/33/);
+  });
+
+  it('is applied to allowedIPs by resolveTunnelOptions', () => {
+    const { allowedIPs } = resolveTunnelOptions({ allowedIPs: ['10.0.0.0/8'], excludeIPs: ['10.128.0.0/9'] });
+    assert.deepStrictEqual(allowedIPs, ['10.0.0.0/9']);
+
+    assert.throws(() => resolveTunnelOptions({ allowedIPs: ['10.0.0.0/8'], excludeIPs: ['10.0.0.0/8'] }), {
+      name: 'ConfigError',
+      message: 'Invalid tunnel options: excludeIPs removes every address in allowedIPs'
+    });
+  });
+});
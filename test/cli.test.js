@@ -0,0 +1,125 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXIT_CODES, parseArgs, run } = require('../src/cli');
+const { startMockGateway, createFakeRunner } = require('../testing');
+
+describe('cli', () => {
+  let gateway;
+  let runner;
+  let dir;
+  let env;
+
+  /**
+   * Runs the CLI against the mock gateway and the fake runner
+   * @param {Array<string>} argv - Arguments
+   * @return {Promise<object>} { code, stdout, stderr }
+   */
+  async function cli(argv) {
+    let stdout = '';
+    let stderr = '';
+    const code = await run(argv, {
+      env,
+      stdin: { isTTY: true },
+      stdout: { write: text => { stdout += text; } },
+      stderr: { write: text => { stderr += text; } },
+      clientOptions: { baseUrls: gateway.baseUrls, runner, retry: false }
+    });
+    return { code, stdout, stderr };
+  }
+
+  beforeEach(async () => {
+    gateway = await startMockGateway({ nodes: 2 });
+    runner = createFakeRunner();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'erebrus-cli-'));
+    env = { EREBRUS_CONFIG_DIR: dir };
+  });
+
+  afterEach(async () => {
+    await gateway.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('parseArgs splits positionals, flags and everything after --', () => {
+    assert.deepStrictEqual(parseArgs(['connect', 'auto', '--mtu', '1280', '--verify', '--dns=none', '--', 'curl', '--help']), {
+      positionals: ['connect', 'auto'],
+      flags: { mtu: '1280', verify: true, dns: 'none' },
+      rest: ['curl', '--help']
+    });
+  });
+
+  it('exits with the usage code for bad command lines', async () => {
+    assert.strictEqual((await cli([])).code, EXIT_CODES.usage);
+    assert.strictEqual((await cli(['help'])).code, EXIT_CODES.ok);
+    assert.strictEqual((await cli(['teleport'])).code, EXIT_CODES.usage);
+    assert.strictEqual((await cli(['connect'])).code, EXIT_CODES.usage);
+    assert.strictEqual((await cli(['status', '--mtu', 'big'])).code, EXIT_CODES.usage);
+
+    const missing = await cli(['connect', 'auto', '--interface']);
+    assert.strictEqual(missing.code, EXIT_CODES.usage);
+    assert.strictEqual(missing.stderr, 'erebrus: Option --interface needs a value\n');
+  });
+
+  it('exits with the auth code without credentials or with a rejected API key', async () => {
+    assert.strictEqual((await cli(['nodes', 'list'])).code, EXIT_CODES.auth);
+    assert.strictEqual((await cli(['auth', 'not-a-key'])).code, EXIT_CODES.auth);
+    assert.strictEqual(fs.existsSync(path.join(dir, 'config.json')), false);
+  });
+
+  it('stores the API key of a new organization and uses it', async () => {
+    assert.strictEqual((await cli(['org', 'create', '--save'])).code, EXIT_CODES.ok);
+    const file = path.join(dir, 'config.json');
+    assert.ok(JSON.parse(fs.readFileSync(file, 'utf8')).apiKey);
+    assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+
+    const { code, stdout } = await cli(['nodes', 'list', '--json']);
+    assert.strictEqual(code, EXIT_CODES.ok);
+    assert.deepStrictEqual(JSON.parse(stdout).map(node => node.id), gateway.nodes.map(node => node.id));
+  });
+
+  describe('with credentials', () => {
+    beforeEach(() => {
+      env.EREBRUS_TOKEN = gateway.issueToken(gateway.createOrganization().id);
+    });
+
+    it('exits with the gateway code when the gateway fails', async () => {
+      gateway.inject('GET /nodes/all', { status: 500, body: { message: 'boom' } });
+      assert.strictEqual((await cli(['nodes', 'list'])).code, EXIT_CODES.gateway);
+    });
+
+    it('exits with the node-not-found code for an unknown node', async () => {
+      assert.strictEqual((await cli(['connect', 'no-such-node'])).code, EXIT_CODES.nodeNotFound);
+    });
+
+    it('exits with the subscription code when a subscription is required and missing', async () => {
+      assert.strictEqual((await cli(['connect', gateway.nodes[0].id, '--subscription'])).code, EXIT_CODES.subscription);
+    });
+
+    it('exits with the WireGuard code when WireGuard is missing', async () => {
+      runner = createFakeRunner({ wireguard: false });
+      assert.strictEqual((await cli(['connect', gateway.nodes[0].id])).code, EXIT_CODES.wireguard);
+    });
+
+    it('reports the status with the not-connected code until a tunnel is up', async () => {
+      const before = await cli(['status']);
+      assert.strictEqual(before.code, EXIT_CODES.notConnected);
+      assert.match(before.stdout, /^erebrus-dvpn: not connected \(Interface erebrus-dvpn does not exist\)/);
+
+      assert.strictEqual((await cli(['connect', gateway.nodes[0].id])).code, EXIT_CODES.ok);
+      assert.strictEqual((await cli(['status'])).code, EXIT_CODES.ok);
+      assert.strictEqual((await cli(['disconnect'])).code, EXIT_CODES.ok);
+      assert.strictEqual((await cli(['status'])).code, EXIT_CODES.notConnected);
+    });
+
+    it('exits with the verification code when the exit IP is not the node', async () => {
+      runner = createFakeRunner({ exitIps: { [gateway.nodes[0].ipinfoip]: '192.0.2.99' } });
+
+      assert.strictEqual((await cli(['connect', gateway.nodes[0].id])).code, EXIT_CODES.ok);
+      const { code, stdout } = await cli(['verify']);
+      assert.strictEqual(code, EXIT_CODES.verification);
+      assert.match(stdout, /matches node {5}no/);
+      assert.match(stdout, /exit IP changed {2}not checked \(no exit IP from before connecting\)/);
+    });
+  });
+});
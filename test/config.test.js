@@ -0,0 +1,101 @@
+const assert = require('assert');
+const { parseConfig, serializeConfig, renderSetconf, validateConfig } = require('../src/config');
+const { ConfigError } = require('../src/errors');
+
+const PRIVATE_KEY = 'yAnz5TF+lXXJte14tji3zlMNq+hd2rYUIgJBgB3fBmk=';
+const PUBLIC_KEY = 'xTIBA5rboUvnH4htodjb6e697QjLERt1NAB4mZqp8Dg=';
+
+const CONFIG = `[Interface]
+PrivateKey = ${PRIVATE_KEY}
+Address = 10.8.0.2/32, fd00::2/128
+DNS = 1.1.1.1
+MTU = 1420
+PostUp = iptables -A FORWARD -i %i -j ACCEPT
+PostUp = echo up, really
+
+[Peer]
+PublicKey = ${PUBLIC_KEY}
+AllowedIPs = 0.0.0.0/0, ::/0
+Endpoint = 203.0.113.7:51820
+PersistentKeepalive = 25
+`;
+
+describe('config', () => {
+  it('parseConfig reads lists, hooks and numbers', () => {
+    const config = parseConfig(CONFIG);
+
+    assert.deepStrictEqual(config.Interface.Address, ['10.8.0.2/32', 'fd00::2/128']);
+    assert.deepStrictEqual(config.Interface.PostUp, ['iptables -A FORWARD -i %i -j ACCEPT', 'echo up, really']);
+    assert.strictEqual(config.Interface.MTU, 1420);
+    assert.strictEqual(config.Peers.length, 1);
+    assert.strictEqual(config.Peers[0].PersistentKeepalive, 25);
+  });
+
+  it('serializeConfig output parses back to the same config', () => {
+    const config = parseConfig(CONFIG);
+
+    assert.strictEqual(serializeConfig(config), CONFIG);
+    assert.deepStrictEqual(parseConfig(serializeConfig(config)), config);
+  });
+
+  it('parseConfig drops comments, matches keys case-insensitively and keeps unknown keys', () => {
+    const config = parseConfig([
+      '# generated',
+      '[interface]',
+      `privatekey = ${PRIVATE_KEY} # inline`,
+      'address = 10.8.0.2/32',
+      'Table = off',
+      'CustomKey = kept',
+      '',
+      '[PEER]',
+      `publickey = ${PUBLIC_KEY}`,
+      'allowedips = 10.0.0.0/8',
+      'allowedips = 192.168.0.0/16'
+    ].join('\n'));
+
+    assert.strictEqual(config.Interface.PrivateKey, PRIVATE_KEY);
+    assert.strictEqual(config.Interface.CustomKey, 'kept');
+    assert.deepStrictEqual(config.Peers[0].AllowedIPs, ['10.0.0.0/8', '192.168.0.0/16']);
+    assert.deepStrictEqual(parseConfig(serializeConfig(config)), config);
+  });
+
+  it('parseConfig rejects malformed files with the line number', () => {
+    assert.throws(() => parseConfig('[Interface]\n[Interface]\n'), { name: 'ConfigError', message: /Line 2: duplicate \[Interface\]/ });
+    assert.throws(() => parseConfig('[Interface]\nnot a pair\n'), { message: /Line 2: expected "Key = Value"/ });
+    assert.throws(() => parseConfig('PrivateKey = x\n'), { message: /Line 1: "PrivateKey" appears before any section/ });
+    assert.throws(() => parseConfig('[Tunnel]\n'), { message: /Line 1: unknown section \[Tunnel\]/ });
+  });
+
+  it('renderSetconf leaves out wg-quick only keys', () => {
+    const text = renderSetconf(parseConfig(CONFIG));
+
+    assert.match(text, /PrivateKey = /);
+    assert.match(text, /Endpoint = 203\.0\.113\.7:51820/);
+    assert.doesNotMatch(text, /Address|DNS|MTU|PostUp/);
+  });
+
+  it('validateConfig lists every problem', () => {
+    const config = parseConfig(CONFIG);
+    assert.strictEqual(validateConfig(config), config);
+
+    const broken = parseConfig([
+      '[Interface]',
+      'PrivateKey = short',
+      'MTU = 70000',
+      '[Peer]',
+      `PublicKey = ${PUBLIC_KEY}`,
+      'Endpoint = 203.0.113.7'
+    ].join('\n'));
+    assert.throws(() => validateConfig(broken), error => {
+      assert.ok(error instanceof ConfigError);
+      assert.deepStrictEqual(error.problems, [
+        'Interface.PrivateKey is not a valid base64 WireGuard key',
+        'Interface.Address is required',
+        'Interface.MTU must be an integer between 0 and 65535',
+        'Peers[0].AllowedIPs is required',
+        'Peers[0].Endpoint must be host:port or [ipv6]:port, got "203.0.113.7"'
+      ]);
+      return true;
+    });
+  });
+});
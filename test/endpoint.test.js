@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { parseEndpoint, formatEndpoint } = require('../src/endpoint');
+const { ErebrusClient } = require('../src');
+const { startMockGateway, createFakeRunner } = require('../testing');
+
+describe('endpoint', () => {
+  it('parseEndpoint reads host names, IPv4 and IPv6 with and without a port', () => {
+    assert.deepStrictEqual(parseEndpoint('203.0.113.7'), { host: '203.0.113.7', port: null, version: 4 });
+    assert.deepStrictEqual(parseEndpoint(' 203.0.113.7:51821 '), { host: '203.0.113.7', port: 51821, version: 4 });
+    assert.deepStrictEqual(parseEndpoint('node.example.com:51821'), { host: 'node.example.com', port: 51821, version: null });
+    assert.deepStrictEqual(parseEndpoint('2001:db8::7'), { host: '2001:db8::7', port: null, version: 6 });
+    assert.deepStrictEqual(parseEndpoint('[2001:db8::7]:51820'), { host: '2001:db8::7', port: 51820, version: 6 });
+    assert.deepStrictEqual(parseEndpoint('[2001:db8::7]'), { host: '2001:db8::7', port: null, version: 6 });
+  });
+
+  it('parseEndpoint fills in the default port only when the endpoint has none', () => {
+    assert.strictEqual(parseEndpoint('203.0.113.7', 51820).port, 51820);
+    assert.strictEqual(parseEndpoint('203.0.113.7:443', 51820).port, 443);
+    assert.strictEqual(parseEndpoint('2001:db8::7', 51820).port, 51820);
+  });
+
+  it('parseEndpoint rejects malformed endpoints and ports', () => {
+    const invalid = [
+      ['', /^Endpoint must be host/],
+      [null, /^Endpoint must be host/],
+      ['node.example.com:', /^Endpoint must be host/],
+      ['a b:51820', /^Endpoint must be host/],
+      ['[2001:db8::7', /^Endpoint must be host/],
+      ['[203.0.113.7]:51820', /^Only IPv6 addresses go in brackets/],
+      ['[node.example.com]:51820', /^Only IPv6 addresses go in brackets/],
+      ['203.0.113.7:0', /^Endpoint port must be between 1 and 65535, got 0$/],
+      ['203.0.113.7:65536', /^Endpoint port must be between 1 and 65535, got 65536$/]
+    ];
+    for (const [endpoint, problem] of invalid) {
+      assert.throws(() => parseEndpoint(endpoint), error => {
+        assert.strictEqual(error.name, 'ConfigError');
+        assert.match(error.problems[0], problem);
+        return true;
+      }, String(endpoint));
+    }
+    assert.throws(() => parseEndpoint('203.0.113.7', 70000), { name: 'ConfigError' });
+  });
+
+  it('formatEndpoint brackets IPv6 addresses and round-trips parseEndpoint', () => {
+    for (const text of ['203.0.113.7:51820', 'node.example.com:51821', '[2001:db8::7]:51820', '203.0.113.7']) {
+      assert.strictEqual(formatEndpoint(parseEndpoint(text)), text);
+    }
+    assert.strictEqual(formatEndpoint({ host: '2001:db8::7', port: null }), '[2001:db8::7]');
+  });
+
+  describe('exportWireGuardConfig', () => {
+    let gateway;
+
+    afterEach(() => gateway.stop());
+
+    it('writes an IPv6 node endpoint in brackets with the default port', async () => {
+      gateway = await startMockGateway({ nodes: 1 });
+      gateway.nodes[0].ipinfoip = '2001:db8::7';
+      const runner = createFakeRunner();
+      const client = new ErebrusClient({ baseUrls: gateway.baseUrls, runner, strict: true, logger: false });
+      const token = gateway.issueToken(gateway.createOrganization().id);
+      await client.createSession({ getToken: async () => token });
+
+      const config = await client.exportWireGuardConfig(null, gateway.nodes[0].id);
+      assert.match(config, /^Endpoint = \[2001:db8::7\]:51820$/m);
+    });
+  });
+});
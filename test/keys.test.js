@@ -0,0 +1,43 @@
+const assert = require('assert');
+const { isValidKey, derivePublicKey, generateWireGuardKeyPair, generatePresharedKey } = require('../src/keys');
+
+const base64 = hex => Buffer.from(hex, 'hex').toString('base64');
+
+describe('keys', () => {
+  it('derives public keys matching the RFC 7748 X25519 test vectors', () => {
+    // RFC 7748, section 6.1: Alice's and Bob's key pairs
+    assert.strictEqual(
+      derivePublicKey(base64('77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a')),
+      base64('8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a')
+    );
+    assert.strictEqual(
+      derivePublicKey(base64('5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb')),
+      base64('de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f')
+    );
+  });
+
+  it('generates clamped key pairs whose public key matches the private key', () => {
+    const { privateKey, publicKey } = generateWireGuardKeyPair();
+    const raw = Buffer.from(privateKey, 'base64');
+
+    assert.ok(isValidKey(privateKey));
+    assert.ok(isValidKey(publicKey));
+    assert.strictEqual(raw[0] & 7, 0);
+    assert.strictEqual(raw[31] & 128, 0);
+    assert.strictEqual(raw[31] & 64, 64);
+    assert.strictEqual(derivePublicKey(privateKey), publicKey);
+    assert.notStrictEqual(generateWireGuardKeyPair().privateKey, privateKey);
+  });
+
+  it('generates 32-byte preshared keys', () => {
+    assert.ok(isValidKey(generatePresharedKey()));
+  });
+
+  it('accepts only base64 encodings of 32 bytes', () => {
+    assert.strictEqual(isValidKey(base64('00'.repeat(32))), true);
+    assert.strictEqual(isValidKey(base64('00'.repeat(31))), false);
+    assert.strictEqual(isValidKey('yAnz5TF+lXXJte14tji3zlMNq+hd2rYUIgJBgB3fBmn='), false);
+    assert.strictEqual(isValidKey(null), false);
+    assert.throws(() => derivePublicKey('not a key'), TypeError);
+  });
+});
@@ -0,0 +1,215 @@
+const assert = require('assert');
+const dns = require('dns');
+const { renderNftRuleset, renderIptablesRules, applyKillSwitch, removeKillSwitch } = require('../src/killswitch');
+const { createDryRunRunner } = require('../src/runner');
+const { createLogger } = require('../src/logger');
+const { ConfigError } = require('../src/errors');
+const { ErebrusClient } = require('../src');
+const { startMockGateway, createFakeRunner } = require('../testing');
+
+const SPEC = {
+  interfaceName: 'erebrus-dvpn',
+  endpoints: [{ address: '203.0.113.7', port: 51820 }, { address: '2001:db8::7', port: 443, protocol: 'tcp' }],
+  allowLan: ['192.168.1.0/24', 'fe80::/10']
+};
+
+/**
+ * Creates a dry-run runner that keeps track of iptables chains and OUTPUT jumps
+ * @return {object} Runner, plus output (the jumps per iptables binary) and a log of
+ * whether OUTPUT jumped to a kill switch after each command
+ */
+function createIptablesRunner() {
+  const chains = { iptables: new Set(), ip6tables: new Set() };
+  const output = { iptables: [], ip6tables: [] };
+  const protectedAfter = [];
+
+  const runner = createDryRunRunner({
+    respond({ file, args }) {
+      if (file === 'nft') {
+        return { code: 127 };
+      }
+      const [flag, chain, ...rest] = args;
+      const jump = rest[rest.length - 1];
+      let code = 0;
+      if (flag === '-N') {
+        code = chains[file].has(chain) ? 1 : (chains[file].add(chain), 0);
+      } else if (flag === '-X') {
+        code = chains[file].delete(chain) ? 0 : 1;
+      } else if (flag === '-F' || flag === '-A') {
+        code = chains[file].has(chain) ? 0 : 1;
+      } else if (flag === '-I') {
+        output[file].unshift(jump);
+      } else if (flag === '-C') {
+        code = output[file].includes(jump) ? 0 : 1;
+      } else if (flag === '-D') {
+        const index = output[file].indexOf(jump);
+        code = index === -1 ? 1 : (output[file].splice(index, 1), 0);
+      }
+      protectedAfter.push(output.iptables.length > 0 && output.ip6tables.length > 0);
+      return { code };
+    }
+  });
+  return { runner, output, protectedAfter };
+}
+
+describe('killswitch', () => {
+  it('renderNftRuleset replaces the table and drops everything not allowed', () => {
+    assert.strictEqual(renderNftRuleset(SPEC), [
+      'table inet erebrus_killswitch',
+      'delete table inet erebrus_killswitch',
+      'table inet erebrus_killswitch {',
+      '\tchain output {',
+      '\t\ttype filter hook output priority 0; policy drop;',
+      '\t\toifname "lo" accept',
+      '\t\toifname "erebrus-dvpn" accept',
+      '\t\tip daddr 203.0.113.7 udp dport 51820 accept',
+      '\t\tip6 daddr 2001:db8::7 tcp dport 443 accept',
+      '\t\tip daddr { 192.168.1.0/24 } accept',
+      '\t\tip6 daddr { fe80::/10 } accept',
+      '\t\tudp sport 68 udp dport 67 accept',
+      '\t\tudp sport 546 udp dport 547 accept',
+      '\t\treject',
+      '\t}',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  it('renderNftRuleset accepts every tunnel and can leave DHCP out', () => {
+    const ruleset = renderNftRuleset({ interfaceName: ['erebrus-a', 'erebrus-b'], allowDhcp: false });
+
+    assert.match(ruleset, /oifname "erebrus-a" accept\n\t\toifname "erebrus-b" accept\n\t\treject/);
+    assert.doesNotMatch(ruleset, /sport 68/);
+  });
+
+  it('renderIptablesRules builds a chain per IP version and jumps to it last', () => {
+    const commands = renderIptablesRules(SPEC).map(({ file, args }) => `${file} ${args.join(' ')}`);
+
+    assert.deepStrictEqual(commands, [
+      'iptables -N EREBRUS-KILLSWITCH',
+      'iptables -A EREBRUS-KILLSWITCH -o lo -j RETURN',
+      'iptables -A EREBRUS-KILLSWITCH -o erebrus-dvpn -j RETURN',
+      'iptables -A EREBRUS-KILLSWITCH -d 203.0.113.7 -p udp --dport 51820 -j RETURN',
+      'iptables -A EREBRUS-KILLSWITCH -d 192.168.1.0/24 -j RETURN',
+      'iptables -A EREBRUS-KILLSWITCH -p udp --sport 68 --dport 67 -j RETURN',
+      'iptables -A EREBRUS-KILLSWITCH -j REJECT',
+      'iptables -I OUTPUT 1 -j EREBRUS-KILLSWITCH',
+      'ip6tables -N EREBRUS-KILLSWITCH',
+      'ip6tables -A EREBRUS-KILLSWITCH -o lo -j RETURN',
+      'ip6tables -A EREBRUS-KILLSWITCH -o erebrus-dvpn -j RETURN',
+      'ip6tables -A EREBRUS-KILLSWITCH -d 2001:db8::7 -p tcp --dport 443 -j RETURN',
+      'ip6tables -A EREBRUS-KILLSWITCH -d fe80::/10 -j RETURN',
+      'ip6tables -A EREBRUS-KILLSWITCH -p udp --sport 546 --dport 547 -j RETURN',
+      'ip6tables -A EREBRUS-KILLSWITCH -j REJECT',
+      'ip6tables -I OUTPUT 1 -j EREBRUS-KILLSWITCH'
+    ]);
+    assert.ok(renderIptablesRules(SPEC, 'EREBRUS-KILLSWITCH-2').every(({ args }) => args.includes('EREBRUS-KILLSWITCH-2')));
+  });
+
+  it('the renderers reject a malformed spec', () => {
+    const spec = { endpoints: [{ address: 'node.example.com', port: 51820 }], allowLan: ['192.168.1.0/33'] };
+
+    for (const render of [renderNftRuleset, renderIptablesRules]) {
+      assert.throws(() => render(spec), error => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepStrictEqual(error.problems, [
+          'interfaceName is required',
+          'Endpoint address is not an IP address: node.example.com',
+          'Invalid LAN range: 192.168.1.0/33'
+        ]);
+        return true;
+      });
+    }
+  });
+
+  it('applyKillSwitch with iptables never leaves OUTPUT unguarded while replacing the rules', async () => {
+    const { runner, output, protectedAfter } = createIptablesRunner();
+    const context = { runner, logger: createLogger({ logger: false }) };
+
+    assert.strictEqual(await applyKillSwitch({ ...SPEC, backend: 'auto' }, context), 'iptables');
+    assert.deepStrictEqual(output, { iptables: ['EREBRUS-KILLSWITCH'], ip6tables: ['EREBRUS-KILLSWITCH'] });
+
+    for (const chain of ['EREBRUS-KILLSWITCH-2', 'EREBRUS-KILLSWITCH']) {
+      protectedAfter.length = 0;
+      await applyKillSwitch({ ...SPEC, backend: 'iptables' }, context);
+      assert.ok(protectedAfter.every(Boolean));
+      assert.deepStrictEqual(output, { iptables: [chain], ip6tables: [chain] });
+    }
+
+    assert.strictEqual(await removeKillSwitch(context), true);
+    assert.deepStrictEqual(output, { iptables: [], ip6tables: [] });
+  });
+
+  describe('with host names', () => {
+    const lookup = dns.promises.lookup;
+    let answers;
+    let dnsBlocked;
+
+    // Stands in for the system resolver, which the kill switch cuts off once it is up
+    beforeEach(() => {
+      answers = { 'node-1.mock.invalid': ['203.0.113.10'], 'localhost': ['127.0.0.1'] };
+      dnsBlocked = false;
+      dns.promises.lookup = async host => {
+        if (dnsBlocked || !answers[host]) {
+          throw Object.assign(new Error(`getaddrinfo EAI_AGAIN ${host}`), { code: 'EAI_AGAIN' });
+        }
+        return answers[host].map(address => ({ address, family: 4 }));
+      };
+    });
+
+    afterEach(() => {
+      dns.promises.lookup = lookup;
+    });
+
+    it('reuses the addresses resolved by an earlier apply', async () => {
+      const runner = createDryRunRunner();
+      const context = { runner, logger: createLogger({ logger: false }) };
+      const resolvedHosts = new Map();
+      const options = {
+        interfaceName: 'erebrus-dvpn',
+        endpoints: [{ host: 'node-1.mock.invalid', port: 51820 }, { host: 'localhost', port: 443, protocol: 'tcp', optional: true }],
+        backend: 'nftables',
+        resolvedHosts
+      };
+
+      await applyKillSwitch(options, context);
+      dnsBlocked = true;
+      await applyKillSwitch(options, context);
+
+      const [first, second] = runner.commands.map(entry => entry.input);
+      assert.strictEqual(second, first);
+      assert.match(second, /ip daddr 203\.0\.113\.10 udp dport 51820 accept\n\t\tip daddr 127\.0\.0\.1 tcp dport 443 accept/);
+      assert.deepStrictEqual([...resolvedHosts.keys()], ['node-1.mock.invalid', 'localhost']);
+
+      await assert.rejects(applyKillSwitch({ ...options, resolvedHosts: new Map() }, context), { name: 'TunnelSetupError', message: /Could not resolve node-1\.mock\.invalid/ });
+    });
+
+    it('keeps the node and gateway allowed when a monitor reconnects with DNS blocked', async () => {
+      const gateway = await startMockGateway({ nodes: 1 });
+      try {
+        gateway.nodes[0].ipinfoip = 'node-1.mock.invalid';
+        const baseUrls = Object.keys(gateway.baseUrls).reduce((result, service) =>
+          ({ ...result, [service]: gateway.baseUrls[service].replace('127.0.0.1', 'localhost') }), {});
+        const runner = createFakeRunner();
+        const client = new ErebrusClient({ baseUrls, runner, strict: true, logger: false });
+        const token = gateway.issueToken(gateway.createOrganization().id);
+        const rulesets = () => runner.commands.filter(entry => entry.file === 'nft' && entry.args[0] === '-f').map(entry => entry.input);
+
+        assert.strictEqual(await client.connectDvpn(token, gateway.nodes[0].id, { killSwitch: true }), true);
+        dnsBlocked = true;
+        await client.disconnectVPN(undefined, { keepKillSwitch: true });
+        assert.strictEqual(await client.connectDvpn(token, gateway.nodes[0].id, { killSwitch: true }), true);
+
+        const [first, second] = rulesets();
+        assert.strictEqual(second, first);
+        assert.match(second, /ip daddr 203\.0\.113\.10 udp dport 51820 accept/);
+        assert.match(second, /ip daddr 127\.0\.0\.1 tcp dport \d+ accept/);
+
+        await client.disconnectVPN();
+        assert.strictEqual(client.killSwitchHosts.size, 0);
+      } finally {
+        await gateway.stop();
+      }
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const assert = require('assert');
+const { ConnectionMonitor } = require('../src/monitor');
+const { createLogger } = require('../src/logger');
+const { ErebrusClient } = require('../src');
+const { startMockGateway, createFakeRunner } = require('../testing');
+
+/**
+ * Client stand-in that answers getConnectionStatus from a queue and records calls
+ * @param {object[]} statuses - Statuses to return, the last one repeats
+ * @param {boolean[]} [connects] - Results of connectDvpn calls, true once they run out
+ * @return {object} Client with a calls array
+ */
+function createStubClient(statuses, connects = []) {
+  const calls = [];
+  return {
+    calls,
+    logger: createLogger({ logger: false }),
+    async connectDvpn(token, nodeId, tunnel) {
+      calls.push(['connect', nodeId, tunnel]);
+      return connects.length > 0 ? connects.shift() : true;
+    },
+    async disconnectVPN(tunnel, options) {
+      calls.push(['disconnect', tunnel, options]);
+      return true;
+    },
+    async getConnectionStatus(interfaceName) {
+      calls.push(['status', interfaceName]);
+      return statuses.length > 1 ? statuses.shift() : statuses[0];
+    }
+  };
+}
+
+const up = handshakeAge => ({ state: 'up', connected: handshakeAge < 180, peer: { handshakeAge, latestHandshake: new Date(), rxBytes: 10, txBytes: 20 } });
+const missing = { state: 'missing', connected: false, reason: 'Interface erebrus-dvpn does not exist', peer: null };
+
+/**
+ * Collects the names of the events a monitor emits
+ * @param {ConnectionMonitor} monitor
+ * @return {string[]} Event names in order
+ */
+function recordEvents(monitor) {
+  const events = [];
+  ['connected', 'handshake-stale', 'disconnected', 'reconnecting', 'error'].forEach(name => {
+    monitor.on(name, () => events.push(name));
+  });
+  return events;
+}
+
+// Resolves a tick after the event, once the code that emitted it has finished updating the stats
+const once = (emitter, name) => new Promise(resolve => emitter.once(name, value => setImmediate(resolve, value)));
+
+describe('ConnectionMonitor', () => {
+  let monitor;
+
+  afterEach(() => monitor && monitor.stop({ disconnect: false }));
+
+  it('rebuilds a tunnel whose interface disappeared, keeping the kill switch', async () => {
+    const client = createStubClient([missing, up(5)]);
+    monitor = new ConnectionMonitor({ client, nodeId: 'node-1', tunnel: { killSwitch: true }, interval: 1, backoff: { initialDelay: 1 } });
+    const events = recordEvents(monitor);
+
+    assert.strictEqual(await monitor.start(), true);
+    const reconnected = await once(monitor, 'connected');
+
+    assert.strictEqual(reconnected.attempt, 1);
+    assert.deepStrictEqual(events, ['connected', 'disconnected', 'reconnecting', 'connected']);
+    assert.deepStrictEqual(client.calls.find(call => call[0] === 'disconnect'), ['disconnect', { killSwitch: true }, { keepKillSwitch: true }]);
+    assert.strictEqual(monitor.stats.reconnects, 1);
+  });
+
+  it('reconnects when the handshake goes stale and tracks the counters', async () => {
+    const client = createStubClient([up(200), up(3)]);
+    monitor = new ConnectionMonitor({ client, nodeId: 'node-1', interval: 1, staleThreshold: 120, backoff: { initialDelay: 1 } });
+    const events = recordEvents(monitor);
+
+    await monitor.start();
+    await once(monitor, 'connected');
+    await once(monitor, 'status');
+
+    assert.deepStrictEqual(events, ['connected', 'handshake-stale', 'reconnecting', 'connected']);
+    assert.strictEqual(monitor.stats.handshakeAge, 3);
+    assert.strictEqual(monitor.stats.rxBytes, 10);
+    assert.strictEqual(monitor.stats.txBytes, 20);
+  });
+
+  it('backs off between attempts and gives up after maxAttempts', async () => {
+    const client = createStubClient([missing], [true, false, false, false]);
+    monitor = new ConnectionMonitor({ client, nodeId: 'node-1', interval: 1, maxAttempts: 3, backoff: { initialDelay: 1, factor: 3 } });
+    const delays = [];
+    monitor.on('reconnecting', ({ delay }) => delays.push(delay));
+
+    await monitor.start();
+    const error = await once(monitor, 'error');
+
+    assert.deepStrictEqual(delays, [1, 3, 9]);
+    assert.strictEqual(error.message, 'Could not reconnect to node node-1 after 3 attempts');
+    assert.strictEqual(error.cause.message, 'Could not connect to node node-1');
+    assert.strictEqual(monitor.running, false);
+  });
+
+  it('returns false from start when no attempt connects, without an error listener', async () => {
+    const client = createStubClient([missing], [false, false]);
+    monitor = new ConnectionMonitor({ client, nodeId: 'node-1', maxAttempts: 1, backoff: { initialDelay: 1 } });
+
+    assert.strictEqual(await monitor.start(), false);
+    assert.strictEqual(client.calls.filter(call => call[0] === 'connect').length, 2);
+  });
+
+  it('reconnects a real tunnel torn down behind its back', async () => {
+    const gateway = await startMockGateway();
+    try {
+      const runner = createFakeRunner();
+      const client = new ErebrusClient({ baseUrls: gateway.baseUrls, runner, strict: true, logger: false });
+      await client.createSession({ getToken: async () => gateway.issueToken(gateway.createOrganization().id) });
+      monitor = new ConnectionMonitor({ client, nodeId: gateway.nodes[0].id, interval: 1, backoff: { initialDelay: 1 } });
+
+      await monitor.start();
+      await runner.run('ip', ['link', 'delete', 'dev', 'erebrus-dvpn'], { sudo: true });
+      await once(monitor, 'connected');
+
+      assert.strictEqual(runner.interfaces.get('erebrus-dvpn').up, true);
+      assert.strictEqual(monitor.stats.reconnects, 1);
+      await monitor.stop();
+      assert.strictEqual(runner.interfaces.has('erebrus-dvpn'), false);
+    } finally {
+      await gateway.stop();
+    }
+  });
+});
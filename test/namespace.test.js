@@ -0,0 +1,131 @@
+const assert = require('assert');
+const os = require('os');
+const {
+  namespaceRunner,
+  listNamespaces,
+  findNamespace,
+  createNamespace,
+  deleteNamespace,
+  runInNamespace,
+  spawnInNamespace
+} = require('../src/namespace');
+const { createDryRunRunner } = require('../src/runner');
+const { createLogger } = require('../src/logger');
+const { ErebrusClient } = require('../src');
+const { startMockGateway, createFakeRunner } = require('../testing');
+
+const logger = createLogger({ logger: false });
+
+describe('namespace', () => {
+  it('namespaceRunner runs and spawns every command through ip netns exec', async () => {
+    const runner = createDryRunRunner({ sudo: true });
+    const wrapped = namespaceRunner(runner, 'jobs');
+
+    await wrapped.run('wg', ['show', 'erebrus-jobs', 'dump']);
+    wrapped.spawn('sleep', ['1']);
+    assert.deepStrictEqual(runner.commands.map(entry => entry.command), [
+      'sudo ip netns exec jobs wg show erebrus-jobs dump',
+      'sudo ip netns exec jobs sleep 1'
+    ]);
+    assert.strictEqual(namespaceRunner({ run: runner.run }, 'jobs').spawn, undefined);
+  });
+
+  it('creates, finds and deletes namespaces with their resolv.conf', async () => {
+    const runner = createFakeRunner();
+    const context = { logger, runner };
+
+    await createNamespace('jobs', ['1.1.1.1', '9.9.9.9'], context);
+    await createNamespace('empty', [], context);
+    assert.deepStrictEqual(await listNamespaces(context), ['jobs', 'empty']);
+    assert.strictEqual(runner.files.get('/etc/netns/jobs/resolv.conf'), 'nameserver 1.1.1.1\nnameserver 9.9.9.9\n');
+    assert.ok(!runner.files.has('/etc/netns/empty/resolv.conf'));
+
+    await runner.run('ip', ['link', 'add', 'dev', 'erebrus-jobs', 'type', 'wireguard']);
+    await runner.run('ip', ['link', 'set', 'dev', 'erebrus-jobs', 'netns', 'jobs']);
+    assert.strictEqual(await findNamespace('erebrus-jobs', context), 'jobs');
+    assert.strictEqual(await findNamespace('erebrus-other', context), null);
+
+    assert.strictEqual(await deleteNamespace('jobs', context), true);
+    assert.strictEqual(await deleteNamespace('jobs', context), false);
+    assert.ok(!runner.interfaces.has('erebrus-jobs'));
+    assert.ok(!runner.files.has('/etc/netns/jobs/resolv.conf'));
+  });
+
+  it('runs commands as the given user, and as the calling user when not root', async () => {
+    const runner = createDryRunRunner({ sudo: true });
+
+    await runInNamespace('jobs', 'curl', ['-s', 'https://api.ipify.org'], { user: 'nobody' }, { runner });
+    assert.strictEqual(runner.commands[0].command, 'sudo ip netns exec jobs runuser -u nobody -- curl -s https://api.ipify.org');
+
+    spawnInNamespace('jobs', 'npm', ['test'], {}, { runner });
+    const runAs = process.getuid() === 0 ? '' : `runuser -u ${os.userInfo().username} -- `;
+    assert.strictEqual(runner.commands[1].command, `sudo ip netns exec jobs ${runAs}npm test`);
+
+    assert.throws(() => spawnInNamespace('jobs', 'npm', [], {}, { runner: { run: runner.run } }), {
+      name: 'ErebrusError',
+      message: 'The configured runner has no spawn method'
+    });
+  });
+
+  describe('connectDvpn with namespace', () => {
+    let gateway;
+    let runner;
+    let client;
+    let node;
+
+    beforeEach(async () => {
+      gateway = await startMockGateway({ nodes: 1 });
+      runner = createFakeRunner();
+      client = new ErebrusClient({ baseUrls: gateway.baseUrls, runner, strict: true, logger: false });
+      const token = gateway.issueToken(gateway.createOrganization().id);
+      await client.createSession({ getToken: async () => token });
+      node = gateway.nodes[0];
+    });
+
+    afterEach(() => gateway.stop());
+
+    it('keeps the tunnel, its routes and its DNS inside the namespace', async () => {
+      await client.connectDvpn(null, node.id, { interfaceName: 'erebrus-jobs', namespace: 'jobs', dns: ['1.1.1.1'] });
+
+      assert.deepStrictEqual([...runner.namespaces], ['jobs']);
+      assert.strictEqual(runner.interfaces.get('erebrus-jobs').namespace, 'jobs');
+      assert.strictEqual(runner.files.get('/etc/netns/jobs/resolv.conf'), 'nameserver 1.1.1.1\n');
+      assert.deepStrictEqual(runner.rules.filter(rule => rule.namespace === null), []);
+      assert.strictEqual(runner.dns.size, 0);
+
+      const [connection] = await client.listConnections();
+      assert.strictEqual(connection.namespace, 'jobs');
+      assert.strictEqual(connection.status.state, 'up');
+
+      // Only commands started in the namespace leave through the tunnel
+      const { stdout } = await client.runInTunnel('curl', ['-s', 'https://api.ipify.org'], { namespace: 'jobs' });
+      assert.strictEqual(stdout, node.ipinfoip);
+      assert.notStrictEqual((await runner.run('curl', ['-s', 'https://api.ipify.org'])).stdout, node.ipinfoip);
+
+      const child = client.spawnInTunnel('true', [], { namespace: 'jobs' });
+      assert.strictEqual(await new Promise(resolve => child.on('exit', resolve)), 0);
+      assert.match(runner.commands[runner.commands.length - 1].command, /ip netns exec jobs .*true$/);
+
+      await client.disconnectVPN({ interfaceName: 'erebrus-jobs' });
+      assert.strictEqual(runner.namespaces.size, 0);
+      assert.strictEqual(runner.interfaces.size, 0);
+      assert.ok(!runner.files.has('/etc/netns/jobs/resolv.conf'));
+    });
+
+    it('names the namespace after the interface for namespace: true', async () => {
+      await client.connectDvpn(null, node.id, { interfaceName: 'erebrus-jobs', namespace: true });
+      assert.deepStrictEqual([...runner.namespaces], ['erebrus-jobs']);
+
+      const { stdout } = await client.runInTunnel('curl', ['-s', 'https://api.ipify.org'], { interfaceName: 'erebrus-jobs' });
+      assert.strictEqual(stdout, node.ipinfoip);
+    });
+
+    it('rejects a kill switch with a namespace before touching the host', async () => {
+      await assert.rejects(client.connectDvpn(null, node.id, { namespace: 'jobs', killSwitch: true }), {
+        name: 'ConfigError',
+        message: /^killSwitch cannot be combined with namespace/
+      });
+      assert.deepStrictEqual(runner.commands, []);
+    });
+  });
+});
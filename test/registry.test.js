@@ -0,0 +1,101 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ErebrusClient } = require('../src');
+const { createFileRegistry } = require('../src/registry');
+const { startMockGateway, createFakeRunner } = require('../testing');
+
+describe('client registry', () => {
+  let gateway;
+  let runner;
+  let client;
+  let nodeId;
+
+  const created = () => gateway.requests.filter(request => request.endpoint === 'POST /erebrus/client/:nodeId').length;
+
+  beforeEach(async () => {
+    gateway = await startMockGateway({ nodes: 1 });
+    runner = createFakeRunner();
+    client = new ErebrusClient({ baseUrls: gateway.baseUrls, runner, strict: true, logger: false });
+    const token = gateway.issueToken(gateway.createOrganization().id);
+    await client.createSession({ getToken: async () => token });
+    nodeId = gateway.nodes[0].id;
+  });
+
+  afterEach(() => gateway.stop());
+
+  it('keeps an exported client under the connection name, for connectDvpn to reuse', async () => {
+    const exported = await client.exportWireGuardConfig(null, nodeId, { interfaceName: 'erebrus-jobs' });
+    const [record] = await client.registry.list();
+    assert.strictEqual(record.interfaceName, 'erebrus-jobs');
+    assert.strictEqual(await client.registry.get('erebrus-jobs'), record);
+
+    await client.connectDvpn(null, nodeId, { interfaceName: 'erebrus-jobs' });
+    assert.strictEqual(created(), 1);
+    assert.strictEqual(runner.interfaces.get('erebrus-jobs').config.Interface.PrivateKey, record.privateKey);
+    assert.ok(exported.includes(`PrivateKey = ${record.privateKey}`));
+
+    await client.exportWireGuardConfig(null, nodeId, { interfaceName: 'erebrus-other' });
+    assert.strictEqual(created(), 2);
+  });
+
+  it('forgets an exported client when it is deleted', async () => {
+    await client.exportWireGuardConfig(null, nodeId);
+    const [record] = await client.registry.list();
+
+    assert.strictEqual(await client.deleteClient(null, record.clientId), true);
+    assert.deepStrictEqual(await client.registry.list(), []);
+  });
+
+  it('two tunnels to one node get their own clients and revoking one keeps the other', async () => {
+    await client.connectDvpn(null, nodeId, { interfaceName: 'erebrus-a' });
+    await client.connectDvpn(null, nodeId, { interfaceName: 'erebrus-b', defaultRoute: false });
+    assert.deepStrictEqual(runner.interfaces.get('erebrus-a').addresses, ['10.8.0.2/32']);
+    assert.deepStrictEqual(runner.interfaces.get('erebrus-b').addresses, ['10.8.0.3/32']);
+
+    await client.disconnectVPN({ interfaceName: 'erebrus-a' }, { revoke: true });
+    assert.deepStrictEqual((await client.registry.list()).map(record => record.interfaceName), ['erebrus-b']);
+    assert.strictEqual((await client.listClients()).length, 1);
+  });
+
+  it('replaces a client the gateway no longer lists', async () => {
+    await client.connectDvpn(null, nodeId);
+    await client.disconnect('erebrus-dvpn');
+    const [stale] = await client.listClients();
+
+    // Removed behind this client's back, so its registry still holds the record
+    const other = new ErebrusClient({ baseUrls: gateway.baseUrls, logger: false });
+    assert.strictEqual(await other.deleteClient(client.session.token, stale.UUID), true);
+
+    await client.connectDvpn(null, nodeId);
+    const [fresh] = await client.listClients();
+    assert.notStrictEqual(fresh.UUID, stale.UUID);
+    assert.strictEqual((await client.registry.get('erebrus-dvpn')).clientId, fresh.UUID);
+    assert.strictEqual(runner.interfaces.has('erebrus-dvpn'), true);
+  });
+});
+
+describe('createFileRegistry', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'erebrus-registry-'));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('persists records in a private JSON file', async () => {
+    const file = path.join(dir, 'state', 'clients.json');
+    const registry = createFileRegistry(file);
+
+    assert.strictEqual(await registry.get('erebrus-dvpn'), null);
+    await registry.set('erebrus-dvpn', { interfaceName: 'erebrus-dvpn', clientId: 'c1' });
+    assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+
+    const reopened = createFileRegistry(file);
+    assert.deepStrictEqual(await reopened.list(), [{ interfaceName: 'erebrus-dvpn', clientId: 'c1' }]);
+    await reopened.delete('erebrus-dvpn');
+    assert.deepStrictEqual(await registry.list(), []);
+  });
+});
@@ -0,0 +1,76 @@
+const assert = require('assert');
+const { detectDnsBackend, applyDns, restoreDns } = require('../src/resolver');
+const { createLogger } = require('../src/logger');
+const { createFakeRunner } = require('../testing');
+
+const logger = createLogger({ logger: false });
+
+describe('resolver', () => {
+  it('detects resolvectl, then resolvconf, then falls back to the file', async () => {
+    for (const backend of ['resolvectl', 'resolvconf', 'file']) {
+      assert.strictEqual(await detectDnsBackend({ logger, runner: createFakeRunner({ dnsBackend: backend }) }), backend);
+    }
+  });
+
+  it('scopes the servers to the interface with resolvectl and resolvconf', async () => {
+    const resolved = createFakeRunner({ dnsBackend: 'resolvectl' });
+    assert.strictEqual(await applyDns('erebrus-dvpn', ['1.1.1.1', '8.8.8.8'], {}, { logger, runner: resolved }), 'resolvectl');
+    assert.deepStrictEqual(resolved.commands.slice(1).map(entry => entry.command), [
+      'sudo resolvectl dns erebrus-dvpn 1.1.1.1 8.8.8.8',
+      "sudo resolvectl domain erebrus-dvpn '~.'"
+    ]);
+
+    const resolvconf = createFakeRunner({ dnsBackend: 'resolvconf' });
+    await applyDns('erebrus-dvpn', ['1.1.1.1'], { backend: 'resolvconf' }, { logger, runner: resolvconf });
+    assert.deepStrictEqual(resolvconf.commands.map(entry => [entry.command, entry.input]), [
+      ['sudo resolvconf -a erebrus-dvpn -m 0', 'nameserver 1.1.1.1\n']
+    ]);
+    assert.strictEqual(resolvconf.files.get('/etc/resolv.conf'), 'nameserver 192.168.1.1\n');
+  });
+
+  it('shares resolv.conf between tunnels and restores it after the last one', async () => {
+    const runner = createFakeRunner({ dnsBackend: 'file' });
+    const context = { logger, runner };
+    const resolvConf = () => runner.files.get('/etc/resolv.conf');
+
+    await applyDns('erebrus-a', ['1.1.1.1'], { backend: 'file' }, context);
+    await applyDns('erebrus-b', ['9.9.9.9', '1.1.1.1'], { backend: 'file' }, context);
+    assert.strictEqual(resolvConf(), '# Written by erebrus for erebrus-b, erebrus-a\nnameserver 9.9.9.9\nnameserver 1.1.1.1\n');
+    assert.strictEqual(runner.files.get('/etc/resolv.conf.erebrus-backup'), 'nameserver 192.168.1.1\n');
+
+    assert.strictEqual(await restoreDns('erebrus-b', {}, context), false);
+    assert.strictEqual(resolvConf(), '# Written by erebrus for erebrus-a\nnameserver 1.1.1.1\n');
+
+    assert.strictEqual(await restoreDns('erebrus-a', {}, context), true);
+    assert.strictEqual(resolvConf(), 'nameserver 192.168.1.1\n');
+    assert.deepStrictEqual([...runner.files.keys()].filter(file => file.includes('erebrus')), []);
+  });
+
+  it('keeps the first backup when applied twice, and restores one a crash left behind', async () => {
+    const runner = createFakeRunner({ dnsBackend: 'file' });
+    const context = { logger, runner };
+
+    await applyDns('erebrus-dvpn', ['1.1.1.1'], { backend: 'file' }, context);
+    await applyDns('erebrus-dvpn', ['8.8.8.8'], { backend: 'file' }, context);
+    assert.strictEqual(runner.files.get('/etc/resolv.conf.erebrus-backup'), 'nameserver 192.168.1.1\n');
+    assert.strictEqual(runner.files.get('/etc/resolv.conf'), '# Written by erebrus for erebrus-dvpn\nnameserver 8.8.8.8\n');
+
+    // A crash that lost the claim still leaves the backup to restore
+    runner.files.delete('/etc/resolv.conf.erebrus.d/erebrus-dvpn');
+    assert.strictEqual(await restoreDns('erebrus-dvpn', {}, context), true);
+    assert.strictEqual(runner.files.get('/etc/resolv.conf'), 'nameserver 192.168.1.1\n');
+    assert.strictEqual(await restoreDns('erebrus-dvpn', {}, context), false);
+  });
+
+  it('reports a failing backend as a TunnelSetupError', async () => {
+    const runner = createFakeRunner({
+      respond: entry => (entry.args[0] === 'dns' ? { code: 1, stderr: 'Failed to set DNS configuration: Link erebrus-dvpn not known\n' } : undefined)
+    });
+
+    await assert.rejects(applyDns('erebrus-dvpn', ['1.1.1.1'], { backend: 'resolvectl' }, { logger, runner }), {
+      name: 'TunnelSetupError',
+      message: /^Could not set DNS with resolvectl: /,
+      stderr: 'Failed to set DNS configuration: Link erebrus-dvpn not known\n'
+    });
+  });
+});
@@ -0,0 +1,201 @@
+const assert = require('assert');
+const { isRetryableStatus, wasNotProcessed, parseRetryAfter, backoffDelay } = require('../src/retry');
+const { ErebrusClient, GatewayError } = require('../src');
+const { startMockGateway } = require('../testing');
+
+/**
+ * Creates a fetch stand-in that plays back one reply per call
+ * @param {Array<object|Error>} replies - { status, headers, body } or an Error to reject with
+ * @return {Function} fetch, with the URLs it was called with in calls
+ */
+function scriptedFetch(replies) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, method: init.method || 'GET' });
+    const reply = replies[Math.min(calls.length, replies.length) - 1];
+    if (reply instanceof Error) {
+      throw reply;
+    }
+    const headers = reply.headers || {};
+    return {
+      ok: reply.status >= 200 && reply.status < 300,
+      status: reply.status,
+      headers: { get: name => (name.toLowerCase() in headers ? headers[name.toLowerCase()] : null) },
+      text: async () => JSON.stringify(reply.body || {})
+    };
+  };
+  fetch.calls = calls;
+  return fetch;
+}
+
+/**
+ * Creates a quiet client around a fetch stand-in
+ * @param {Function} fetch - fetch implementation
+ * @param {object} [retry] - Retry options
+ * @return {ErebrusClient} Client
+ */
+function createClient(fetch, retry = {}) {
+  return new ErebrusClient({
+    baseUrls: { nodes: 'http://gateway.test' },
+    fetch,
+    retry: { initialDelay: 1, maxDelay: 50, ...retry },
+    strict: true,
+    logger: false
+  });
+}
+
+describe('retry', () => {
+  it('isRetryableStatus retries rate limiting and server errors only', () => {
+    assert.deepStrictEqual([200, 400, 404, 429, 500, 503].map(isRetryableStatus), [false, false, false, true, true, true]);
+  });
+
+  it('wasNotProcessed only vouches for connections that were never made', () => {
+    const networkError = code => ({ error: new GatewayError('failed', { cause: Object.assign(new Error(code), { code }) }) });
+
+    assert.strictEqual(wasNotProcessed(networkError('ECONNREFUSED')), true);
+    assert.strictEqual(wasNotProcessed(networkError('ENOTFOUND')), true);
+    assert.strictEqual(wasNotProcessed(networkError('ECONNRESET')), false);
+    assert.strictEqual(wasNotProcessed({ status: 429 }), false);
+    assert.strictEqual(wasNotProcessed({ status: 503 }), false);
+    assert.strictEqual(wasNotProcessed({ status: 502 }), false);
+  });
+
+  it('parseRetryAfter reads seconds and HTTP dates', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+
+    assert.strictEqual(parseRetryAfter('2', now), 2000);
+    assert.strictEqual(parseRetryAfter(' 0 ', now), 0);
+    assert.strictEqual(parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT', now), 5000);
+    assert.strictEqual(parseRetryAfter('Sun, 31 Dec 2023 23:59:00 GMT', now), 0);
+    assert.strictEqual(parseRetryAfter('soon', now), null);
+    assert.strictEqual(parseRetryAfter(null, now), null);
+    assert.strictEqual(parseRetryAfter('', now), null);
+  });
+
+  it('backoffDelay grows exponentially up to maxDelay, with full jitter', () => {
+    const options = { initialDelay: 100, maxDelay: 1000, factor: 2 };
+
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempt => backoffDelay(attempt, options, () => 0.999999)), [100, 200, 400, 800, 1000]);
+    assert.strictEqual(backoffDelay(3, options, () => 0), 0);
+    assert.strictEqual(backoffDelay(3, options, () => 0.5), 200);
+  });
+
+  describe('send', () => {
+    it('retries a retryable status and honours Retry-After', async () => {
+      const fetch = scriptedFetch([
+        { status: 503, headers: { 'retry-after': '0' } },
+        { status: 429 },
+        { status: 200, body: { payload: [{ id: 'node-1', status: 'active' }] } }
+      ]);
+
+      const nodes = await createClient(fetch).fetchNodes('token');
+
+      assert.deepStrictEqual(nodes.map(node => node.id), ['node-1']);
+      assert.strictEqual(fetch.calls.length, 3);
+    });
+
+    it('gives up when Retry-After asks for longer than maxDelay', async () => {
+      const fetch = scriptedFetch([{ status: 503, headers: { 'retry-after': '120' } }]);
+
+      await assert.rejects(createClient(fetch).fetchNodes('token'), { name: 'GatewayError', status: 503 });
+      assert.strictEqual(fetch.calls.length, 1);
+    });
+
+    it('stops after the configured number of retries', async () => {
+      const fetch = scriptedFetch([{ status: 500 }]);
+
+      const response = await createClient(fetch, { retries: 2 }).send('nodes', '/nodes/all');
+
+      assert.strictEqual(response.status, 500);
+      assert.strictEqual(fetch.calls.length, 3);
+    });
+
+    it('repeats a POST only when the gateway cannot have processed it', async () => {
+      const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+      const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+      const retried = scriptedFetch([refused, { status: 200 }]);
+      assert.strictEqual((await createClient(retried).send('nodes', '/x', { method: 'POST' })).status, 200);
+      assert.strictEqual(retried.calls.length, 2);
+
+      const notRetried = scriptedFetch([reset, { status: 200 }]);
+      await assert.rejects(createClient(notRetried).send('nodes', '/x', { method: 'POST' }), { name: 'GatewayError', message: /socket hang up/ });
+      assert.strictEqual(notRetried.calls.length, 1);
+
+      const verified = scriptedFetch([reset, { status: 200 }]);
+      const response = await createClient(verified).send('nodes', '/x', { method: 'POST', verifyRetry: async () => true });
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(verified.calls.length, 2);
+    });
+
+    it('does not repeat a POST answered with 429 or 503 unless verifyRetry allows it', async () => {
+      for (const status of [429, 503]) {
+        const unverified = scriptedFetch([{ status, headers: { 'retry-after': '0' } }, { status: 200 }]);
+        assert.strictEqual((await createClient(unverified).send('nodes', '/x', { method: 'POST' })).status, status);
+        assert.strictEqual(unverified.calls.length, 1);
+
+        const vetoed = scriptedFetch([{ status }, { status: 200 }]);
+        assert.strictEqual((await createClient(vetoed).send('nodes', '/x', { method: 'POST', verifyRetry: async () => false })).status, status);
+        assert.strictEqual(vetoed.calls.length, 1);
+
+        const verified = scriptedFetch([{ status }, { status: 200 }]);
+        assert.strictEqual((await createClient(verified).send('nodes', '/x', { method: 'POST', verifyRetry: async () => true })).status, 200);
+        assert.strictEqual(verified.calls.length, 2);
+      }
+    });
+
+    it('retry: false sends every request once', async () => {
+      const fetch = scriptedFetch([{ status: 503 }, { status: 200 }]);
+      const client = new ErebrusClient({ baseUrls: { nodes: 'http://gateway.test' }, fetch, retry: false, logger: false });
+
+      assert.strictEqual((await client.send('nodes', '/nodes/all')).status, 503);
+      assert.strictEqual(fetch.calls.length, 1);
+    });
+  });
+
+  describe('against the mock gateway', () => {
+    let gateway;
+    let client;
+
+    const count = endpoint => gateway.requests.filter(request => request.endpoint === endpoint).length;
+
+    beforeEach(async () => {
+      gateway = await startMockGateway({ nodes: 1 });
+      client = new ErebrusClient({ baseUrls: gateway.baseUrls, retry: { initialDelay: 1, maxDelay: 50 }, strict: true, logger: false });
+      const token = gateway.issueToken(gateway.createOrganization().id);
+      await client.createSession({ getToken: async () => token });
+    });
+
+    afterEach(() => gateway.stop());
+
+    it('a request retried after Retry-After reaches the gateway twice', async () => {
+      gateway.inject('GET /nodes/all', { status: 503, headers: { 'Retry-After': '0' }, times: 1 });
+
+      assert.strictEqual((await client.fetchNodes(null)).length, 1);
+      assert.strictEqual(count('GET /nodes/all'), 2);
+    });
+
+    it('createClient removes the client a POST answered with 503 created before repeating it', async () => {
+      // The mock gateway registers the client, then answers with the injected 503
+      gateway.inject('POST /erebrus/client/:nodeId', { status: 503, headers: { 'Retry-After': '0' }, times: 1 });
+
+      const created = await client.createClient(null, gateway.nodes[0].id);
+      assert.ok(created.privateKey);
+      assert.deepStrictEqual(gateway.requests.map(request => request.endpoint).filter(endpoint => endpoint !== 'GET /organisation/token'), [
+        'POST /erebrus/client/:nodeId',
+        'GET /erebrus/clients',
+        'DELETE /erebrus/client/:clientId',
+        'POST /erebrus/client/:nodeId'
+      ]);
+      assert.strictEqual((await client.listClients(null)).length, 1);
+    });
+
+    it('createClient does not repeat the POST when the check fails', async () => {
+      gateway.inject('POST /erebrus/client/:nodeId', { status: 503, times: 1 });
+      gateway.inject('GET /erebrus/clients', { status: 400, body: { message: 'bad request' }, times: 1 });
+
+      await assert.rejects(client.createClient(null, gateway.nodes[0].id), { name: 'GatewayError', status: 503 });
+      assert.strictEqual(count('POST /erebrus/client/:nodeId'), 1);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const assert = require('assert');
+const { ROUTING_TABLE_BASE, routingTableFor, renderPolicyRules, applyPolicyRouting, removePolicyRouting } = require('../src/routing');
+const { createLogger } = require('../src/logger');
+const { ErebrusClient } = require('../src');
+const { startMockGateway, createFakeRunner } = require('../testing');
+
+const logger = createLogger({ logger: false });
+const commandsOf = rules => rules.map(({ file, args }) => `${file} ${args.join(' ')}`);
+
+describe('routing', () => {
+  it('routingTableFor gives each interface a stable table in range', () => {
+    const table = routingTableFor('erebrus-dvpn');
+    assert.strictEqual(routingTableFor('erebrus-dvpn'), table);
+    assert.notStrictEqual(routingTableFor('erebrus-work'), table);
+    for (const name of ['a', 'erebrus-dvpn', 'wg0', 'x'.repeat(15)]) {
+      const number = routingTableFor(name);
+      assert.ok(number >= ROUTING_TABLE_BASE && number < ROUTING_TABLE_BASE + 1000, `${name}: ${number}`);
+    }
+  });
+
+  describe('renderPolicyRules', () => {
+    it('routes the tunnel addresses, marked traffic and everything unclaimed for each IP version', () => {
+      const rules = renderPolicyRules({
+        table: 51821,
+        addresses: ['10.8.0.2/32', 'fd00::2/128'],
+        routes: ['0.0.0.0/0', '::/0'],
+        fwmark: 7
+      });
+
+      assert.deepStrictEqual(commandsOf(rules), [
+        'ip -4 rule add from 10.8.0.2 lookup 51821 priority 20001',
+        'ip -4 rule add fwmark 7 lookup 51821 priority 20001',
+        'ip -4 rule add lookup main suppress_prefixlength 0 priority 25002',
+        'ip -4 rule add not fwmark 51821 lookup 51821 priority 25003',
+        'ip -6 rule add from fd00::2 lookup 51821 priority 20001',
+        'ip -6 rule add fwmark 7 lookup 51821 priority 20001',
+        'ip -6 rule add lookup main suppress_prefixlength 0 priority 25002',
+        'ip -6 rule add not fwmark 51821 lookup 51821 priority 25003'
+      ]);
+    });
+
+    it('skips IP versions the routes do not cover and the default route when turned off', () => {
+      const rules = renderPolicyRules({
+        table: ROUTING_TABLE_BASE,
+        addresses: ['10.8.0.2/32', 'fd00::2/128'],
+        routes: ['10.0.0.0/8'],
+        defaultRoute: false
+      });
+
+      assert.deepStrictEqual(commandsOf(rules), ['ip -4 rule add from 10.8.0.2 lookup 51820 priority 20000']);
+      assert.deepStrictEqual(renderPolicyRules({ table: ROUTING_TABLE_BASE, addresses: ['10.8.0.2'], routes: [] }), []);
+    });
+
+    it('keeps the selector rules of every tunnel ahead of any default-route rule', () => {
+      const priorities = table => renderPolicyRules({ table, addresses: ['10.8.0.2'], routes: ['0.0.0.0/0'] })
+        .map(({ args }) => Number(args[args.length - 1]));
+      const [selector] = priorities(ROUTING_TABLE_BASE + 999);
+      const [, suppress, fallback] = priorities(ROUTING_TABLE_BASE);
+
+      assert.ok(selector < suppress && suppress < fallback && fallback < 32766);
+    });
+
+    it('rejects tables outside the tunnel range', () => {
+      for (const table of [ROUTING_TABLE_BASE - 1, ROUTING_TABLE_BASE + 1000, 51820.5, 'main']) {
+        assert.throws(() => renderPolicyRules({ table, routes: ['0.0.0.0/0'] }), { name: 'ConfigError' }, String(table));
+      }
+    });
+  });
+
+  describe('applyPolicyRouting', () => {
+    const spec = { table: 51822, addresses: ['10.8.0.2/32'], routes: ['0.0.0.0/0'], fwmark: 51822 };
+
+    it('replaces the previous rules of the table and removes them again', async () => {
+      const runner = createFakeRunner();
+      const context = { logger, runner };
+
+      await applyPolicyRouting(spec, context);
+      await applyPolicyRouting(spec, context);
+      assert.strictEqual(runner.rules.length, 4);
+
+      assert.strictEqual(await removePolicyRouting(spec.table, context), 4);
+      assert.strictEqual(runner.rules.length, 0);
+      assert.strictEqual(await removePolicyRouting(spec.table, context), 0);
+    });
+
+    it('removes the rules it added when one cannot be added', async () => {
+      const runner = createFakeRunner({
+        respond: entry => (entry.args.includes('suppress_prefixlength') && entry.args.includes('add')
+          ? { code: 2, stderr: 'RTNETLINK answers: Operation not supported\n' }
+          : undefined)
+      });
+
+      await assert.rejects(applyPolicyRouting(spec, { logger, runner }), {
+        name: 'TunnelSetupError',
+        message: /^Could not add routing rules: /,
+        stderr: 'RTNETLINK answers: Operation not supported\n'
+      });
+      assert.strictEqual(runner.rules.length, 0);
+    });
+  });
+
+  describe('two tunnels', () => {
+    let gateway;
+
+    afterEach(() => gateway.stop());
+
+    it('gives each tunnel its own table and rules, and removes only the disconnected one\'s', async () => {
+      gateway = await startMockGateway({ nodes: 2 });
+      const runner = createFakeRunner();
+      const client = new ErebrusClient({ baseUrls: gateway.baseUrls, runner, strict: true, logger: false });
+      const token = gateway.issueToken(gateway.createOrganization().id);
+      await client.createSession({ getToken: async () => token });
+      const tablesInUse = () => [...new Set(runner.rules.map(rule => Number(rule.args[rule.args.indexOf('lookup') + 1])))]
+        .filter(Number.isInteger)
+        .sort((x, y) => x - y);
+
+      await client.connectDvpn(null, gateway.nodes[0].id, { interfaceName: 'erebrus-a' });
+      await client.connectDvpn(null, gateway.nodes[1].id, { interfaceName: 'erebrus-b', defaultRoute: false });
+      const [a, b] = [routingTableFor('erebrus-a'), routingTableFor('erebrus-b')];
+      assert.deepStrictEqual(tablesInUse(), [a, b].sort((x, y) => x - y));
+      assert.ok(!runner.rules.some(rule => rule.args.includes('not') && rule.args.includes(String(b))));
+
+      await client.disconnectVPN({ interfaceName: 'erebrus-a' });
+      assert.deepStrictEqual(tablesInUse(), [b]);
+      assert.ok(runner.interfaces.has('erebrus-b'));
+    });
+  });
+});
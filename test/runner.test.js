@@ -0,0 +1,128 @@
+const assert = require('assert');
+const fs = require('fs');
+const { formatCommand, createCommandRunner, createDryRunRunner, fileSystemOf } = require('../src/runner');
+const { ErebrusClient } = require('../src');
+const { startMockGateway, createFakeRunner } = require('../testing');
+
+describe('formatCommand', () => {
+  it('quotes only the arguments a shell would treat specially', () => {
+    assert.strictEqual(formatCommand('ip', ['-4', 'route', 'add', '0.0.0.0/0', 'dev', 'erebrus-dvpn']), 'ip -4 route add 0.0.0.0/0 dev erebrus-dvpn');
+    assert.strictEqual(formatCommand('resolvectl', ['domain', 'wg0', '~.']), "resolvectl domain wg0 '~.'");
+    assert.strictEqual(formatCommand('echo', ["it's $(id)"]), "echo 'it'\\''s $(id)'");
+  });
+});
+
+describe('createCommandRunner', () => {
+  const runner = createCommandRunner({ sudo: false });
+  const node = process.execPath;
+
+  it('passes arguments without a shell and pipes input to stdin', async () => {
+    const echo = await runner.run(node, ['-e', 'process.stdout.write(process.argv[1])', '$(id) `id` ; id']);
+    assert.deepStrictEqual(echo, { code: 0, stdout: '$(id) `id` ; id', stderr: '' });
+
+    const { stdout } = await runner.run(node, ['-e', 'process.stdin.pipe(process.stdout)'], { input: 'PrivateKey = x\n' });
+    assert.strictEqual(stdout, 'PrivateKey = x\n');
+  });
+
+  it('rejects with a CommandError for a non-zero exit or a missing executable', async () => {
+    await assert.rejects(runner.run(node, ['-e', 'process.stderr.write("boom"); process.exit(3)']), {
+      name: 'CommandError',
+      code: 3,
+      stderr: 'boom'
+    });
+    await assert.rejects(runner.run('erebrus-no-such-command'), { name: 'CommandError', code: 'ENOENT', message: /^Could not run erebrus-no-such-command/ });
+  });
+
+  it('runs privileged commands directly with sudo: false', async () => {
+    const child = runner.spawn(node, ['-e', 'process.exit(process.argv.length)', 'a'], { sudo: true });
+    const code = await new Promise(resolve => child.on('close', resolve));
+    assert.strictEqual(code, 2);
+  });
+});
+
+describe('createDryRunRunner', () => {
+  it('records the plan, with sudo on privileged commands', async () => {
+    const runner = createDryRunRunner();
+    await runner.run('wg', ['--version']);
+    await runner.run('wg', ['setconf', 'wg0', '/dev/stdin'], { sudo: true, input: '[Interface]\n' });
+
+    assert.deepStrictEqual(runner.commands, [
+      { file: 'wg', args: ['--version'], sudo: false, command: 'wg --version' },
+      { file: 'wg', args: ['setconf', 'wg0', '/dev/stdin'], sudo: true, command: 'sudo wg setconf wg0 /dev/stdin', input: '[Interface]\n' }
+    ]);
+  });
+
+  it('simulates output and failures with respond', async () => {
+    const runner = createDryRunRunner({
+      sudo: false,
+      respond: entry => (entry.file === 'nft' ? { code: 127, stderr: 'nft: not found' } : { stdout: 'ok' })
+    });
+
+    assert.deepStrictEqual(await runner.run('wg', ['show'], { sudo: true }), { code: 0, stdout: 'ok', stderr: '' });
+    assert.strictEqual(runner.commands[0].command, 'wg show');
+    await assert.rejects(runner.run('nft', ['--version']), { name: 'CommandError', code: 127, stderr: 'nft: not found' });
+  });
+
+  it('plans a whole connection without running anything', async () => {
+    const gateway = await startMockGateway({ nodes: 1 });
+    try {
+      const runner = createDryRunRunner({ fs: createFakeRunner().fs });
+      const client = new ErebrusClient({ baseUrls: gateway.baseUrls, runner, strict: true, logger: false });
+      const token = gateway.issueToken(gateway.createOrganization().id);
+
+      assert.strictEqual(await client.connectDvpn(token, gateway.nodes[0].id, { configDir: '/etc/erebrus' }), true);
+      const plan = runner.commands.map(entry => entry.command);
+      const order = [
+        'wg --version',
+        'sudo wg-quick down erebrus-dvpn',
+        'sudo wg-quick up /etc/erebrus/erebrus-dvpn.conf',
+        'sudo ip -4 rule add not fwmark 52436 lookup 52436 priority 26233',
+        'sudo resolvectl dns erebrus-dvpn 1.1.1.1 8.8.8.8'
+      ].map(command => plan.indexOf(command));
+      assert.ok(order.every((index, position) => index !== -1 && (position === 0 || index > order[position - 1])), plan.join('\n'));
+      assert.ok(runner.commands.every(entry => !/^(sh|bash)$/.test(entry.file)));
+    } finally {
+      await gateway.stop();
+    }
+  });
+
+  it('fails a command whose respond handler throws or rejects', async () => {
+    const runner = createDryRunRunner({
+      respond: entry => {
+        if (entry.file === 'sync') {
+          throw new Error('respond broke');
+        }
+        return Promise.reject(new Error('respond rejected'));
+      }
+    });
+
+    await assert.rejects(runner.run('sync'), { name: 'CommandError', code: 1, stderr: 'respond broke\n' });
+    await assert.rejects(runner.run('async'), { name: 'CommandError', code: 1, stderr: 'respond rejected\n' });
+  });
+
+  it('exits a spawned stand-in with a failure when respond rejects', async () => {
+    const runner = createDryRunRunner({ respond: () => Promise.reject(new Error('respond rejected')) });
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+
+    try {
+      const child = runner.spawn('iperf3', ['-c', '10.0.0.1']);
+      const [code] = await new Promise(resolve => child.on('exit', (...args) => resolve(args)));
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.strictEqual(code, 1);
+      assert.strictEqual(child.exitCode, 1);
+      assert.deepStrictEqual(unhandled, []);
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandled);
+    }
+  });
+
+  it('hands its fs to the SDK, and the host file system without one', () => {
+    const files = { readFile: async () => '' };
+
+    assert.strictEqual(fileSystemOf(createDryRunRunner({ fs: files })), files);
+    assert.strictEqual(fileSystemOf(createDryRunRunner()), fs.promises);
+  });
+});
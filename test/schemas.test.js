@@ -0,0 +1,94 @@
+const assert = require('assert');
+const { RESPONSE_SCHEMAS, checkSchema, validateResponse } = require('../src/schemas');
+const { ErebrusClient, ResponseValidationError } = require('../src');
+const { startMockGateway, createFakeRunner } = require('../testing');
+
+const SERVER_KEY = 'xTIBA5rboUvnH4htodjb6e697QjLERt1NAB4mZqp8Dg=';
+
+describe('schemas', () => {
+  it('checkSchema accepts well-formed gateway responses', () => {
+    assert.deepStrictEqual(checkSchema({ payload: [{ id: 'node-1', status: 'active', extra: true }] }, RESPONSE_SCHEMAS.nodes), []);
+    assert.deepStrictEqual(checkSchema({}, RESPONSE_SCHEMAS.clients), []);
+    assert.deepStrictEqual(checkSchema({
+      payload: { client: { Address: ['10.8.0.2/32'] }, endpoint: 'node.example.com', serverPublicKey: SERVER_KEY }
+    }, RESPONSE_SCHEMAS.client), []);
+  });
+
+  it('checkSchema names every field that does not match', () => {
+    assert.deepStrictEqual(checkSchema({ payload: [{ status: 'active' }, { id: 5 }] }, RESPONSE_SCHEMAS.nodes), [
+      { field: 'payload[0].id', message: 'payload[0].id is missing' },
+      { field: 'payload[1].id', message: 'payload[1].id must be a non-empty string, got 5' }
+    ]);
+    assert.deepStrictEqual(checkSchema({ payload: null }, RESPONSE_SCHEMAS.nodes), [
+      { field: 'payload', message: 'payload must be an array, got null' }
+    ]);
+    assert.deepStrictEqual(checkSchema({
+      payload: { client: { Address: ['x'], PresharedKey: 'bad' }, endpoint: 'node.example.com', serverPublicKey: 'nope' }
+    }, RESPONSE_SCHEMAS.client).map(problem => problem.field), [
+      'payload.client.Address',
+      'payload.client.PresharedKey',
+      'payload.serverPublicKey'
+    ]);
+  });
+
+  it('validateResponse throws a ResponseValidationError with the endpoint and problems', () => {
+    assert.throws(() => validateResponse('x', RESPONSE_SCHEMAS.token, { endpoint: 'GET /organisation/token', status: 200 }), error => {
+      assert.ok(error instanceof ResponseValidationError);
+      assert.strictEqual(error.message, 'GET /organisation/token returned an unexpected response: body must be an object, got "x"');
+      assert.strictEqual(error.endpoint, 'GET /organisation/token');
+      assert.strictEqual(error.field, 'body');
+      assert.deepStrictEqual(error.problems, ['body must be an object, got "x"']);
+      return true;
+    });
+  });
+
+  describe('ErebrusClient', () => {
+    let gateway;
+    let runner;
+    let client;
+
+    beforeEach(async () => {
+      gateway = await startMockGateway();
+      runner = createFakeRunner();
+      client = new ErebrusClient({ baseUrls: gateway.baseUrls, runner, strict: true, logger: false });
+      const token = gateway.issueToken(gateway.createOrganization().id);
+      await client.createSession({ getToken: async () => token });
+    });
+
+    afterEach(() => gateway.stop());
+
+    it('rejects a malformed gateway response', async () => {
+      gateway.inject('GET /nodes/all', { transform: body => ({ ...body, payload: body.payload.map(({ id, ...node }) => node) }), times: 1 });
+      await assert.rejects(client.fetchNodes(null), {
+        name: 'ResponseValidationError',
+        endpoint: 'GET /nodes/all',
+        field: 'payload[0].id'
+      });
+
+      assert.strictEqual((await client.fetchNodes(null)).length, 3);
+    });
+
+    it('rejects a created client without addresses before writing a config', async () => {
+      gateway.inject('POST /erebrus/client/:nodeId', {
+        transform: body => ({ ...body, payload: { ...body.payload, client: { ...body.payload.client, Address: [] } } })
+      });
+
+      await assert.rejects(client.connectDvpn(null, gateway.nodes[0].id), {
+        name: 'ResponseValidationError',
+        endpoint: 'POST /erebrus/client/:nodeId',
+        field: 'payload.client.Address'
+      });
+      assert.strictEqual(runner.interfaces.size, 0);
+    });
+
+    it('createWireGuardConfig raises a ConfigError for malformed client data', async () => {
+      const clientData = { payload: { client: { Address: ['10.8.0.2/32'] }, endpoint: 'node.example.com', serverPublicKey: 'nope' } };
+
+      await assert.rejects(client.createWireGuardConfig(clientData, { configDir: '/etc/erebrus' }), {
+        name: 'ConfigError',
+        problems: ['clientData.payload.serverPublicKey must be a base64 WireGuard key, got "nope"']
+      });
+      assert.deepStrictEqual([...runner.files.keys()].filter(file => file.startsWith('/etc/erebrus')), []);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const assert = require('assert');
+const net = require('net');
+const { nodeAddress, tcpProbe, rankNodes, selectBestNode } = require('../src/selection');
+const { createLogger } = require('../src/logger');
+
+const logger = createLogger({ logger: false });
+
+/**
+ * Probe answering from a table of latencies; nodes missing from it are unreachable
+ * @param {object} latencies - Map of node ID to latency in milliseconds
+ * @return {Function} Probe for rankNodes
+ */
+const fakeProbe = latencies => async node => {
+  if (latencies[node.id] === undefined) {
+    throw new Error('connect ETIMEDOUT');
+  }
+  return latencies[node.id];
+};
+
+const NODES = [
+  { id: 'a', region: 'SG' },
+  { id: 'b', region: 'US' },
+  { id: 'c', region: 'SG' },
+  { id: 'd', ipinforegion: 'DE' },
+  { id: 'e', region: 'US' }
+];
+
+describe('selection', () => {
+  it('ranks reachable nodes by latency, with the measurements', async () => {
+    const ranked = await rankNodes(NODES, { probe: fakeProbe({ a: 80, b: 12.5, c: 40, d: 200, e: 3 }), logger });
+
+    assert.deepStrictEqual(ranked.map(entry => entry.node.id), ['e', 'b', 'c', 'a', 'd']);
+    assert.deepStrictEqual(ranked[0], { node: NODES[4], reachable: true, latency: 3, preferred: false, error: null });
+  });
+
+  it('puts unreachable nodes last, in their input order', async () => {
+    const ranked = await rankNodes(NODES, { probe: fakeProbe({ c: 40 }), logger });
+
+    assert.deepStrictEqual(ranked.map(entry => entry.node.id), ['c', 'a', 'b', 'd', 'e']);
+    assert.deepStrictEqual(ranked.slice(1).map(entry => [entry.reachable, entry.latency, entry.error]), [
+      [false, null, 'connect ETIMEDOUT'],
+      [false, null, 'connect ETIMEDOUT'],
+      [false, null, 'connect ETIMEDOUT'],
+      [false, null, 'connect ETIMEDOUT']
+    ]);
+  });
+
+  it('ranks preferred nodes first only when they are reachable', async () => {
+    const probe = fakeProbe({ a: 80, b: 12, e: 3 });
+    const ranked = await rankNodes(NODES, { probe, prefer: ['a', 'd'], logger });
+
+    assert.deepStrictEqual(ranked.map(entry => entry.node.id), ['a', 'e', 'b', 'd', 'c']);
+  });
+
+  it('filters by metadata, predicate and exclusions before probing', async () => {
+    const probed = [];
+    const probe = async (node, options) => {
+      probed.push([node.id, options.timeout]);
+      return 1;
+    };
+    const ranked = await rankNodes(NODES, { filter: { region: ['sg', 'de'] }, exclude: ['c'], match: node => node.id !== 'z', probe, timeout: 500, logger });
+
+    assert.deepStrictEqual(ranked.map(entry => entry.node.id), ['a', 'd']);
+    assert.deepStrictEqual(probed, [['a', 500], ['d', 500]]);
+  });
+
+  it('treats a probe without a finite latency as a failure, and selects nothing when no node answers', async () => {
+    const ranked = await rankNodes([{ id: 'a' }], { probe: async () => Infinity, logger });
+    assert.strictEqual(ranked[0].error, 'Probe returned no latency');
+
+    assert.strictEqual(await selectBestNode(NODES, { probe: fakeProbe({}), logger }), null);
+    assert.strictEqual(await selectBestNode(NODES, { probe: fakeProbe({ b: 9, d: 4 }), logger }), NODES[3]);
+  });
+
+  describe('tcpProbe', () => {
+    let server;
+
+    beforeEach(done => {
+      server = net.createServer(socket => socket.destroy());
+      server.listen(0, '127.0.0.1', done);
+    });
+
+    afterEach(done => server.close(done));
+
+    it('connects to the API port, not the WireGuard port', async () => {
+      const { port } = server.address();
+      const node = { id: 'a', ip: '127.0.0.1', httpPort: String(port), endpoint: '127.0.0.1:51820' };
+
+      const accepted = new Promise(resolve => server.once('connection', resolve));
+
+      assert.deepStrictEqual(nodeAddress(node), { host: '127.0.0.1', port });
+      assert.ok(await tcpProbe(node, { timeout: 1000 }) >= 0);
+      await accepted;
+    });
+
+    it('rejects when nothing listens or the node has no address', async () => {
+      const closed = net.createServer();
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+      const { port } = closed.address();
+      await new Promise(resolve => closed.close(resolve));
+
+      await assert.rejects(tcpProbe({ id: 'a', ip: '127.0.0.1', httpPort: port }), { code: 'ECONNREFUSED' });
+      await assert.rejects(tcpProbe({ id: 'b' }), { message: 'Node b has no address to probe' });
+    });
+  });
+
+  it('nodeAddress falls back to the domain and its scheme', () => {
+    assert.deepStrictEqual(nodeAddress({ domain: 'https://node.example:8443/api' }), { host: 'node.example', port: 8443 });
+    assert.deepStrictEqual(nodeAddress({ domain: 'http://node.example' }), { host: 'node.example', port: 80 });
+    assert.deepStrictEqual(nodeAddress({ domain: '[2001:db8::7]', httpPort: 9080 }), { host: '2001:db8::7', port: 9080 });
+    assert.deepStrictEqual(nodeAddress({}), { host: null, port: 443 });
+  });
+});
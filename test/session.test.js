@@ -0,0 +1,126 @@
+const assert = require('assert');
+const { tokenExpiry, AuthSession } = require('../src/session');
+const { createLogger } = require('../src/logger');
+const { ErebrusClient } = require('../src');
+const { startMockGateway } = require('../testing');
+
+const base64url = buffer => buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+const encode = value => base64url(Buffer.from(JSON.stringify(value)));
+
+describe('session', () => {
+  describe('tokenExpiry', () => {
+    it('reads exp from JWTs and public PASETO tokens', () => {
+      assert.deepStrictEqual(tokenExpiry(`${encode({ alg: 'HS256' })}.${encode({ exp: 1700000000 })}.c2ln`), new Date(1700000000 * 1000));
+
+      const message = Buffer.from(JSON.stringify({ exp: '2030-01-02T03:04:05Z' }));
+      const paseto = `v4.public.${base64url(Buffer.concat([message, Buffer.alloc(64)]))}`;
+      assert.deepStrictEqual(tokenExpiry(paseto), new Date('2030-01-02T03:04:05Z'));
+    });
+
+    it('returns null for tokens without a readable expiry', () => {
+      assert.strictEqual(tokenExpiry(`${encode({ alg: 'HS256' })}.${encode({ sub: 'org' })}.c2ln`), null);
+      assert.strictEqual(tokenExpiry('a.%%%.c'), null);
+      assert.strictEqual(tokenExpiry('opaque-token'), null);
+      assert.strictEqual(tokenExpiry(null), null);
+    });
+  });
+
+  describe('AuthSession', () => {
+    const client = { logger: createLogger({ logger: false }) };
+
+    /**
+     * Session whose getToken hands out JWTs expiring an hour after the fake clock
+     * @return {object} { session, clock, issued }, where clock.now can be moved forward
+     */
+    function createTestSession() {
+      const clock = { now: 0 };
+      const issued = [];
+      const getToken = async () => {
+        const token = `${encode({ alg: 'none' })}.${encode({ exp: clock.now / 1000 + 3600, n: issued.length })}.x`;
+        issued.push(token);
+        return token;
+      };
+      const session = new AuthSession({ client, credentials: { getToken }, now: () => clock.now });
+      return { session, clock, issued };
+    }
+
+    it('renews the token once it is within the refresh margin of its expiry', async () => {
+      const { session, clock, issued } = createTestSession();
+
+      const first = await session.getToken();
+      clock.now = 3539 * 1000;
+      assert.strictEqual(await session.getToken(), first);
+      clock.now = 3540 * 1000;
+      assert.notStrictEqual(await session.getToken(), first);
+      assert.strictEqual(issued.length, 2);
+    });
+
+    it('shares one renewal between concurrent callers', async () => {
+      const { session, issued } = createTestSession();
+
+      const tokens = await Promise.all([session.getToken(), session.getToken(), session.refresh()]);
+      assert.strictEqual(new Set(tokens).size, 1);
+      assert.strictEqual(issued.length, 1);
+    });
+
+    it('needs a credential and fails when none yields a token', async () => {
+      assert.throws(() => new AuthSession({ client, credentials: {} }), { name: 'AuthenticationError' });
+
+      const session = new AuthSession({ client, credentials: { getToken: async () => null } });
+      await assert.rejects(session.getToken(), { name: 'AuthenticationError', message: 'Could not obtain an authentication token' });
+    });
+  });
+
+  describe('ErebrusClient sessions', () => {
+    let gateway;
+    let client;
+
+    const count = endpoint => gateway.requests.filter(request => request.endpoint === endpoint).length;
+
+    beforeEach(async () => {
+      gateway = await startMockGateway();
+      client = new ErebrusClient({ baseUrls: gateway.baseUrls, strict: true, logger: false });
+      const { api_key: apiKey } = await client.createOrganization();
+      await client.createSession({ apiKey });
+    });
+
+    afterEach(() => gateway.stop());
+
+    it('sends the session token and renews it after a 401, retrying the request once', async () => {
+      const first = client.session.token;
+      gateway.inject('GET /nodes/all', { status: 401, body: { status: 401, message: 'Token expired' }, times: 1 });
+
+      assert.strictEqual((await client.fetchNodes(null)).length, 3);
+      assert.strictEqual(count('GET /nodes/all'), 2);
+      assert.strictEqual(count('GET /organisation/token'), 2);
+      assert.notStrictEqual(client.session.token, first);
+      assert.strictEqual(gateway.requests[gateway.requests.length - 1].headers.authorization, `Bearer ${client.session.token}`);
+    });
+
+    it('does not retry a second 401', async () => {
+      gateway.inject('GET /nodes/all', { status: 401, body: { status: 401, message: 'Forbidden' } });
+
+      await assert.rejects(client.fetchNodes(null), { status: 401 });
+      assert.strictEqual(count('GET /nodes/all'), 2);
+    });
+
+    it('leaves a 401 alone for an explicitly passed token', async () => {
+      gateway.inject('GET /nodes/all', { status: 401, body: { status: 401, message: 'Token expired' }, times: 1 });
+
+      await assert.rejects(client.fetchNodes(client.session.token), { status: 401 });
+      assert.strictEqual(count('GET /nodes/all'), 1);
+      assert.strictEqual(count('GET /organisation/token'), 1);
+    });
+
+    it('renews a short-lived token ahead of its expiry', async () => {
+      await gateway.stop();
+      gateway = await startMockGateway({ tokenTtl: 30 });
+      client = new ErebrusClient({ baseUrls: gateway.baseUrls, strict: true, logger: false });
+      const { api_key: apiKey } = await client.createOrganization();
+      await client.createSession({ apiKey });
+
+      await client.fetchNodes(null);
+      assert.strictEqual(count('GET /organisation/token'), 2);
+    });
+  });
+});
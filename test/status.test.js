@@ -0,0 +1,107 @@
+const assert = require('assert');
+const { parseWireGuardDump, parseIpAddr, buildConnectionStatus, getConnectionStatus } = require('../src/status');
+const { createDryRunRunner } = require('../src/runner');
+const { createLogger } = require('../src/logger');
+
+const DUMP = [
+  'cHJpdmF0ZQ==\tc2VydmVy\t51820\toff',
+  'cGVlcg==\t(none)\t203.0.113.7:51820\t0.0.0.0/0,::/0\t1700000000\t1024\t2048\t25'
+].join('\n');
+
+describe('status', () => {
+  it('parseWireGuardDump reads the interface and its peers without the private key', () => {
+    const parsed = parseWireGuardDump(`${DUMP}\n`);
+
+    assert.deepStrictEqual(parsed, {
+      publicKey: 'c2VydmVy',
+      listenPort: 51820,
+      fwmark: null,
+      peers: [{
+        publicKey: 'cGVlcg==',
+        endpoint: '203.0.113.7:51820',
+        allowedIPs: ['0.0.0.0/0', '::/0'],
+        latestHandshake: new Date(1700000000 * 1000),
+        rxBytes: 1024,
+        txBytes: 2048,
+        persistentKeepalive: 25
+      }]
+    });
+    assert.doesNotMatch(JSON.stringify(parsed), /cHJpdmF0ZQ==/);
+  });
+
+  it('parseWireGuardDump handles `wg show all dump` and peers that never connected', () => {
+    const parsed = parseWireGuardDump([
+      'erebrus-dvpn\tcHJpdmF0ZQ==\tc2VydmVy\t0\t0x2a',
+      'erebrus-dvpn\tcGVlcg==\t(none)\t(none)\t(none)\t0\t0\t0\toff'
+    ].join('\r\n'));
+
+    assert.strictEqual(parsed.listenPort, null);
+    assert.strictEqual(parsed.fwmark, '0x2a');
+    assert.deepStrictEqual(parsed.peers[0], {
+      publicKey: 'cGVlcg==',
+      endpoint: null,
+      allowedIPs: [],
+      latestHandshake: null,
+      rxBytes: 0,
+      txBytes: 0,
+      persistentKeepalive: null
+    });
+  });
+
+  it('parseWireGuardDump returns null for empty output', () => {
+    assert.strictEqual(parseWireGuardDump(''), null);
+    assert.strictEqual(parseWireGuardDump('\n\n'), null);
+  });
+
+  it('parseIpAddr reads flags, MTU and addresses', () => {
+    const parsed = parseIpAddr([
+      '12: erebrus-dvpn: <POINTOPOINT,NOARP,UP,LOWER_UP> mtu 1420 qdisc noqueue state UNKNOWN group default qlen 1000',
+      '    link/none ',
+      '    inet 10.8.0.2/32 scope global erebrus-dvpn',
+      '       valid_lft forever preferred_lft forever',
+      '    inet6 fd00::2/128 scope global ',
+      '       valid_lft forever preferred_lft forever'
+    ].join('\n'));
+
+    assert.deepStrictEqual(parsed, { up: true, mtu: 1420, addresses: ['10.8.0.2/32', 'fd00::2/128'] });
+  });
+
+  it('parseIpAddr reports a down link and returns null without a header', () => {
+    assert.deepStrictEqual(parseIpAddr('3: wg0: <POINTOPOINT,NOARP> mtu 1420 qdisc noop state DOWN'), { up: false, mtu: 1420, addresses: [] });
+    assert.strictEqual(parseIpAddr('Device "wg0" does not exist.'), null);
+  });
+
+  it('buildConnectionStatus judges the handshake age', () => {
+    const wireguard = parseWireGuardDump(DUMP);
+    const link = { up: true, mtu: 1420, addresses: ['10.8.0.2/32'] };
+
+    const fresh = buildConnectionStatus('erebrus-dvpn', wireguard, link, new Date((1700000000 + 30) * 1000));
+    assert.strictEqual(fresh.connected, true);
+    assert.strictEqual(fresh.state, 'up');
+    assert.strictEqual(fresh.peer.handshakeAge, 30);
+
+    const stale = buildConnectionStatus('erebrus-dvpn', wireguard, link, new Date((1700000000 + 600) * 1000));
+    assert.strictEqual(stale.connected, false);
+    assert.strictEqual(stale.reason, 'Last handshake was 600s ago');
+
+    assert.strictEqual(buildConnectionStatus('erebrus-dvpn', null, null).state, 'missing');
+  });
+
+  it('getConnectionStatus reads wg and ip output, and reports a missing interface', async () => {
+    const logger = createLogger({ logger: false });
+    const link = '12: erebrus-dvpn: <POINTOPOINT,NOARP,UP,LOWER_UP> mtu 1420 qdisc noqueue state UNKNOWN\n    inet 10.8.0.2/32 scope global erebrus-dvpn\n';
+    const runner = createDryRunRunner({ respond: entry => ({ stdout: entry.file === 'wg' ? DUMP : link }) });
+
+    const status = await getConnectionStatus('erebrus-dvpn', { logger, runner });
+    assert.strictEqual(status.state, 'up');
+    assert.deepStrictEqual(status.addresses, ['10.8.0.2/32']);
+    assert.strictEqual(status.peer.endpoint, '203.0.113.7:51820');
+    assert.deepStrictEqual(runner.commands.map(entry => entry.command), ['sudo wg show erebrus-dvpn dump', 'ip addr show dev erebrus-dvpn']);
+
+    const missing = createDryRunRunner({ respond: () => ({ code: 1, stderr: 'Unable to access interface: No such device' }) });
+    const none = await getConnectionStatus('erebrus-dvpn', { logger, runner: missing });
+    assert.strictEqual(none.connected, false);
+    assert.strictEqual(none.state, 'missing');
+    assert.strictEqual(missing.commands.length, 1);
+  });
+});
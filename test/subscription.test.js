@@ -0,0 +1,78 @@
+const assert = require('assert');
+const { parseSubscription, assertActiveSubscription } = require('../src/subscription');
+const { ErebrusClient } = require('../src');
+const { startMockGateway, createFakeRunner } = require('../testing');
+
+describe('subscription', () => {
+  it('parseSubscription types active and expired subscriptions', () => {
+    const now = new Date('2026-01-15T00:00:00Z');
+    const active = parseSubscription({ status: 'active', subscription: { type: 'Monthly', startTime: '2026-01-01T00:00:00Z', endTime: 1769904000 } }, now);
+    assert.strictEqual(active.status, 'active');
+    assert.strictEqual(active.plan, 'Monthly');
+    assert.deepStrictEqual(active.expiresAt, new Date(1769904000 * 1000));
+
+    assert.strictEqual(parseSubscription({ subscription: { endTime: '2026-01-14T00:00:00Z' } }, now).status, 'expired');
+    assert.strictEqual(parseSubscription({ status: 'expired', subscription: {} }, now).status, 'expired');
+    assert.throws(() => parseSubscription({ status: 'weird' }), { name: 'GatewayError', message: 'GET /subscription returned an unexpected response' });
+  });
+
+  it('assertActiveSubscription explains why a subscription is not usable', () => {
+    const base = { plan: null, expiresAt: null, trial: null };
+    assert.throws(() => assertActiveSubscription({ ...base, status: 'none' }), { name: 'SubscriptionError', reason: 'none' });
+    assert.throws(() => assertActiveSubscription({ ...base, status: 'expired', plan: 'Monthly' }), { reason: 'expired', message: 'Subscription Monthly expired' });
+    assert.throws(() => assertActiveSubscription({ ...base, status: 'none', trial: { started: false, reason: 'used' } }), {
+      reason: 'trial-not-allowed',
+      message: 'No active subscription, and a trial is not allowed: used'
+    });
+  });
+
+  describe('ensureSubscription', () => {
+    let gateway;
+    let client;
+
+    beforeEach(async () => {
+      gateway = await startMockGateway();
+      client = new ErebrusClient({ baseUrls: gateway.baseUrls, runner: createFakeRunner(), strict: true, logger: false });
+      const token = gateway.issueToken(gateway.createOrganization().id);
+      await client.createSession({ getToken: async () => token });
+    });
+
+    afterEach(() => gateway.stop());
+
+    it('reports none for a 200 notFound answer and for a 404', async () => {
+      const fromBody = await client.ensureSubscription(null);
+      assert.strictEqual(fromBody.status, 'none');
+      assert.deepStrictEqual(fromBody.raw, { status: 'notFound' });
+
+      gateway.inject('GET /subscription', { status: 404, body: { status: 404, message: 'subscription not found' } });
+      const fromStatus = await client.ensureSubscription(null);
+      assert.strictEqual(fromStatus.status, 'none');
+      assert.deepStrictEqual(fromStatus.raw, { status: 404, message: 'subscription not found' });
+    });
+
+    it('fails on other error statuses instead of reporting none', async () => {
+      gateway.inject('GET /subscription', { status: 400, body: { message: 'bad request' } });
+      await assert.rejects(client.ensureSubscription(null), { name: 'GatewayError', status: 400 });
+    });
+
+    it('starts a trial when asked and there is none, and reports a refused trial', async () => {
+      const started = await client.ensureSubscription(null, { trial: true });
+      assert.strictEqual(started.status, 'active');
+      assert.strictEqual(started.plan, 'TrialSubscription');
+      assert.deepStrictEqual(started.trial, { started: true, reason: null });
+
+      gateway.setSubscription('none');
+      const refused = await client.ensureSubscription(null, { trial: true });
+      assert.strictEqual(refused.status, 'none');
+      assert.deepStrictEqual(refused.trial, { started: false, reason: 'Trial subscription already used' });
+    });
+
+    it('makes connectDvpn fail with a SubscriptionError before touching the host', async () => {
+      gateway.setSubscription('expired');
+
+      await assert.rejects(client.connectDvpn(null, gateway.nodes[0].id, { subscription: true }), { name: 'SubscriptionError', reason: 'expired' });
+      assert.strictEqual(client.runner.interfaces.size, 0);
+      assert.ok(!gateway.requests.some(request => request.endpoint === 'POST /erebrus/client/:nodeId'));
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { ErebrusClient } = require('../src');
+const { startMockGateway, createFakeRunner } = require('../testing');
+
+describe('erebrus/testing', () => {
+  let gateway;
+  let runner;
+  let client;
+
+  beforeEach(async () => {
+    gateway = await startMockGateway({ subscription: 'active' });
+    runner = createFakeRunner();
+    client = new ErebrusClient({ baseUrls: gateway.baseUrls, runner, strict: true, logger: false });
+    const { api_key: apiKey } = await client.createOrganization();
+    await client.createSession({ apiKey });
+  });
+
+  afterEach(() => gateway.stop());
+
+  it('connects, reports the status and disconnects', async () => {
+    assert.strictEqual(await client.connectDvpn(null, 'auto', { selection: { probe: gateway.probe } }), true);
+    assert.deepStrictEqual(runner.interfaces.get('erebrus-dvpn').addresses, ['10.8.0.2/32']);
+
+    const status = await client.getConnectionStatus();
+    assert.strictEqual(status.connected, true);
+    assert.strictEqual(status.state, 'up');
+    assert.deepStrictEqual(status.addresses, ['10.8.0.2/32']);
+    assert.strictEqual(status.peer.publicKey, gateway.nodeKeys(gateway.nodes[0].id).publicKey);
+    assert.deepStrictEqual((await client.listConnections()).map(connection => connection.name), ['erebrus-dvpn']);
+
+    assert.strictEqual(await client.disconnect('erebrus-dvpn'), true);
+    assert.strictEqual(runner.interfaces.has('erebrus-dvpn'), false);
+    assert.strictEqual((await client.getConnectionStatus()).state, 'missing');
+  });
+
+  it('never hands out a client ID or address twice', async () => {
+    const nodeId = gateway.nodes[0].id;
+    const first = await client.createClient(null, nodeId, 'first');
+    const second = await client.createClient(null, nodeId, 'second');
+    const [firstRecord] = await client.listClients();
+    assert.strictEqual(await client.deleteClient(null, firstRecord.UUID), true);
+    const third = await client.createClient(null, nodeId, 'third');
+
+    const addresses = [first, second, third].map(data => [].concat(data.payload.client.Address).join());
+    assert.strictEqual(new Set(addresses).size, 3);
+    const ids = (await client.listClients()).map(record => record.UUID);
+    assert.strictEqual(ids.length, 2);
+    assert.ok(!ids.includes(firstRecord.UUID));
+  });
+
+  it('keeps the config and resolv.conf in memory', async () => {
+    runner = createFakeRunner({ dnsBackend: 'file' });
+    client = new ErebrusClient({ baseUrls: gateway.baseUrls, runner, strict: true, logger: false });
+    const token = gateway.issueToken(gateway.createOrganization().id);
+    await client.createSession({ getToken: async () => token });
+
+    await client.connectDvpn(null, gateway.nodes[0].id, { configDir: '/etc/erebrus' });
+    assert.match(runner.files.get('/etc/erebrus/erebrus-dvpn.conf'), /^\[Interface\]\nPrivateKey = /);
+    assert.strictEqual(runner.files.get('/etc/resolv.conf.erebrus-backup'), 'nameserver 192.168.1.1\n');
+    assert.strictEqual(runner.files.get('/etc/resolv.conf'), '# Written by erebrus for erebrus-dvpn\nnameserver 1.1.1.1\nnameserver 8.8.8.8\n');
+
+    await client.disconnect('erebrus-dvpn');
+    assert.strictEqual(runner.files.get('/etc/resolv.conf'), 'nameserver 192.168.1.1\n');
+    assert.strictEqual(runner.files.has('/etc/resolv.conf.erebrus-backup'), false);
+  });
+
+  it('hands out endpoints with the endpointPort, IPv6 ones in brackets', async () => {
+    await gateway.stop();
+    gateway = await startMockGateway({ nodes: 2, endpointPort: 51821 });
+    gateway.nodes[1].ipinfoip = '2001:db8::7';
+    client = new ErebrusClient({ baseUrls: gateway.baseUrls, runner, strict: true, logger: false });
+    const token = gateway.issueToken(gateway.createOrganization().id);
+    await client.createSession({ getToken: async () => token });
+
+    const [ipv4, ipv6] = gateway.nodes;
+    assert.match(await client.exportWireGuardConfig(null, ipv4.id, { interfaceName: 'erebrus-a' }), new RegExp(`^Endpoint = ${ipv4.ipinfoip}:51821$`, 'm'));
+    assert.match(await client.exportWireGuardConfig(null, ipv6.id, { interfaceName: 'erebrus-b' }), /^Endpoint = \[2001:db8::7\]:51821$/m);
+  });
+
+  it('fails wg-quick up for a config that was never written', async () => {
+    await assert.rejects(runner.run('wg-quick', ['up', '/etc/erebrus/missing.conf'], { sudo: true }), {
+      name: 'CommandError',
+      stderr: "wg-quick: `/etc/erebrus/missing.conf' does not exist\n"
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const assert = require('assert');
+const { ErebrusClient } = require('../src');
+const { startMockGateway, createFakeRunner } = require('../testing');
+
+const HOST_IP = '198.51.100.1';
+
+describe('verifyTunnel', () => {
+  let gateway;
+  let runner;
+  let client;
+  let node;
+
+  /**
+   * Creates a client on a fresh fake runner with a session on the mock gateway
+   * @param {object} [options] - createFakeRunner options
+   */
+  async function setup(options = {}) {
+    runner = createFakeRunner({ hostIp: HOST_IP, ...options });
+    client = new ErebrusClient({ baseUrls: gateway.baseUrls, runner, strict: true, logger: false });
+    const token = gateway.issueToken(gateway.createOrganization().id);
+    await client.createSession({ getToken: async () => token });
+  }
+
+  beforeEach(async () => {
+    gateway = await startMockGateway({ nodes: 1 });
+    node = gateway.nodes[0];
+    await setup();
+  });
+
+  afterEach(() => gateway.stop());
+
+  it('passes when the exit IP moved to the node and DNS, IPv6 and connectivity stay in the tunnel', async () => {
+    await client.connectDvpn(null, node.id);
+    const report = await client.verifyTunnel({ before: HOST_IP });
+
+    assert.strictEqual(report.ok, true, report.problems.join('; '));
+    assert.deepStrictEqual(report.exitIp, { before: HOST_IP, after: node.ipinfoip, changed: true, node: [node.ipinfoip], matchesNode: true });
+    assert.strictEqual(report.dns.throughTunnel, true);
+    assert.deepStrictEqual(report.ipv6, { device: 'erebrus-dvpn', bypassesTunnel: false });
+    assert.deepStrictEqual(report.connectivity, { ping: true, http: true, ok: true });
+  });
+
+  it('reports changed as null when there is no exit IP from before connecting', async () => {
+    await client.connectDvpn(null, node.id);
+    const report = await client.verifyTunnel();
+
+    assert.strictEqual(report.exitIp.before, null);
+    assert.strictEqual(report.exitIp.changed, null);
+    assert.strictEqual(report.exitIp.matchesNode, true);
+    assert.strictEqual(report.ok, true);
+  });
+
+  it('fails when the exit IP did not change or is not the node\'s', async () => {
+    await setup({ exitIps: { [node.ipinfoip]: HOST_IP } });
+    await client.connectDvpn(null, node.id);
+    const report = await client.verifyTunnel({ before: HOST_IP });
+
+    assert.strictEqual(report.ok, false);
+    assert.strictEqual(report.exitIp.changed, false);
+    assert.strictEqual(report.exitIp.matchesNode, false);
+    assert.deepStrictEqual(report.problems, [
+      `The exit IP is still ${HOST_IP}`,
+      `The exit IP ${HOST_IP} is not the node's (${node.ipinfoip})`
+    ]);
+  });
+
+  it('fails when the IP echo service cannot be reached through the tunnel', async () => {
+    await setup({ respond: entry => (entry.file === 'curl' ? { code: 7 } : undefined) });
+    await client.connectDvpn(null, node.id);
+    const report = await client.verifyTunnel({ before: HOST_IP });
+
+    assert.strictEqual(report.ok, false);
+    assert.deepStrictEqual([report.exitIp.after, report.exitIp.changed, report.exitIp.matchesNode], [null, null, null]);
+    assert.deepStrictEqual(report.connectivity, { ping: true, http: false, ok: true });
+    assert.deepStrictEqual(report.problems, ['https://api.ipify.org could not be reached through the tunnel']);
+  });
+
+  it('compares a namespaced tunnel with the host\'s exit IP', async () => {
+    await client.connectDvpn(null, node.id, { namespace: 'jobs' });
+    const report = await client.verifyTunnel();
+
+    assert.strictEqual(report.namespace, 'jobs');
+    assert.deepStrictEqual([report.exitIp.before, report.exitIp.after, report.exitIp.changed], [HOST_IP, node.ipinfoip, true]);
+    assert.strictEqual(report.ok, true, report.problems.join('; '));
+  });
+
+  it('makes connectDvpn take a tunnel that fails verification down again', async () => {
+    await setup({ exitIps: { [node.ipinfoip]: '192.0.2.99' } });
+
+    await assert.rejects(client.connectDvpn(null, node.id, { verify: true }), error => {
+      assert.strictEqual(error.name, 'VerificationError');
+      assert.strictEqual(error.report.exitIp.before, HOST_IP);
+      assert.strictEqual(error.report.exitIp.changed, true);
+      assert.strictEqual(error.report.exitIp.matchesNode, false);
+      return true;
+    });
+    assert.strictEqual(runner.interfaces.size, 0);
+  });
+
+  describe('settleTime', () => {
+    it('is 0 on the fake runner and can be set per connection', async () => {
+      let started = Date.now();
+      await client.connectDvpn(null, node.id);
+      assert.ok(Date.now() - started < 1000);
+
+      started = Date.now();
+      await client.connectDvpn(null, node.id, { settleTime: 300 });
+      assert.ok(Date.now() - started >= 250);
+    });
+
+    it('must be a number of milliseconds up to a minute', async () => {
+      for (const settleTime of [-1, 60001, 1.5, '2000']) {
+        await assert.rejects(client.connectDvpn(null, node.id, { settleTime }), {
+          name: 'ConfigError',
+          message: 'Invalid tunnel options: settleTime must be an integer between 0 and 60000'
+        });
+      }
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const { Wallet } = require('ethers');
+const { ErebrusClient } = require('../src');
+const { startMockGateway } = require('../testing');
+
+// Hardhat's first well-known development account
+const PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+describe('authenticateWithWallet', () => {
+  let gateway;
+  let client;
+
+  beforeEach(async () => {
+    gateway = await startMockGateway();
+    client = new ErebrusClient({ baseUrls: gateway.baseUrls, strict: true, logger: false });
+  });
+
+  afterEach(() => gateway.stop());
+
+  it('signs the flow ID with a local Wallet and returns the token', async () => {
+    const token = await client.authenticateWithWallet(new Wallet(PRIVATE_KEY), { chain: 'evm' });
+
+    const claims = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
+    assert.strictEqual(claims.sub, ADDRESS);
+    const [flow, login] = gateway.requests;
+    assert.deepStrictEqual([flow.endpoint, flow.query], ['GET /flowid', { walletAddress: ADDRESS, chain: 'evm' }]);
+    assert.strictEqual(login.endpoint, 'POST /authenticate');
+    assert.strictEqual(login.body.walletAddress, ADDRESS);
+    assert.strictEqual(login.body.chainName, 'evm');
+  });
+
+  it('accepts any object with the Signer methods, and a session built on it', async () => {
+    const wallet = new Wallet(PRIVATE_KEY);
+    const signer = { getAddress: async () => wallet.address, signMessage: message => wallet.signMessage(message) };
+
+    const session = await client.createSession({ signer });
+    assert.ok(session.token);
+    assert.ok((await client.getAllNodes(null)).length > 0);
+  });
+
+  it('rejects a missing signer and a signature from another key before sending it', async () => {
+    await assert.rejects(client.authenticateWithWallet({}), { name: 'AuthenticationError', message: 'An ethers Signer is required' });
+
+    const impostor = { getAddress: async () => ADDRESS, signMessage: message => Wallet.createRandom().signMessage(message) };
+    await assert.rejects(client.authenticateWithWallet(impostor), { name: 'AuthenticationError', message: 'Signer returned a signature that does not match its address' });
+    assert.ok(!gateway.requests.some(request => request.endpoint === 'POST /authenticate'));
+  });
+
+  it('fails when the gateway refuses the signature, and returns null outside strict mode', async () => {
+    gateway.inject('POST /authenticate', { status: 401, body: { status: 401, message: 'Invalid signature' } });
+    await assert.rejects(client.authenticateWithWallet(new Wallet(PRIVATE_KEY)), { status: 401 });
+
+    const lenient = new ErebrusClient({ baseUrls: gateway.baseUrls, logger: false });
+    assert.strictEqual(await lenient.authenticateWithWallet(new Wallet(PRIVATE_KEY)), null);
+  });
+});
@@ -0,0 +1,2 @@
+// Entry point for require('erebrus/testing')
+module.exports = require('./src/testing');